@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -8,10 +8,9 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
 import { Separator } from "@/components/ui/separator";
 import { Badge } from "@/components/ui/badge";
-import { Trash2, Plus, Target, ArrowUpCircle, ArrowDownCircle, Download, Upload, RefreshCcw } from "lucide-react";
+import { Trash2, Pencil, Plus, Target, ChevronUp, ChevronDown, Merge, ArrowUpCircle, ArrowDownCircle, Download, Upload, RefreshCcw, Repeat, FileUp, FileSpreadsheet, Wallet, ArrowLeftRight, CreditCard, Lock, X } from "lucide-react";
 import {
   ResponsiveContainer,
-  BarChart,
   Bar,
   XAxis,
   YAxis,
@@ -21,17 +20,106 @@ import {
   Pie,
   Cell,
   Legend,
+  LineChart,
+  Line,
+  ComposedChart,
+  ReferenceLine,
 } from "recharts";
+import * as XLSX from "xlsx";
 
 // FinP — Single-file React app (localStorage). No login.
-// - Transactions (income/expense)
-// - Dashboard + charts (with range selector)
-// - Goals with manual contributions (not tied to net balance)
+// - Transactions (income/expense) and transfers between accounts
+// - Accounts/wallets with opening balances
+// - Credit cards: purchases go to the fatura (statement) month; faturas paid by transfer
+// - Recurring transactions (monthly/weekly/yearly rules)
+// - Installment purchases (compras parceladas) edited/cancelled as a group
+// - Monthly budgets per category
+// - Free-form tags on transactions (autocomplete) + per-tag report split by category
+// - Split expenses: one movement divided into category lines (counted per line in totals, budgets and exports)
+// - Category manager (add/rename/reorder/merge/delete with reassignment), separate lists for expenses and income
+// - Dashboard + charts (with range selector), expenses and income by category
+// - Goals with a dated ledger of contributions/withdrawals (not tied to net balance)
+// - Goal deadlines: required monthly saving, projected completion, urgency ordering
+// - Envelope goals: contributions set money aside from the available balance
+// - Search across all transactions with filters shareable via the URL query string
+// - Versioned schema migrations + row validator shared by startup load and backup import
+// - Backup import merges by id (conflict picker) or replaces everything on request
+// - IndexedDB storage with incremental saves (localStorage migrated on first run / fallback)
+// - Live sync between open tabs: saved changes are broadcast and merged record by record
+// - Passphrase-encrypted backups (.finp: PBKDF2 + AES-GCM via WebCrypto)
+// - Multi-currency transactions converted to a chosen base currency with manual dated rates
+// - Interface in pt-BR, en-US or es (message catalog + locale-aware numbers, dates and amount parsing)
 // - Export/Import JSON backup
+// - Export transactions to CSV / .xlsx for a date range
+// - Bank statement import (CSV with column mapping + duplicate detection, OFX 1.x/2.x)
 
 const LS_KEY = "finp:v1";
 
-const currency = new Intl.NumberFormat("pt-BR", { style: "currency", currency: "BRL" });
+// código ISO → chave do nome no catálogo
+const CURRENCIES = {
+  BRL: "currency.BRL",
+  USD: "currency.USD",
+  EUR: "currency.EUR",
+  GBP: "currency.GBP",
+  ARS: "currency.ARS",
+  CAD: "currency.CAD",
+};
+
+// Idiomas da interface. `intl` formata números e datas; `decimal`/`monthFirst` dizem como ler o que o usuário digita.
+const LOCALES = {
+  "pt-BR": { label: "Português (Brasil)", intl: "pt-BR", decimal: ",", monthFirst: false },
+  "en-US": { label: "English (US)", intl: "en-US", decimal: ".", monthFirst: true },
+  es: { label: "Español", intl: "es-ES", decimal: ",", monthFirst: false },
+};
+
+const DEFAULT_LOCALE = "pt-BR";
+
+// Primeira abertura: idioma do navegador, se for um dos suportados.
+function detectLocale() {
+  const langs = typeof navigator === "undefined" ? [] : navigator.languages || [navigator.language];
+  for (const lang of langs) {
+    if (!lang) continue;
+    if (LOCALES[lang]) return lang;
+    const found = Object.keys(LOCALES).find((l) => l.split("-")[0] === lang.split("-")[0]);
+    if (found) return found;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// Mesmo esquema de `baseCurrencyCode`: FinPApp atualiza a cada render, antes dos filhos.
+let activeLocale = DEFAULT_LOCALE;
+
+// t("chave", { nome: "x" }) → mensagem do idioma ativo, com {nome} substituído.
+// Falta no idioma: cai para pt-BR e, por fim, para a própria chave. { one, other } escolhe pelo `n`.
+function t(key, vars) {
+  let msg = MESSAGES[activeLocale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  if (typeof msg === "object") msg = vars?.n === 1 ? msg.one : msg.other;
+  return vars ? msg.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m)) : msg;
+}
+
+const intlLocale = () => LOCALES[activeLocale].intl;
+
+const moneyFormatters = new Map();
+
+function formatMoney(value, code) {
+  const key = `${activeLocale}|${code}`;
+  if (!moneyFormatters.has(key)) moneyFormatters.set(key, new Intl.NumberFormat(intlLocale(), { style: "currency", currency: code }));
+  return moneyFormatters.get(key).format(value);
+}
+
+// Data ISO "yyyy-mm-dd" no formato do idioma (31/01/2026, 1/31/2026).
+function formatDate(iso, options) {
+  return new Date(iso + "T00:00:00").toLocaleDateString(intlLocale(), options);
+}
+
+function formatNumber(value, options) {
+  return new Intl.NumberFormat(intlLocale(), options).format(value);
+}
+
+// `currency.format` formata na moeda base escolhida; FinPApp atualiza `baseCurrencyCode` a cada render,
+// antes dos filhos, para que todos os componentes usem a mesma base sem receber mais uma prop.
+let baseCurrencyCode = "BRL";
+const currency = { format: (value) => formatMoney(value, baseCurrencyCode) };
 
 // New theme request:
 const GOLD = "#d4af37";
@@ -85,354 +173,2214 @@ const DEFAULT_CATEGORIES = [
   "Outros",
 ];
 
-function loadState() {
-  try {
-    const raw = localStorage.getItem(LS_KEY);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw);
-    return parsed;
-  } catch {
-    return null;
-  }
+// Categorias iniciais de quem começa em outro idioma (mesma ordem). Depois de criadas são dados do usuário.
+const DEFAULT_CATEGORIES_BY_LOCALE = {
+  "pt-BR": DEFAULT_CATEGORIES,
+  "en-US": ["Food", "Transportation", "Housing", "Internet/Phone", "Health", "Education", "Leisure", "Shopping", "Subscriptions", "Other"],
+  es: ["Alimentación", "Transporte", "Vivienda", "Internet/Teléfono", "Salud", "Educación", "Ocio", "Compras", "Suscripciones", "Otros"],
+};
+
+// Última categoria padrão do idioma ("Outros", "Other"…): recebe gastos sem categoria.
+function otherExpenseCategory(locale) {
+  const list = DEFAULT_CATEGORIES_BY_LOCALE[locale] || DEFAULT_CATEGORIES;
+  return list[list.length - 1];
 }
 
-function saveState(state) {
-  localStorage.setItem(LS_KEY, JSON.stringify(state));
+// Categorias de receita iniciais. A última recebe receitas sem categoria (e as antigas "Receita").
+const DEFAULT_INCOME_CATEGORIES_BY_LOCALE = {
+  "pt-BR": ["Salário", "Freelance", "Vendas", "Rendimentos", "Reembolso", "Outras receitas"],
+  "en-US": ["Salary", "Freelance", "Sales", "Investment income", "Refunds", "Other income"],
+  es: ["Salario", "Freelance", "Ventas", "Rendimientos", "Reembolsos", "Otros ingresos"],
+};
+
+function otherIncomeCategory(locale) {
+  const list = DEFAULT_INCOME_CATEGORIES_BY_LOCALE[locale] || DEFAULT_INCOME_CATEGORIES_BY_LOCALE[DEFAULT_LOCALE];
+  return list[list.length - 1];
 }
 
-function toNumberBR(input) {
-  // Accepts "12,34" or "12.34" or "1.234,56"
-  if (typeof input !== "string") return 0;
-  const s = input
-    .trim()
-    .replace(/\./g, "")
-    .replace(/,/g, ".")
-    .replace(/[^0-9.\-]/g, "");
-  const n = Number(s);
-  return Number.isFinite(n) ? n : 0;
+// Gastos e receitas têm listas de categorias separadas no estado.
+const CATEGORY_LISTS = { expense: "categories", income: "incomeCategories" };
+
+// Valores são chaves do catálogo: exiba com t(ACCOUNT_KINDS[kind]).
+const ACCOUNT_KINDS = {
+  checking: "account.kind.checking",
+  savings: "account.kind.savings",
+  cash: "account.kind.cash",
+  credit: "account.kind.credit",
+};
+
+const DEFAULT_ACCOUNTS = [{ id: "acc-main", name: "Conta principal", kind: "checking", openingBalance: 0 }];
+const DEFAULT_ACCOUNT_NAMES = { "pt-BR": "Conta principal", "en-US": "Main account", es: "Cuenta principal" };
+
+// Transferências não são receita nem gasto: só movem saldo entre contas.
+const TRANSFER_CATEGORY = "Transferência";
+
+// Migration: garante ao menos uma conta e coloca movimentos/recorrências antigos na primeira.
+function withAccounts(data) {
+  const accounts = Array.isArray(data.accounts) && data.accounts.length ? data.accounts : DEFAULT_ACCOUNTS;
+  const fallback = accounts[0].id;
+  const fix = (x) => (x.accountId ? x : { ...x, accountId: fallback });
+  return {
+    ...data,
+    accounts,
+    transactions: (data.transactions || []).map(fix),
+    recurrences: (data.recurrences || []).map(fix),
+  };
 }
 
-function clamp(n, a, b) {
-  return Math.min(b, Math.max(a, n));
+const nominalAmount = (t) => t.amount;
+
+// Saldo por conta: saldo inicial + receitas − gastos ± transferências.
+// `amountOf`/`openingOf` permitem somar já convertido para a moeda base.
+function computeAccountBalances(accounts, transactions, amountOf = nominalAmount, openingOf = (a) => a.openingBalance || 0) {
+  const map = new Map(accounts.map((a) => [a.id, openingOf(a)]));
+  const add = (id, v) => map.set(id, (map.get(id) || 0) + v);
+  for (const t of transactions) {
+    const v = amountOf(t);
+    if (t.type === "income") add(t.accountId, v);
+    else if (t.type === "expense") add(t.accountId, -v);
+    else if (t.type === "transfer") {
+      add(t.accountId, -v);
+      add(t.toAccountId, v);
+    }
+  }
+  return map;
 }
 
-function monthKey(dateIso) {
-  const d = new Date(dateIso + "T00:00:00");
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+// Cotação: 1 `from` vale `rate` `to` a partir de `date`. Para um movimento vale a cotação mais recente
+// até a data dele; se só houver cotações posteriores, usa a mais antiga delas.
+function rateBetween(rates, from, to, date) {
+  let before = null;
+  let after = null;
+  for (const r of rates) {
+    let value;
+    if (r.from === from && r.to === to) value = r.rate;
+    else if (r.from === to && r.to === from) value = 1 / r.rate;
+    else continue;
+    if (r.date <= date) {
+      if (!before || r.date > before.date) before = { date: r.date, value };
+    } else if (!after || r.date < after.date) after = { date: r.date, value };
+  }
+  return (before || after)?.value ?? null;
 }
 
-function monthLabelFromKey(ym) {
-  const [y, m] = ym.split("-").map(Number);
-  const d = new Date(y, (m || 1) - 1, 1);
-  // "fev/26" — compacto e legível no eixo
-  return d.toLocaleDateString("pt-BR", { month: "short" }).replace(".", "") + "/" + String(y).slice(2);
+// Direta, inversa ou por uma moeda intermediária (ex.: EUR → BRL → USD). null = sem cotação.
+function findRate(rates, from, to, date) {
+  if (from === to) return 1;
+  const direct = rateBetween(rates, from, to, date);
+  if (direct != null) return direct;
+  for (const via of Object.keys(CURRENCIES)) {
+    if (via === from || via === to) continue;
+    const a = rateBetween(rates, from, via, date);
+    const b = a == null ? null : rateBetween(rates, via, to, date);
+    if (b != null) return a * b;
+  }
+  return null;
 }
 
-function makeActiveMonthISO(year, monthIndex0) {
-  const d = new Date(year, monthIndex0, 1);
-  return d.toISOString().slice(0, 10);
+// (valor, moeda, data) → valor na moeda base, ou null se não há cotação. Sem moeda = base.
+function makeConverter(rates, base) {
+  const cache = new Map();
+  return (amount, code, date) => {
+    const from = code || base;
+    if (from === base) return amount;
+    const key = `${from}|${date}`;
+    if (!cache.has(key)) cache.set(key, findRate(rates, from, base, date));
+    const rate = cache.get(key);
+    return rate == null ? null : amount * rate;
+  };
 }
 
-function monthNamePT(monthIndex0) {
-  const d = new Date(2026, monthIndex0, 1);
-  return d.toLocaleDateString("pt-BR", { month: "long" });
+// Metas: `saved` é derivado do extrato (aportes − retiradas), nunca guardado direto.
+function goalSaved(goal) {
+  return (goal.entries || []).reduce((sum, e) => sum + (e.kind === "withdraw" ? -e.amount : e.amount), 0);
 }
 
-function getYearFromIso(iso) {
-  return new Date(iso + "T00:00:00").getFullYear();
+// Metas "envelope" separam dinheiro de verdade: o que está nelas sai do saldo disponível.
+function goalsReserved(goals) {
+  return goals.reduce((sum, g) => sum + (g.envelope ? goalSaved(g) : 0), 0);
 }
 
-export default function FinPApp() {
-  const [state, setState] = useState(() => {
-    const loaded = typeof window !== "undefined" ? loadState() : null;
-
-    const base =
-      loaded ||
-      ({
-        version: 1,
-        currency: "BRL",
-        categories: DEFAULT_CATEGORIES,
-        transactions: [],
-        goals: [],
-      });
+const DAYS_PER_MONTH = 30.44;
 
-    // Migration: ensure goal.saved exists
-    const migratedGoals = (base.goals || []).map((g) => ({
-      ...g,
-      saved: typeof g.saved === "number" ? g.saved : 0,
-    }));
+function daysBetween(fromIso, toIso) {
+  return Math.round((new Date(toIso + "T00:00:00") - new Date(fromIso + "T00:00:00")) / 86400000);
+}
 
-    return { ...base, goals: migratedGoals };
-  });
+// Plano da meta: quanto falta por mês até o prazo e quando termina no ritmo atual
+// (ritmo = saldo guardado ÷ meses desde o primeiro aporte, mínimo de 1 mês).
+// status: done | overdue | behind | ontrack | nodeadline
+function goalPlan(goal, todayIso) {
+  const saved = goalSaved(goal);
+  const remaining = Math.max(0, goal.target - saved);
+  const firstDate = (goal.entries || []).reduce((min, e) => (e.date < min ? e.date : min), (goal.createdAt || todayIso).slice(0, 10));
+  const monthsElapsed = Math.max(1, daysBetween(firstDate, todayIso) / DAYS_PER_MONTH);
+  const pace = saved > 0 ? saved / monthsElapsed : 0;
+  const projectedDate = remaining === 0 ? todayIso : pace > 0 ? localIso(new Date(new Date(todayIso + "T00:00:00").getTime() + (remaining / pace) * DAYS_PER_MONTH * 86400000)) : null;
 
-  const now = new Date();
-  const currentYear = now.getFullYear();
+  const deadline = goal.deadline || "";
+  const monthsLeft = deadline ? Math.max(1, daysBetween(todayIso, deadline) / DAYS_PER_MONTH) : null;
+  const requiredMonthly = deadline && remaining > 0 ? remaining / Math.ceil(monthsLeft) : 0;
 
-  const [year, setYear] = useState(() => Math.max(2026, currentYear));
-  const [monthIndex0, setMonthIndex0] = useState(() => now.getMonth());
+  let status = "nodeadline";
+  if (remaining === 0) status = "done";
+  else if (deadline && deadline < todayIso) status = "overdue";
+  else if (deadline) status = !projectedDate || projectedDate > deadline ? "behind" : "ontrack";
 
-  const activeMonth = useMemo(() => makeActiveMonthISO(year, monthIndex0), [year, monthIndex0]);
+  return { saved, remaining, pace, projectedDate, deadline, requiredMonthly, status };
+}
 
-  const [trendRange, setTrendRange] = useState("6m"); // month | 6m | 1y | all
+const GOAL_URGENCY = { overdue: 0, behind: 1, ontrack: 2, nodeadline: 3, done: 4 };
 
-  useEffect(() => {
-    saveState(state);
-  }, [state]);
+// Mais urgentes primeiro: atrasadas, fora do ritmo, no ritmo (prazo mais próximo antes), sem prazo, concluídas.
+function sortGoalsByUrgency(goals, todayIso) {
+  return goals
+    .map((g) => ({ goal: g, plan: goalPlan(g, todayIso) }))
+    .sort((a, b) => GOAL_URGENCY[a.plan.status] - GOAL_URGENCY[b.plan.status] || (a.plan.deadline || "9999").localeCompare(b.plan.deadline || "9999") || b.plan.remaining - a.plan.remaining)
+    .map((x) => x.goal);
+}
 
-  // Years selector: start at 2026, extend to current year + include any year that exists in transactions
-  const years = useMemo(() => {
-    const set = new Set();
-    set.add(2026);
-    set.add(currentYear);
-    for (const t of state.transactions) {
-      set.add(getYearFromIso(t.date));
-    }
-    const arr = Array.from(set).sort((a, b) => a - b);
-    const min = Math.min(...arr, 2026);
-    const max = Math.max(...arr, currentYear);
-    const full = [];
-    for (let y = min; y <= max; y++) full.push(y);
-    return full;
-  }, [state.transactions, currentYear]);
+// Migration: metas antigas só tinham `saved`; vira um aporte inicial na data de criação.
+function migrateGoal(g) {
+  if (Array.isArray(g.entries)) return g;
+  const { saved, ...rest } = g;
+  const entries =
+    typeof saved === "number" && saved > 0
+      ? [{ id: uid(), kind: "deposit", amount: saved, date: (g.createdAt || new Date().toISOString()).slice(0, 10), note: "Saldo anterior", createdAt: new Date().toISOString() }]
+      : [];
+  return { ...rest, entries };
+}
 
-  // Months selector: all 12 months
-  const months = useMemo(() => {
-    return Array.from({ length: 12 }, (_, i) => ({ idx: i, name: monthNamePT(i) }));
-  }, []);
+const SCHEMA_VERSION = 5;
 
-  useEffect(() => {
-    if (!years.includes(year)) setYear(years[years.length - 1] || 2026);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [years]);
+function emptyState(locale = detectLocale()) {
+  return {
+    version: SCHEMA_VERSION,
+    locale,
+    currency: "BRL",
+    categories: DEFAULT_CATEGORIES_BY_LOCALE[locale],
+    incomeCategories: DEFAULT_INCOME_CATEGORIES_BY_LOCALE[locale],
+    transactions: [],
+    goals: [],
+    recurrences: [],
+    budgets: {},
+    accounts: DEFAULT_ACCOUNTS.map((a) => ({ ...a, name: DEFAULT_ACCOUNT_NAMES[locale] })),
+    rates: [],
+  };
+}
 
-  const monthTransactions = useMemo(() => {
-    const start = new Date(activeMonth + "T00:00:00");
-    const end = new Date(start.getFullYear(), start.getMonth() + 1, 1);
-    return state.transactions
-      .filter((t) => {
-        const d = new Date(t.date + "T00:00:00");
-        return d >= start && d < end;
-      })
-      .sort((a, b) => (a.date < b.date ? 1 : -1));
-  }, [state.transactions, activeMonth]);
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
 
-  const totals = useMemo(() => {
-    let income = 0;
-    let expense = 0;
-    for (const t of monthTransactions) {
-      if (t.type === "income") income += t.amount;
-      else expense += t.amount;
-    }
-    const balance = income - expense;
-    return { income, expense, balance };
-  }, [monthTransactions]);
+// Cada migração leva os dados da versão N para N+1. Não altere uma migração já publicada: crie a próxima.
+const MIGRATIONS = {
+  // v1 → v2: contas, extrato das metas, recorrências e orçamentos.
+  1: (d) =>
+    withAccounts({
+      ...d,
+      goals: (Array.isArray(d.goals) ? d.goals : []).map((g) => (isPlainObject(g) ? migrateGoal(g) : g)),
+      recurrences: Array.isArray(d.recurrences) ? d.recurrences : [],
+      budgets: isPlainObject(d.budgets) ? d.budgets : {},
+    }),
+  // v2 → v3: cada movimento/recorrência/conta guarda a própria moeda (até aqui tudo era na moeda do app).
+  2: (d) => {
+    const code = typeof d.currency === "string" ? d.currency : "BRL";
+    const stamp = (x) => (isPlainObject(x) && !x.currency ? { ...x, currency: code } : x);
+    return {
+      ...d,
+      transactions: (d.transactions || []).map(stamp),
+      recurrences: (d.recurrences || []).map(stamp),
+      accounts: (d.accounts || []).map(stamp),
+      rates: Array.isArray(d.rates) ? d.rates : [],
+    };
+  },
+  // v3 → v4: idioma da interface; quem já usava o app estava em pt-BR.
+  3: (d) => ({ ...d, locale: typeof d.locale === "string" ? d.locale : "pt-BR" }),
+  // v4 → v5: receitas ganham categorias próprias; a antiga "Receita" única vira a categoria "outras".
+  4: (d) => {
+    const locale = LOCALES[d.locale] ? d.locale : DEFAULT_LOCALE;
+    const other = otherIncomeCategory(locale);
+    const fix = (x) => (isPlainObject(x) && x.type === "income" && (!x.category || x.category === RESERVED_CATEGORY) ? { ...x, category: other } : x);
+    return {
+      ...d,
+      incomeCategories: Array.isArray(d.incomeCategories) ? d.incomeCategories : DEFAULT_INCOME_CATEGORIES_BY_LOCALE[locale],
+      transactions: (d.transactions || []).map(fix),
+      recurrences: (d.recurrences || []).map(fix),
+    };
+  },
+};
 
-  const byCategory = useMemo(() => {
-    const map = new Map();
-    for (const t of monthTransactions) {
-      if (t.type !== "expense") continue;
-      map.set(t.category, (map.get(t.category) || 0) + t.amount);
-    }
-    return Array.from(map.entries())
-      .map(([name, value]) => ({ name, value }))
-      .sort((a, b) => b.value - a.value);
-  }, [monthTransactions]);
+// Dados sem `version` são do formato original (v1). Versão mais nova que o app: recusa em vez de adivinhar.
+function migrateState(data) {
+  let version = Number.isInteger(data.version) && data.version > 0 ? data.version : 1;
+  if (version > SCHEMA_VERSION) throw new Error(t("validate.newerVersion", { version }));
+  let d = data;
+  while (version < SCHEMA_VERSION) {
+    d = MIGRATIONS[version](d);
+    version += 1;
+  }
+  return { ...d, version };
+}
 
-  const trendData = useMemo(() => {
-    const txs = state.transactions;
-    if (txs.length === 0) return [];
+// Valores podem chegar como texto ("12,50") em backups editados à mão.
+function coerceAmount(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : NaN;
+  if (typeof v === "string" && /\d/.test(v)) return toNumberBR(v);
+  return NaN;
+}
 
-    // sums by month key
-    const map = new Map();
-    for (const t of txs) {
-      const k = monthKey(t.date);
-      const row = map.get(k) || { key: k, Receitas: 0, Gastos: 0 };
-      if (t.type === "income") row.Receitas += t.amount;
-      else row.Gastos += t.amount;
-      map.set(k, row);
-    }
-    const byM = Array.from(map.values()).sort((a, b) => (a.key < b.key ? -1 : 1));
+function coerceDate(v) {
+  if (typeof v !== "string") return null;
+  return parseDateBR(v);
+}
 
-    const activeK = monthKey(activeMonth);
+const VALID_TX_TYPES = ["income", "expense", "transfer"];
 
-    if (trendRange === "month") {
-      const found = byM.find((r) => r.key === activeK) || { key: activeK, Receitas: 0, Gastos: 0 };
-      return [{ label: monthLabelFromKey(found.key), Receitas: found.Receitas, Gastos: found.Gastos }];
-    }
+const isCurrencyCode = (v) => typeof v === "string" && /^[A-Z]{3}$/.test(v);
 
-    const base = new Date(activeMonth + "T00:00:00");
+// Moeda ausente ou inválida vira a base (mesma regra para movimentos, recorrências e contas).
+function fixCurrency(row, src, ctx, fixes) {
+  if (isCurrencyCode(src.currency)) return;
+  if (isCurrencyCode(String(src.currency || "").trim().toUpperCase())) {
+    row.currency = src.currency.trim().toUpperCase();
+    fixes.push(t("validate.currencyFixed", { from: src.currency, to: row.currency }));
+    return;
+  }
+  row.currency = ctx.baseCurrency;
+  if (src.currency != null) fixes.push(t("validate.currencyUnknown", { from: src.currency, to: ctx.baseCurrency }));
+}
 
-    if (trendRange === "6m") {
-      const result = [];
-      for (let i = 5; i >= 0; i--) {
-        const d = new Date(base.getFullYear(), base.getMonth() - i, 1);
-        const k = monthKey(d.toISOString().slice(0, 10));
-        const row = byM.find((x) => x.key === k) || { key: k, Receitas: 0, Gastos: 0 };
-        result.push({ label: monthLabelFromKey(row.key), Receitas: row.Receitas, Gastos: row.Gastos });
-      }
-      return result;
-    }
+function validateRate(r) {
+  if (!isPlainObject(r)) return { error: t("validate.notRate") };
+  if (!isCurrencyCode(r.from) || !isCurrencyCode(r.to) || r.from === r.to) return { error: t("validate.badPair") };
+  const rate = coerceAmount(r.rate);
+  if (!(rate > 0)) return { error: t("validate.badRate") };
+  const date = coerceDate(r.date);
+  if (!date) return { error: t("validate.badDate") };
+  const fixes = typeof r.rate !== "number" ? [t("validate.rateText")] : [];
+  return { row: { ...r, id: typeof r.id === "string" && r.id ? r.id : uid(), rate, date }, fixes };
+}
 
-    if (trendRange === "1y") {
-      const result = [];
-      for (let i = 11; i >= 0; i--) {
-        const d = new Date(base.getFullYear(), base.getMonth() - i, 1);
-        const k = monthKey(d.toISOString().slice(0, 10));
-        const row = byM.find((x) => x.key === k) || { key: k, Receitas: 0, Gastos: 0 };
-        result.push({ label: monthLabelFromKey(row.key), Receitas: row.Receitas, Gastos: row.Gastos });
-      }
-      return result;
-    }
+// Uma linha: devolve { row, fixes } se dá para usar (talvez corrigida) ou { error } se não dá.
+function validateTransaction(tx, ctx) {
+  if (!isPlainObject(tx)) return { error: t("validate.notTransaction") };
+  if (!VALID_TX_TYPES.includes(tx.type)) return { error: t("validate.badType", { value: String(tx.type) }) };
+  const fixes = [];
+  const row = { ...tx };
 
-    // all time:
-    // If many months, aggregate by year to keep readable.
-    if (byM.length > 36) {
-      const mapY = new Map();
-      for (const r of byM) {
-        const [y] = r.key.split("-");
-        const row = mapY.get(y) || { label: y, Receitas: 0, Gastos: 0 };
-        row.Receitas += r.Receitas;
-        row.Gastos += r.Gastos;
-        mapY.set(y, row);
-      }
-      return Array.from(mapY.values()).sort((a, b) => (a.label < b.label ? -1 : 1));
-    }
+  const amount = coerceAmount(tx.amount);
+  if (!Number.isFinite(amount) || amount === 0) return { error: t("validate.badAmount") };
+  if (typeof tx.amount !== "number") fixes.push(t("validate.amountText"));
+  if (amount < 0) fixes.push(t("validate.amountNegative"));
+  row.amount = Math.abs(amount);
 
-    return byM.map((r) => ({ label: monthLabelFromKey(r.key), Receitas: r.Receitas, Gastos: r.Gastos }));
-  }, [state.transactions, activeMonth, trendRange]);
+  const date = coerceDate(tx.date);
+  if (!date) return { error: t("validate.badDate") };
+  if (date !== tx.date) fixes.push(t("validate.dateFixed", { from: tx.date, to: date }));
+  row.date = date;
 
-  function addTransaction(tx) {
-    setState((s) => ({ ...s, transactions: [tx, ...s.transactions] }));
+  if (typeof tx.id !== "string" || !tx.id) {
+    row.id = uid();
+    fixes.push(t("validate.newId"));
+  }
+  if (typeof tx.description !== "string") {
+    row.description = tx.description == null ? "" : String(tx.description);
+    if (tx.description != null) fixes.push(t("validate.descriptionText"));
   }
 
-  function deleteTransaction(id) {
-    setState((s) => ({ ...s, transactions: s.transactions.filter((t) => t.id !== id) }));
+  if (tx.tags != null) {
+    // Backup editado à mão pode trazer "viagem, trabalho" em vez de lista.
+    row.tags = normalizeTags(typeof tx.tags === "string" ? tx.tags.split(",") : tx.tags);
+    if (!Array.isArray(tx.tags) || row.tags.length !== tx.tags.length || row.tags.some((tag, i) => tag !== tx.tags[i])) fixes.push(t("validate.tagsFixed"));
   }
 
-  function addGoal(goal) {
-    setState((s) => ({ ...s, goals: [goal, ...s.goals] }));
+  if (!ctx.accountIds.has(tx.accountId)) {
+    row.accountId = ctx.fallbackAccountId;
+    fixes.push(t("validate.txAccountMissing"));
   }
+  fixCurrency(row, tx, ctx, fixes);
 
-  function deleteGoal(id) {
-    setState((s) => ({ ...s, goals: s.goals.filter((g) => g.id !== id) }));
+  if (tx.type === "transfer") {
+    if (!ctx.accountIds.has(tx.toAccountId) || tx.toAccountId === row.accountId) return { error: t("validate.transferTarget") };
+    row.category = TRANSFER_CATEGORY;
+  } else if (tx.type === "income") {
+    if (typeof tx.category !== "string" || !tx.category.trim()) {
+      row.category = ctx.otherIncome;
+      fixes.push(t("validate.noCategory", { name: ctx.otherIncome }));
+    }
+  } else if (typeof tx.category !== "string" || !tx.category.trim()) {
+    row.category = ctx.otherExpense;
+    fixes.push(t("validate.noCategory", { name: ctx.otherExpense }));
   }
 
-  function contributeToGoal(goalId, amount) {
-    if (!(amount > 0)) return;
-    setState((s) => ({
-      ...s,
-      goals: s.goals.map((g) => (g.id === goalId ? { ...g, saved: (g.saved || 0) + amount } : g)),
-    }));
+  if (tx.splits != null) {
+    const splits = tx.type === "expense" ? normalizeSplits(tx.splits, row.amount) : null;
+    if (splits) {
+      row.splits = splits;
+      row.category = mainSplitCategory(splits);
+    } else {
+      delete row.splits;
+      fixes.push(t("validate.splitsDropped"));
+    }
   }
 
-  function resetAll() {
-    setState({
-      version: 1,
-      currency: "BRL",
-      categories: DEFAULT_CATEGORIES,
-      transactions: [],
-      goals: [],
-    });
-    const d = new Date();
-    setYear(Math.max(2026, d.getFullYear()));
-    setMonthIndex0(d.getMonth());
+  return { row, fixes };
+}
+
+function validateGoal(g) {
+  if (!isPlainObject(g)) return { error: t("validate.notGoal") };
+  if (typeof g.name !== "string" || !g.name.trim()) return { error: t("validate.goalNoName") };
+  const target = coerceAmount(g.target);
+  if (!(target > 0)) return { error: t("validate.badTarget") };
+  const fixes = [];
+  if (typeof g.target !== "number") fixes.push(t("validate.targetText"));
+
+  const entries = [];
+  let bad = 0;
+  for (const e of Array.isArray(g.entries) ? g.entries : []) {
+    const amount = isPlainObject(e) ? coerceAmount(e.amount) : NaN;
+    const date = isPlainObject(e) ? coerceDate(e.date) : null;
+    if (!(amount > 0) || !date || !["deposit", "withdraw"].includes(e.kind)) {
+      bad += 1;
+      continue;
+    }
+    entries.push({ ...e, id: typeof e.id === "string" && e.id ? e.id : uid(), amount, date });
   }
+  if (bad) fixes.push(t("validate.badEntries", { n: bad }));
 
-  // Theme helpers
-  const cardCls = "bg-zinc-950 shadow-[0_10px_30px_rgba(0,0,0,0.45)]";
-  const cardStyle = { border: `1px solid rgba(212,175,55,0.22)` };
-  const softText = "text-zinc-300";
+  const deadline = g.deadline ? coerceDate(g.deadline) : "";
+  if (g.deadline && !deadline) fixes.push(t("validate.badDeadline"));
 
-  // Common dropdown styles (fix invisible black text on dark theme)
-  const selectContentCls = "bg-zinc-950 text-white border-zinc-800";
-  const selectItemCls = "text-white focus:bg-zinc-900 focus:text-white";
+  return { row: { ...g, id: typeof g.id === "string" && g.id ? g.id : uid(), target, entries, deadline: deadline || "" }, fixes };
+}
 
-  // Total guardado (acumulado): soma de todas as receitas - soma de todos os gastos
-  // (não inclui valores de metas separadamente; metas são apenas um “objetivo”, não um saldo extra)
-  const totalGuardado = useMemo(
-    () =>
-      state.transactions.reduce(
-        (sum, t) => sum + (t.type === "income" ? t.amount : -t.amount),
-        0
-      ),
-    [state.transactions]
-  );
+function validateRecurrence(r, ctx) {
+  if (!isPlainObject(r)) return { error: t("validate.notRecurrence") };
+  if (!["income", "expense"].includes(r.type)) return { error: t("validate.badType", { value: String(r.type) }) };
+  if (!FREQUENCY_LABELS[r.frequency]) return { error: t("validate.badFrequency", { value: String(r.frequency) }) };
+  const amount = coerceAmount(r.amount);
+  if (!(amount > 0)) return { error: t("validate.badAmount") };
+  const startDate = coerceDate(r.startDate);
+  if (!startDate) return { error: t("validate.badStart") };
+  const fixes = [];
+  if (typeof r.amount !== "number") fixes.push(t("validate.amountText"));
+  if (startDate !== r.startDate) fixes.push(t("validate.startFixed", { from: r.startDate, to: startDate }));
+  const row = { ...r, id: typeof r.id === "string" && r.id ? r.id : uid(), amount, startDate, skipped: Array.isArray(r.skipped) ? r.skipped : [] };
+  if (!ctx.accountIds.has(r.accountId)) {
+    row.accountId = ctx.fallbackAccountId;
+    fixes.push(t("validate.ruleAccountMissing"));
+  }
+  fixCurrency(row, r, ctx, fixes);
+  return { row, fixes };
+}
 
-  return (
-    <div className="min-h-screen w-full bg-black text-white">
-      <div className="mx-auto max-w-6xl p-4 sm:p-6">
-        <header className="flex flex-col gap-3 sm:flex-row sm:items-end sm:justify-between">
-          <div>
-            <div className="flex items-center gap-2">
-              <div className="text-2xl sm:text-3xl font-semibold tracking-tight" style={{ color: GOLD }}>
-                FinP
-              </div>
-              <Badge className="border" style={{ borderColor: GOLD, color: GOLD, background: "transparent" }}>
-                pessoal
-              </Badge>
-            </div>
-            <div className={`text-sm ${softText}`}>Controle simples de receitas, gastos e metas — tudo salvo no seu aparelho (sem login).</div>
-          </div>
+function validateAccount(a, ctx) {
+  if (!isPlainObject(a) || typeof a.id !== "string" || !a.id) return { error: t("validate.accountNoId") };
+  if (typeof a.name !== "string" || !a.name.trim()) return { error: t("validate.accountNoName") };
+  const fixes = [];
+  const row = { ...a };
+  if (!ACCOUNT_KINDS[a.kind]) {
+    row.kind = "checking";
+    fixes.push(t("validate.accountKind"));
+  }
+  const opening = a.openingBalance == null ? 0 : coerceAmount(a.openingBalance);
+  row.openingBalance = Number.isFinite(opening) ? opening : 0;
+  if (a.openingBalance != null && row.openingBalance !== a.openingBalance) fixes.push(t("validate.openingFixed"));
+  fixCurrency(row, a, ctx, fixes);
+  return { row, fixes };
+}
 
-          <div className="flex flex-col sm:flex-row gap-2 sm:items-end">
-            <div className="grid grid-cols-2 gap-2 w-full sm:w-[340px]">
-              <div>
-                <Label className={`text-xs ${softText}`}>Ano</Label>
-                <Select value={String(year)} onValueChange={(v) => setYear(Number(v))}>
-                  <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
-                    <SelectValue placeholder="Ano" />
-                  </SelectTrigger>
-                  <SelectContent className={selectContentCls}>
-                    {years.map((y) => (
-                      <SelectItem key={y} value={String(y)} className={selectItemCls}>
-                        {y}
-                      </SelectItem>
-                    ))}
-                  </SelectContent>
-                </Select>
-              </div>
+function describeRow(kind, index, row) {
+  const name = isPlainObject(row) ? row.description || row.name || "" : "";
+  const date = isPlainObject(row) && typeof row.date === "string" ? row.date : "";
+  const detail = [name && `“${String(name).slice(0, 40)}”`, date].filter(Boolean).join(" ");
+  return `${kind} ${index + 1}${detail ? ` (${detail})` : ""}`;
+}
 
-              <div>
-                <Label className={`text-xs ${softText}`}>Mês</Label>
-                <Select value={String(monthIndex0)} onValueChange={(v) => setMonthIndex0(Number(v))}>
-                  <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
-                    <SelectValue placeholder="Mês" />
-                  </SelectTrigger>
-                  <SelectContent className={selectContentCls}>
-                    {months.map((m) => (
-                      <SelectItem key={m.idx} value={String(m.idx)} className={selectItemCls}>
-                        {m.name}
-                      </SelectItem>
-                    ))}
-                  </SelectContent>
-                </Select>
-              </div>
-            </div>
-          </div>
-        </header>
+// Valida uma coleção: ids repetidos são descartados (dropped), linhas inválidas recusadas (rejected).
+function validateRows(rows, kind, validate, ctx, report) {
+  const out = [];
+  const seen = new Set();
+  (Array.isArray(rows) ? rows : []).forEach((raw, i) => {
+    const label = describeRow(kind, i, raw);
+    const res = validate(raw, ctx);
+    if (res.error) {
+      report.rejected.push({ label, reason: res.error });
+      return;
+    }
+    if (seen.has(res.row.id)) {
+      report.dropped.push({ label, reason: t("validate.duplicateId") });
+      return;
+    }
+    seen.add(res.row.id);
+    for (const reason of res.fixes) report.fixed.push({ label, reason });
+    out.push(res.row);
+  });
+  return out;
+}
 
-        <div className="mt-5 grid grid-cols-1 lg:grid-cols-3 gap-4">
-          <Card className={`lg:col-span-2 ${cardCls}`} style={cardStyle}>
-            <CardContent className="p-4 sm:p-6">
-              <Tabs defaultValue="dashboard">
-                <TabsList className="grid w-full grid-cols-3 bg-zinc-900 border border-zinc-800">
-                  <TabsTrigger className="text-white data-[state=active]:text-black data-[state=active]:bg-[var(--gold)]" style={{ "--gold": GOLD }} value="dashboard">
-                    Resumo
-                  </TabsTrigger>
-                  <TabsTrigger className="text-white data-[state=active]:text-black data-[state=active]:bg-[var(--gold)]" style={{ "--gold": GOLD }} value="mov">
-                    Movimentos
-                  </TabsTrigger>
-                  <TabsTrigger className="text-white data-[state=active]:text-black data-[state=active]:bg-[var(--gold)]" style={{ "--gold": GOLD }} value="metas">
-                    Metas
-                  </TabsTrigger>
-                </TabsList>
+// Validador comum à carga inicial e à importação: nada malformado chega em totals/gráficos.
+// Relatório: fixed = corrigido e mantido; dropped = repetido e descartado; rejected = inválido e descartado.
+function validateState(data) {
+  const report = { fixed: [], dropped: [], rejected: [] };
+
+  const baseCurrency = isCurrencyCode(data.currency) ? data.currency : "BRL";
+  let accounts = validateRows(data.accounts, t("row.account"), validateAccount, { baseCurrency }, report);
+  if (accounts.length === 0) accounts = DEFAULT_ACCOUNTS.map((a) => ({ ...a, currency: baseCurrency }));
+  const locale = LOCALES[data.locale] ? data.locale : DEFAULT_LOCALE;
+  const ctx = { accountIds: new Set(accounts.map((a) => a.id)), fallbackAccountId: accounts[0].id, baseCurrency, otherExpense: otherExpenseCategory(locale), otherIncome: otherIncomeCategory(locale) };
+
+  const cleanCategories = (list, label) => {
+    const out = Array.from(new Set((Array.isArray(list) ? list : []).filter((c) => typeof c === "string" && c.trim()).map((c) => c.trim())));
+    if (Array.isArray(list) && out.length !== list.length) report.fixed.push({ label, reason: t("validate.categoriesFixed") });
+    return out;
+  };
+  const categories = cleanCategories(data.categories, t("validate.categories"));
+  const incomeCategories = cleanCategories(data.incomeCategories, t("validate.incomeCategories"));
+
+  const budgets = {};
+  for (const [cat, v] of Object.entries(isPlainObject(data.budgets) ? data.budgets : {})) {
+    const n = coerceAmount(v);
+    if (n > 0) budgets[cat] = n;
+    else report.rejected.push({ label: t("validate.budgetRow", { category: cat }), reason: t("validate.badAmount") });
+  }
+
+  const state = {
+    version: SCHEMA_VERSION,
+    locale,
+    currency: baseCurrency,
+    categories: categories.length ? categories : DEFAULT_CATEGORIES_BY_LOCALE[locale],
+    incomeCategories: incomeCategories.length ? incomeCategories : DEFAULT_INCOME_CATEGORIES_BY_LOCALE[locale],
+    transactions: validateRows(data.transactions, t("row.transaction"), validateTransaction, ctx, report),
+    goals: validateRows(data.goals, t("row.goal"), validateGoal, ctx, report),
+    recurrences: validateRows(data.recurrences, t("row.recurrence"), validateRecurrence, ctx, report),
+    budgets,
+    accounts,
+    rates: validateRows(data.rates, t("row.rate"), validateRate, ctx, report),
+  };
+  return { state, report };
+}
+
+// Pipeline único: migra pela versão e valida linha a linha. Lança erro se o arquivo não serve.
+function prepareState(raw) {
+  if (!isPlainObject(raw)) throw new Error(t("validate.notFinp"));
+  if (!Array.isArray(raw.transactions)) throw new Error(t("validate.noTransactions"));
+  return validateState(migrateState(raw));
+}
+
+function loadState() {
+  try {
+    const raw = localStorage.getItem(LS_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+function saveState(state) {
+  localStorage.setItem(LS_KEY, JSON.stringify(state));
+}
+
+// IndexedDB: cada coleção é um object store (uma linha por registro) e o resto fica em "meta".
+// Assim só o que mudou é gravado, em vez de reescrever o JSON inteiro a cada alteração.
+const DB_NAME = "finp";
+const DB_VERSION = 2;
+const DB_COLLECTIONS = ["transactions", "goals", "recurrences", "accounts", "rates"];
+const DB_META_FIELDS = ["version", "locale", "currency", "categories", "incomeCategories", "budgets"];
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDb() {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+    for (const name of DB_COLLECTIONS) if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: "id" });
+  };
+  return idbRequest(req);
+}
+
+// null se o banco ainda está vazio (primeira execução).
+async function readDb(db) {
+  const tx = db.transaction(["meta", ...DB_COLLECTIONS], "readonly");
+  const meta = tx.objectStore("meta");
+  const version = await idbRequest(meta.get("version"));
+  if (version == null) return null;
+  const data = { version };
+  for (const f of DB_META_FIELDS.slice(1)) data[f] = await idbRequest(meta.get(f));
+  for (const name of DB_COLLECTIONS) data[name] = await idbRequest(tx.objectStore(name).getAll());
+  return data;
+}
+
+// Diferença entre dois estados, registro a registro. Os updates são imutáveis, então registro com a
+// mesma referência não mudou. prev null = tudo (`full`: quem aplica troca as coleções inteiras).
+function diffStates(prev, next) {
+  const diff = { full: !prev, meta: {}, upserts: {}, deletes: {} };
+  for (const f of DB_META_FIELDS) if (!prev || prev[f] !== next[f]) diff.meta[f] = next[f];
+  for (const name of DB_COLLECTIONS) {
+    if (!prev) {
+      diff.upserts[name] = next[name];
+      continue;
+    }
+    if (prev[name] === next[name]) continue;
+    const before = new Map(prev[name].map((row) => [row.id, row]));
+    const upserts = [];
+    for (const row of next[name]) {
+      if (before.get(row.id) !== row) upserts.push(row);
+      before.delete(row.id);
+    }
+    if (upserts.length) diff.upserts[name] = upserts;
+    if (before.size) diff.deletes[name] = Array.from(before.keys());
+  }
+  return diff;
+}
+
+function isEmptyDiff(diff) {
+  return !diff.full && !Object.keys(diff.meta).length && !Object.keys(diff.upserts).length && !Object.keys(diff.deletes).length;
+}
+
+// Aplica um diff (de outra aba) por registro: o que a outra aba não tocou fica como está aqui.
+// Regravação completa (`full`): os registros dela valem, mas o que só existe aqui é mantido (esta aba
+// pode tê-lo criado no meio tempo); `keepLocal: false` dá a cópia exata do que foi gravado.
+function applyDiff(state, diff, { keepLocal = true } = {}) {
+  const next = { ...state, ...diff.meta };
+  for (const name of DB_COLLECTIONS) {
+    const upserts = diff.upserts[name] || [];
+    if (diff.full) {
+      const incoming = new Set(upserts.map((row) => row.id));
+      next[name] = keepLocal ? [...state[name].filter((row) => !incoming.has(row.id)), ...upserts] : upserts;
+      continue;
+    }
+    const deletes = new Set(diff.deletes[name] || []);
+    if (!upserts.length && !deletes.size) continue;
+    const incoming = new Map(upserts.map((row) => [row.id, row]));
+    const kept = state[name].filter((row) => !deletes.has(row.id)).map((row) => incoming.get(row.id) || row);
+    const existing = new Set(state[name].map((row) => row.id));
+    next[name] = [...upserts.filter((row) => !existing.has(row.id)), ...kept];
+  }
+  return next;
+}
+
+// Grava um diff numa única transação (tudo ou nada).
+function writeDb(db, diff) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["meta", ...DB_COLLECTIONS], "readwrite");
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error(t("storage.aborted")));
+
+    const meta = tx.objectStore("meta");
+    for (const [f, value] of Object.entries(diff.meta)) meta.put(value, f);
+
+    for (const name of DB_COLLECTIONS) {
+      const store = tx.objectStore(name);
+      if (diff.full) store.clear();
+      for (const row of diff.upserts[name] || []) store.put(row);
+      for (const id of diff.deletes[name] || []) store.delete(id);
+    }
+  });
+}
+
+// Camada de armazenamento: IndexedDB quando existe, localStorage como reserva.
+// load() devolve os dados crus (ainda sem migrar/validar) e de onde vieram.
+async function openStorage() {
+  if (typeof indexedDB === "undefined") return localStorageBackend();
+  let db;
+  try {
+    db = await openDb();
+  } catch {
+    // IndexedDB bloqueado (ex.: navegação privada): segue com localStorage.
+    return localStorageBackend();
+  }
+  return {
+    kind: "indexeddb",
+    async load() {
+      const data = await readDb(db);
+      if (data) return { raw: data, source: "indexeddb" };
+      // Primeira execução com IndexedDB: traz o que estava no localStorage.
+      const legacy = loadState();
+      return { raw: legacy, source: legacy ? "localStorage" : "empty" };
+    },
+    save: (diff) => writeDb(db, diff),
+    // Depois que os dados antigos foram gravados no IndexedDB, libera o espaço do localStorage.
+    finishMigration: () => localStorage.removeItem(LS_KEY),
+  };
+}
+
+function localStorageBackend() {
+  return {
+    kind: "localStorage",
+    async load() {
+      const raw = loadState();
+      return { raw, source: raw ? "localStorage" : "empty" };
+    },
+    save: async (diff, next) => saveState(next),
+    finishMigration: () => {},
+  };
+}
+
+const SYNC_CHANNEL = "finp:sync";
+const TAB_ID = uid();
+
+// Avisa as outras abas do que foi salvo. BroadcastChannel quando existe; senão, evento "storage"
+// (uma chave do localStorage usada só como mensageiro).
+function openSyncChannel(onDiff) {
+  const receive = (msg) => {
+    if (msg && msg.from !== TAB_ID && msg.diff) onDiff(msg.diff);
+  };
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(SYNC_CHANNEL);
+    channel.onmessage = (e) => receive(e.data);
+    return { post: (diff) => channel.postMessage({ from: TAB_ID, diff }), close: () => channel.close() };
+  }
+  const onStorage = (e) => {
+    if (e.key !== SYNC_CHANNEL || !e.newValue) return;
+    try {
+      receive(JSON.parse(e.newValue));
+    } catch {
+      // mensagem truncada; a próxima carga lê do armazenamento
+    }
+  };
+  window.addEventListener("storage", onStorage);
+  return {
+    post: (diff) => {
+      try {
+        localStorage.setItem(SYNC_CHANNEL, JSON.stringify({ from: TAB_ID, diff, at: Date.now() }));
+      } catch {
+        // sem espaço para o aviso: as outras abas veem a mudança na próxima carga
+      }
+    },
+    close: () => window.removeEventListener("storage", onStorage),
+  };
+}
+
+function describeStorageError(err) {
+  if (err?.name === "QuotaExceededError") return t("storage.quota");
+  return err?.message || t("storage.unknown");
+}
+
+function toNumberBR(input) {
+  // Accepts "12,34" or "12.34" or "1.234,56"
+  // Com vírgula, pontos são milhar. Sem vírgula, um único ponto com 1–2 casas no fim é decimal
+  // (extratos exportam "-12.50"); qualquer outro ponto é milhar ("1.234").
+  if (typeof input !== "string") return 0;
+  let s = input.trim().replace(/[^0-9.,\-]/g, "");
+  if (s.includes(",")) s = s.replace(/\./g, "").replace(/,/g, ".");
+  else if (!/^-?\d*\.\d{1,2}$/.test(s)) s = s.replace(/\./g, "");
+  const n = Number(s);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Valor digitado pelo usuário, no formato do idioma: en-US lê "1,234.56" (vírgula é milhar);
+// pt-BR/es seguem toNumberBR ("1.234,56").
+function parseAmount(input, locale = activeLocale) {
+  return parseDecimal(input, LOCALES[locale]?.decimal);
+}
+
+// "," segue toNumberBR; "." lê "1,234.56" (vírgula é milhar).
+function parseDecimal(input, decimal) {
+  if (decimal !== ".") return toNumberBR(input);
+  if (typeof input !== "string") return 0;
+  const n = Number(input.trim().replace(/[^0-9.\-]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Valor salvo → texto editável no formato do idioma (12.5 → "12,5" em pt-BR).
+function amountToInput(value) {
+  const s = String(value);
+  return LOCALES[activeLocale].decimal === "," ? s.replace(".", ",") : s;
+}
+
+// Aceita "31/01/2026", "31/01/26", "31-01-2026" e "2026-01-31". Retorna ISO ou null.
+// `monthFirst` lê datas americanas ("01/31/2026").
+function parseDateBR(input, monthFirst = false) {
+  const s = String(input || "").trim();
+  let y, m, d;
+  let match = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) [, y, m, d] = match.map(Number);
+  else {
+    match = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/);
+    if (!match) return null;
+    [, d, m, y] = match.map(Number);
+    if (monthFirst) [d, m] = [m, d];
+    if (y < 100) y += 2000;
+  }
+  const date = new Date(y, m - 1, d);
+  if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+  return localIso(date);
+}
+
+// Formato de número e data de um extrato CSV, tirado das próprias linhas (não do idioma da tela):
+// vírgula com 1–2 casas no fim é decimal; vírgula em outra posição é milhar ("1,234.56"). Uma data com
+// o primeiro número > 12 é dia/mês; com o segundo > 12, mês/dia. Na dúvida, o padrão dos bancos BR.
+function detectStatementFormat(amounts, dates) {
+  const decimal = amounts.some((v) => /,\d{1,2}\s*$/.test(v)) ? "," : amounts.some((v) => v.includes(",")) ? "." : ",";
+  let monthFirst = false;
+  for (const v of dates) {
+    const match = String(v || "").trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-]\d{2,4}\b/);
+    if (!match) continue;
+    if (Number(match[1]) > 12) return { decimal, monthFirst: false };
+    if (Number(match[2]) > 12) monthFirst = true;
+  }
+  return { decimal, monthFirst };
+}
+
+// Conta o separador mais frequente na primeira linha (bancos BR costumam usar ";").
+function detectCsvDelimiter(text) {
+  const line = text.split(/\r?\n/).find((l) => l.trim()) || "";
+  const counts = [";", ",", "\t"].map((d) => [d, line.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ";";
+}
+
+// CSV simples com aspas ("a;b" e "" escapado). Ignora linhas vazias.
+function parseCsv(text, delimiter) {
+  const src = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else quoted = false;
+      } else field += ch;
+      continue;
+    }
+    if (ch === '"') quoted = true;
+    else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+function normalizeText(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// "UBER *TRIP 123" ~ "Uber trip": igual, contido, ou metade das palavras em comum.
+function similarDescriptions(a, b) {
+  const x = normalizeText(a);
+  const y = normalizeText(b);
+  if (!x || !y) return false;
+  if (x === y || x.includes(y) || y.includes(x)) return true;
+  const ta = new Set(x.split(" "));
+  const tb = new Set(y.split(" "));
+  let common = 0;
+  for (const t of ta) if (tb.has(t)) common++;
+  return common / Math.min(ta.size, tb.size) >= 0.5;
+}
+
+// Provável duplicado: mesma data, mesmo tipo, mesmo valor (centavos) e descrição parecida.
+function findDuplicate(candidate, transactions) {
+  return (
+    transactions.find(
+      (t) =>
+        t.date === candidate.date &&
+        t.type === candidate.type &&
+        Math.abs(t.amount - candidate.amount) < 0.005 &&
+        similarDescriptions(t.description, candidate.description)
+    ) || null
+  );
+}
+
+function isOfx(text) {
+  return /OFXHEADER|<OFX>/i.test(text);
+}
+
+function decodeOfxEntities(s) {
+  return s.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+}
+
+// Serve para SGML (1.x, folhas sem tag de fechamento) e XML (2.x): o valor vai até o próximo "<" ou fim de linha.
+function ofxField(block, tag) {
+  const m = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return m ? decodeOfxEntities(m[1].trim()) : "";
+}
+
+// Cada <STMTTRN> vira { date, description, amount (com sinal), fitid, raw }.
+// DTPOSTED vem como "20260131120000[-3:BRT]"; só a data interessa.
+function parseOfx(text) {
+  if (!isOfx(text)) return null;
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>|$)/gi) || [];
+  return blocks.map((block) => {
+    const posted = ofxField(block, "DTPOSTED").match(/^(\d{4})(\d{2})(\d{2})/);
+    const name = ofxField(block, "NAME");
+    const memo = ofxField(block, "MEMO");
+    const description = name && memo && !similarDescriptions(name, memo) ? `${name} - ${memo}` : memo || name;
+    const rawAmount = ofxField(block, "TRNAMT");
+    return {
+      date: posted ? parseDateBR(`${posted[1]}-${posted[2]}-${posted[3]}`) : null,
+      description,
+      amount: toNumberBR(rawAmount),
+      fitid: ofxField(block, "FITID"),
+      raw: [ofxField(block, "DTPOSTED"), rawAmount, description].filter(Boolean).join(" | "),
+    };
+  });
+}
+
+// Lê como UTF-8 e, se aparecerem caracteres inválidos, relê como Windows-1252 (comum em Itaú/BB).
+function readTextFile(file) {
+  const read = (encoding) =>
+    new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result || ""));
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file, encoding);
+    });
+  return read("utf-8").then((text) => (text.includes("\uFFFD") ? read("windows-1252") : text));
+}
+
+function clamp(n, a, b) {
+  return Math.min(b, Math.max(a, n));
+}
+
+// Orçamento: a partir de 80% vira alerta; acima de 100% estourou.
+const BUDGET_WARN_RATIO = 0.8;
+
+function budgetStatus(spent, budget) {
+  if (!(budget > 0)) return "none";
+  const r = spent / budget;
+  if (r > 1) return "over";
+  if (r >= BUDGET_WARN_RATIO) return "warn";
+  return "ok";
+}
+
+const BUDGET_STATUS_COLORS = {
+  ok: GOLD,
+  warn: "#f59e0b",
+  over: "#e11d48",
+};
+
+// Categoria única de todas as receitas até a v4 (a migração 4 troca pela categoria "outras").
+const RESERVED_CATEGORY = "Receita";
+
+// Rótulo na tela: a categoria fixa das transferências segue o idioma; as do usuário ficam como ele escreveu.
+function categoryLabel(category) {
+  if (category === TRANSFER_CATEGORY) return t("type.transfer");
+  return category;
+}
+
+function validateCategoryName(name, categories, ignore) {
+  const n = name.trim();
+  if (n.length < 2) return t("category.tooShort");
+  if (categories.some((c) => c !== ignore && c.toLowerCase() === n.toLowerCase())) return t("category.exists");
+  return null;
+}
+
+// Partes de um gasto dividido: a mesma categoria repetida é somada. Só vale com 2+ categorias,
+// valores positivos e soma igual ao total (ao centavo); senão devolve null.
+function normalizeSplits(list, total) {
+  if (!Array.isArray(list)) return null;
+  const cents = new Map();
+  for (const line of list) {
+    const category = typeof line?.category === "string" ? line.category.trim() : "";
+    const amount = coerceAmount(line?.amount);
+    if (!category || !(amount > 0)) return null;
+    cents.set(category, (cents.get(category) || 0) + Math.round(amount * 100));
+  }
+  const sum = Array.from(cents.values()).reduce((a, b) => a + b, 0);
+  if (cents.size < 2 || sum !== Math.round(total * 100)) return null;
+  return Array.from(cents, ([category, c]) => ({ category, amount: c / 100 }));
+}
+
+// `category` de um movimento dividido guarda a da maior parte (para quem não olha as partes).
+function mainSplitCategory(splits) {
+  return splits.reduce((a, b) => (b.amount > a.amount ? b : a)).category;
+}
+
+function txCategories(tx) {
+  return tx.splits?.length ? tx.splits.map((s) => s.category) : [tx.category];
+}
+
+// Move transações e recorrências de uma categoria para outra (inclusive partes de gastos divididos).
+function reassignCategory(state, from, to, type = "expense") {
+  const fix = (x) => {
+    if (x.type !== type || !txCategories(x).includes(from)) return x;
+    if (!x.splits?.length) return { ...x, category: to };
+    const splits = normalizeSplits(
+      x.splits.map((s) => (s.category === from ? { ...s, category: to } : s)),
+      x.amount
+    );
+    if (splits) return { ...x, splits, category: mainSplitCategory(splits) };
+    // Todas as partes caíram na mesma categoria: deixa de ser dividido.
+    const row = { ...x, category: to };
+    delete row.splits;
+    return row;
+  };
+  return {
+    ...state,
+    transactions: state.transactions.map(fix),
+    recurrences: (state.recurrences || []).map(fix),
+  };
+}
+
+// Cartão de crédito: compras a partir do dia de fechamento caem na fatura seguinte.
+// A fatura é identificada pelo mês de vencimento ("yyyy-mm"), que é o mês em que pesa no orçamento.
+function dueOffsetMonths(card) {
+  return (card.dueDay || 10) <= (card.closingDay || 1) ? 1 : 0;
+}
+
+function invoiceKeyFor(dateIso, card) {
+  const d = new Date(dateIso + "T00:00:00");
+  const closing = Math.min(card.closingDay || 1, daysInMonth(d.getFullYear(), d.getMonth()));
+  const closeMonth = d.getMonth() + (d.getDate() >= closing ? 1 : 0);
+  return monthKey(localIso(new Date(d.getFullYear(), closeMonth + dueOffsetMonths(card), 1)));
+}
+
+// Fatura de uma compra: a que ficou gravada quando o cartão mudou de dias, senão a calculada pela data.
+function purchaseInvoiceKey(t, card) {
+  return t.invoiceKey || invoiceKeyFor(t.date, card);
+}
+
+// Mudou fechamento/vencimento: o que já foi comprado fica na fatura em que estava (pagamentos apontam
+// para ela); só as compras futuras seguem os dias novos.
+function freezeInvoiceKeys(transactions, card, todayIso) {
+  return transactions.map((t) =>
+    t.accountId === card.id && (t.type === "expense" || t.type === "income") && !t.invoiceKey && t.date <= todayIso
+      ? { ...t, invoiceKey: invoiceKeyFor(t.date, card) }
+      : t
+  );
+}
+
+// Compra editada para outra data, conta ou tipo volta a ter a fatura calculada.
+function dropStaleInvoiceKey(prev, next) {
+  if (!next.invoiceKey || (prev.type === "transfer" && next.type === "transfer")) return next;
+  if (next.type === prev.type && next.date === prev.date && next.accountId === prev.accountId) return next;
+  const row = { ...next };
+  delete row.invoiceKey;
+  return row;
+}
+
+// Datas de uma fatura: período de compras [start, closing) e vencimento.
+function invoiceDates(key, card) {
+  const [y, m] = key.split("-").map(Number);
+  const at = (monthIndex0, day) => {
+    const first = new Date(y, monthIndex0, 1);
+    return localIso(new Date(first.getFullYear(), first.getMonth(), Math.min(day, daysInMonth(first.getFullYear(), first.getMonth()))));
+  };
+  const closeMonth = m - 1 - dueOffsetMonths(card);
+  return {
+    start: at(closeMonth - 1, card.closingDay || 1),
+    closing: at(closeMonth, card.closingDay || 1),
+    due: at(m - 1, card.dueDay || 10),
+  };
+}
+
+// Mês em que o movimento pesa: mês da fatura para compras/estornos no cartão, senão o mês da data.
+function txMonthKey(t, accountsById) {
+  const acc = accountsById?.get(t.accountId);
+  if (acc?.kind === "credit" && (t.type === "expense" || t.type === "income")) return purchaseInvoiceKey(t, acc);
+  return monthKey(t.date);
+}
+
+// Resumo das faturas de um cartão, mais recente primeiro. Pagamentos são transferências com `invoiceKey`.
+function cardInvoices(card, transactions, todayIso, amountOf = nominalAmount) {
+  const map = new Map();
+  const row = (key) => {
+    if (!map.has(key)) map.set(key, { key, total: 0, paid: 0, count: 0 });
+    return map.get(key);
+  };
+  row(invoiceKeyFor(todayIso, card));
+  for (const t of transactions) {
+    if (t.accountId === card.id && (t.type === "expense" || t.type === "income")) {
+      const r = row(purchaseInvoiceKey(t, card));
+      r.total += t.type === "expense" ? amountOf(t) : -amountOf(t);
+      r.count++;
+    } else if (t.type === "transfer" && t.toAccountId === card.id && t.invoiceKey) {
+      row(t.invoiceKey).paid += amountOf(t);
+    }
+  }
+  return Array.from(map.values())
+    .map((r) => {
+      const dates = invoiceDates(r.key, card);
+      const status = todayIso < dates.closing ? "open" : r.paid >= r.total - 0.005 ? "paid" : "closed";
+      return { ...r, ...dates, status };
+    })
+    .sort((a, b) => (a.key < b.key ? 1 : -1));
+}
+
+// Gastos somados por categoria, maior primeiro (pizza do dashboard e exportação).
+// Gasto dividido vira uma linha por parte (mesma data, conta e moeda; categoria e valor da parte).
+function expandSplits(txs) {
+  return txs.flatMap((t) => (t.splits?.length ? t.splits.map((s) => ({ ...t, category: s.category, amount: s.amount, splits: undefined })) : [t]));
+}
+
+function sumByCategory(txs, amountOf = nominalAmount, type = "expense") {
+  const map = new Map();
+  for (const t of expandSplits(txs)) {
+    if (t.type !== type) continue;
+    map.set(t.category, (map.get(t.category) || 0) + amountOf(t));
+  }
+  return Array.from(map.entries())
+    .map(([name, value]) => ({ name, value }))
+    .sort((a, b) => b.value - a.value);
+}
+
+const MAX_TAG_LENGTH = 40;
+
+// Tags livres: espaços normalizados, sem repetir (ignorando maiúsculas), na ordem em que foram digitadas.
+function normalizeTags(list) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of Array.isArray(list) ? list : []) {
+    const tag = String(raw ?? "").trim().replace(/\s+/g, " ").slice(0, MAX_TAG_LENGTH);
+    const k = tag.toLocaleLowerCase();
+    if (!tag || seen.has(k)) continue;
+    seen.add(k);
+    out.push(tag);
+  }
+  return out;
+}
+
+// Tags já usadas, das mais frequentes para as menos (sugestões do formulário).
+function collectTags(txs) {
+  const map = new Map();
+  for (const t of txs) {
+    for (const tag of t.tags || []) {
+      const k = tag.toLocaleLowerCase();
+      const row = map.get(k) || { tag, count: 0 };
+      row.count += 1;
+      map.set(k, row);
+    }
+  }
+  return Array.from(map.values())
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .map((r) => r.tag);
+}
+
+// Totais por tag (receitas e gastos separados) com a quebra por categoria dentro de cada uma.
+// Um movimento com várias tags conta inteiro em cada uma delas; transferências ficam de fora.
+function sumByTag(txs, amountOf = nominalAmount) {
+  const map = new Map();
+  for (const t of txs) {
+    if (t.type === "transfer") continue;
+    const value = amountOf(t);
+    for (const tag of t.tags || []) {
+      const k = tag.toLocaleLowerCase();
+      const row = map.get(k) || { tag, income: 0, expense: 0, count: 0, categories: new Map() };
+      row[t.type] += value;
+      row.count += 1;
+      for (const part of expandSplits([t])) {
+        const ck = `${t.type}:${part.category}`;
+        const cat = row.categories.get(ck) || { name: part.category, type: t.type, value: 0 };
+        cat.value += amountOf(part);
+        row.categories.set(ck, cat);
+      }
+      map.set(k, row);
+    }
+  }
+  return Array.from(map.values())
+    .map((r) => ({ ...r, categories: Array.from(r.categories.values()).sort((a, b) => b.value - a.value) }))
+    .sort((a, b) => b.expense + b.income - (a.expense + a.income));
+}
+
+// Receitas/gastos por "yyyy-mm", em ordem cronológica. `keyOf` permite usar o mês da fatura.
+function sumByMonth(txs, keyOf = (t) => monthKey(t.date), amountOf = nominalAmount) {
+  const map = new Map();
+  for (const t of txs) {
+    const k = keyOf(t);
+    const row = map.get(k) || { key: k, Receitas: 0, Gastos: 0 };
+    if (t.type === "income") row.Receitas += amountOf(t);
+    else if (t.type === "expense") row.Gastos += amountOf(t);
+    else continue;
+    map.set(k, row);
+  }
+  return Array.from(map.values()).sort((a, b) => (a.key < b.key ? -1 : 1));
+}
+
+function monthKey(dateIso) {
+  const d = new Date(dateIso + "T00:00:00");
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+}
+
+function monthLabelFromKey(ym) {
+  const [y, m] = ym.split("-").map(Number);
+  const d = new Date(y, (m || 1) - 1, 1);
+  // "fev/26" — compacto e legível no eixo
+  return d.toLocaleDateString(intlLocale(), { month: "short" }).replace(".", "") + "/" + String(y).slice(2);
+}
+
+function makeActiveMonthISO(year, monthIndex0) {
+  const d = new Date(year, monthIndex0, 1);
+  return d.toISOString().slice(0, 10);
+}
+
+function monthName(monthIndex0) {
+  const d = new Date(2026, monthIndex0, 1);
+  return d.toLocaleDateString(intlLocale(), { month: "long" });
+}
+
+function getYearFromIso(iso) {
+  return new Date(iso + "T00:00:00").getFullYear();
+}
+
+// ISO "yyyy-mm-dd" no fuso local (toISOString converte para UTC e pode voltar um dia).
+function localIso(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function daysInMonth(year, monthIndex0) {
+  return new Date(year, monthIndex0 + 1, 0).getDate();
+}
+
+// Mesmo dia `n` meses depois, limitado ao último dia do mês (31/01 + 1 → 28/02).
+function addMonthsIso(iso, n) {
+  const d = new Date(iso + "T00:00:00");
+  const first = new Date(d.getFullYear(), d.getMonth() + n, 1);
+  return localIso(new Date(first.getFullYear(), first.getMonth(), Math.min(d.getDate(), daysInMonth(first.getFullYear(), first.getMonth()))));
+}
+
+// Divide uma compra em `count` parcelas mensais. Trabalha em centavos: a sobra do arredondamento vai na última.
+// `mode` diz se `amount` é o total ("total") ou o valor de cada parcela ("parcela").
+function buildInstallments(base, count, amount, mode) {
+  const totalCents = mode === "total" ? Math.round(amount * 100) : Math.round(amount * 100) * count;
+  const perCents = Math.floor(totalCents / count);
+  const groupId = uid();
+  return Array.from({ length: count }, (_, i) => ({
+    ...base,
+    id: uid(),
+    date: addMonthsIso(base.date, i),
+    amount: (i === count - 1 ? totalCents - perCents * (count - 1) : perCents) / 100,
+    installment: { groupId, index: i + 1, count, total: totalCents / 100 },
+  }));
+}
+
+// Valores são chaves do catálogo.
+const FREQUENCY_LABELS = {
+  monthly: "frequency.monthly",
+  weekly: "frequency.weekly",
+  yearly: "frequency.yearly",
+};
+
+function describeRecurrence(rule) {
+  const base = rule.frequency === "monthly" ? t("frequency.monthlyDay", { day: rule.day }) : FREQUENCY_LABELS[rule.frequency] ? t(FREQUENCY_LABELS[rule.frequency]) : rule.frequency;
+  if (rule.count > 0) return `${base} • ${rule.count}x`;
+  if (rule.endDate) return `${base} • ${t("frequency.until", { date: formatDate(rule.endDate) })}`;
+  return base;
+}
+
+// Percorre as datas de uma regra em ordem, respeitando endDate e count.
+// `visit` recebe a data ISO e pode retornar false para parar.
+function eachRecurrenceDate(rule, visit) {
+  const start = new Date(rule.startDate + "T00:00:00");
+  const sy = start.getFullYear();
+  const sm = start.getMonth();
+  const sd = start.getDate();
+  let emitted = 0;
+
+  for (let i = 0; i < 10000; i++) {
+    if (rule.count > 0 && emitted >= rule.count) return;
+
+    let d;
+    if (rule.frequency === "weekly") {
+      d = new Date(sy, sm, sd + 7 * i);
+    } else if (rule.frequency === "yearly") {
+      d = new Date(sy + i, sm, Math.min(sd, daysInMonth(sy + i, sm)));
+    } else {
+      const first = new Date(sy, sm + i, 1);
+      d = new Date(first.getFullYear(), first.getMonth(), Math.min(rule.day || sd, daysInMonth(first.getFullYear(), first.getMonth())));
+    }
+
+    const iso = localIso(d);
+    if (iso < rule.startDate) continue;
+    if (rule.endDate && iso > rule.endDate) return;
+    emitted++;
+    if (visit(iso) === false) return;
+  }
+}
+
+function recurrenceDatesUntil(rule, toIso) {
+  const out = [];
+  eachRecurrenceDate(rule, (iso) => {
+    if (iso > toIso) return false;
+    out.push(iso);
+  });
+  return out;
+}
+
+function nextRecurrenceDate(rule, afterIso) {
+  let next = null;
+  eachRecurrenceDate(rule, (iso) => {
+    if (iso <= afterIso) return;
+    next = iso;
+    return false;
+  });
+  return next;
+}
+
+// Cria os movimentos de cada regra que venceram até `horizonIso`.
+// `generatedUntil` marca até onde a regra já foi materializada, então
+// apagar um movimento gerado não faz ele voltar.
+function materializeRecurrences(state, horizonIso) {
+  const rules = state.recurrences || [];
+  const created = [];
+  let changed = false;
+
+  const nextRules = rules.map((r) => {
+    if (r.generatedUntil && r.generatedUntil >= horizonIso) return r;
+    const skipped = r.skipped || [];
+    for (const date of recurrenceDatesUntil(r, horizonIso)) {
+      if (r.generatedUntil && date <= r.generatedUntil) continue;
+      if (skipped.includes(date)) continue;
+      // Id determinístico: duas abas gerando a mesma ocorrência produzem o mesmo registro.
+      created.push({
+        id: `${r.id}@${date}`,
+        type: r.type,
+        date,
+        amount: r.amount,
+        description: r.description,
+        category: r.category,
+        accountId: r.accountId || state.accounts?.[0]?.id,
+        currency: r.currency || state.currency,
+        recurrenceId: r.id,
+        createdAt: new Date().toISOString(),
+      });
+    }
+    changed = true;
+    return { ...r, generatedUntil: horizonIso };
+  });
+
+  if (!changed) return state;
+  return { ...state, recurrences: nextRules, transactions: [...created, ...state.transactions] };
+}
+
+// Previsão de caixa para os `months` meses depois do mês de hoje, em "yyyy-mm" (já na moeda base via `amountOf`).
+// - Ponto de partida: o total guardado menos o que já está lançado para meses futuros (parcelas, datas
+//   futuras, faturas do cartão), que volta a entrar no mês certo. O que cai depois do último mês previsto
+//   fica em `afterHorizon` ({ Receitas, Gastos }), fora da linha do saldo.
+// - Recorrências entram pelas ocorrências ainda não geradas.
+// - Gastos avulsos ganham uma base: a média por categoria dos últimos `baselineMonths` meses fechados,
+//   sem recorrências e parcelas (que já entram como conhecidas). Receitas só entram se forem conhecidas.
+function forecastCashFlow({ transactions, recurrences, accountsById, amountOf = nominalAmount, totalBalance, todayIso, months, baselineMonths }) {
+  const today = new Date(todayIso + "T00:00:00");
+  const currentKey = monthKey(todayIso);
+  const keys = Array.from({ length: months }, (_, i) => monthKey(localIso(new Date(today.getFullYear(), today.getMonth() + i + 1, 1))));
+  const endIso = localIso(new Date(today.getFullYear(), today.getMonth() + months + 1, 0));
+  const rows = new Map(keys.map((k) => [k, { key: k, Receitas: 0, Gastos: 0 }]));
+  const afterHorizon = { Receitas: 0, Gastos: 0 };
+
+  const addKnown = (t) => {
+    const k = txMonthKey(t, accountsById);
+    if (k <= currentKey || t.type === "transfer") return 0;
+    const row = rows.get(k) || afterHorizon;
+    const value = amountOf(t);
+    row[t.type === "income" ? "Receitas" : "Gastos"] += value;
+    return t.type === "income" ? value : -value;
+  };
+
+  let opening = totalBalance;
+  for (const t of transactions) opening -= addKnown(t);
+
+  for (const r of recurrences || []) {
+    const skipped = r.skipped || [];
+    for (const date of recurrenceDatesUntil(r, endIso)) {
+      if ((r.generatedUntil && date <= r.generatedUntil) || skipped.includes(date)) continue;
+      addKnown({ type: r.type, date, amount: r.amount, currency: r.currency, accountId: r.accountId });
+    }
+  }
+
+  // Meses fechados com histórico (no máximo `baselineMonths`): quem começou agora não tem a média diluída.
+  const baseKeys = Array.from({ length: baselineMonths }, (_, i) => monthKey(localIso(new Date(today.getFullYear(), today.getMonth() - i - 1, 1))));
+  const firstKey = transactions.reduce((min, t) => (t.date < min ? t.date : min), todayIso).slice(0, 7);
+  const usedKeys = new Set(baseKeys.filter((k) => k >= firstKey));
+  const byCategory = new Map();
+  for (const t of expandSplits(transactions)) {
+    if (t.type !== "expense" || t.recurrenceId || t.installment || !usedKeys.has(txMonthKey(t, accountsById))) continue;
+    byCategory.set(t.category, (byCategory.get(t.category) || 0) + amountOf(t));
+  }
+  const baseline = Array.from(byCategory, ([name, sum]) => ({ name, value: sum / usedKeys.size })).sort((a, b) => b.value - a.value);
+  const baselineTotal = baseline.reduce((sum, c) => sum + c.value, 0);
+
+  let balance = opening;
+  const result = keys.map((k) => {
+    const row = rows.get(k);
+    const Gastos = row.Gastos + baselineTotal;
+    balance += row.Receitas - Gastos;
+    return { key: k, Receitas: row.Receitas, Gastos, balance };
+  });
+  return { opening, rows: result, afterHorizon, baseline, baselineTotal, baselineMonths: usedKeys.size };
+}
+
+export default function FinPApp() {
+  const [state, setState] = useState(emptyState);
+  const [loaded, setLoaded] = useState(false);
+  const [storageError, setStorageError] = useState("");
+  // Aviso da carga: { report, open } quando algo foi corrigido, { unreadable: true } quando os dados
+  // não puderam ser interpretados, { readError } quando o armazenamento nem pôde ser lido.
+  const [loadNotice, setLoadNotice] = useState(null);
+  const storageRef = useRef(null);
+  const savedRef = useRef(null); // último estado confirmado no armazenamento (base do diff)
+  const saveQueueRef = useRef(Promise.resolve());
+  const saveFailedRef = useRef(false); // alguma gravação falhou: a próxima precisa regravar tudo
+  const syncRef = useRef(null);
+
+  // Antes de qualquer texto: t() e os formatadores leem o idioma daqui.
+  activeLocale = state.locale;
+
+  const now = new Date();
+  const currentYear = now.getFullYear();
+
+  const [year, setYear] = useState(() => Math.max(2026, currentYear));
+  const [monthIndex0, setMonthIndex0] = useState(() => now.getMonth());
+
+  const activeMonth = useMemo(() => makeActiveMonthISO(year, monthIndex0), [year, monthIndex0]);
+
+  const [trendRange, setTrendRange] = useState("6m"); // month | 6m | 1y | all
+  const [forecastMonths, setForecastMonths] = useState("0"); // 0 (desligada) | 3 | 6 | 12
+  const [forecastBaseline, setForecastBaseline] = useState("3"); // meses fechados usados na média
+
+  // Link com filtros de busca (?q=…) já abre direto na aba Busca.
+  const [tab, setTab] = useState(() => (typeof window !== "undefined" && hasSearchQuery(window.location.search) ? "busca" : "dashboard"));
+  const [editingTx, setEditingTx] = useState(null);
+  const [editingGoal, setEditingGoal] = useState(null);
+  const [deletingGoal, setDeletingGoal] = useState(null);
+  const [editFollowing, setEditFollowing] = useState(true);
+  const [seriesCtx, setSeriesCtx] = useState(null); // { ruleId, tx? }
+
+  // Carga inicial (assíncrona): migra e valida o que estiver salvo antes de liberar a tela.
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      const storage = await openStorage();
+      let raw = null;
+      let source = "empty";
+      let notice = null;
+      try {
+        ({ raw, source } = await storage.load());
+      } catch (err) {
+        notice = { readError: describeStorageError(err) };
+      }
+      let next = emptyState();
+      let rewrite = source !== storage.kind;
+      if (raw) {
+        try {
+          const { state: prepared, report } = prepareState(raw);
+          const issues = report.fixed.length + report.dropped.length + report.rejected.length;
+          if (issues) notice = { report, open: false };
+          if (issues || raw.version !== SCHEMA_VERSION) rewrite = true;
+          next = prepared;
+        } catch {
+          // Não sobrescreve o que não conseguimos ler: guarda uma cópia antes de começar vazio.
+          notice = { unreadable: true };
+          rewrite = true;
+          try {
+            localStorage.setItem(`${LS_KEY}:unreadable`, JSON.stringify(raw));
+          } catch {
+            // sem espaço nem para a cópia; segue vazio
+          }
+        }
+      }
+      if (!alive) return;
+      storageRef.current = storage;
+      setLoadNotice(notice);
+      // Vindo do localStorage, migrado ou corrigido na validação: grava tudo de uma vez no backend atual.
+      if (rewrite) {
+        try {
+          await storage.save(diffStates(null, next), next);
+          if (source === "localStorage" && storage.kind !== "localStorage") storage.finishMigration();
+        } catch (err) {
+          saveFailedRef.current = true;
+          setStorageError(describeStorageError(err));
+        }
+      }
+      savedRef.current = next;
+      setState(next);
+      setLoaded(true);
+    })();
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  // Gravações em fila, uma por vez, cada uma com o diff desde a anterior; depois de gravado, o diff
+  // vai para as outras abas. Depois de uma falha, as gravações já na fila regravam tudo (não dá para
+  // saber o que chegou ao disco), e o aviso só some quando uma regravação completa der certo.
+  useEffect(() => {
+    const storage = storageRef.current;
+    if (!loaded || !storage || savedRef.current === state) return;
+    const diff = diffStates(savedRef.current, state);
+    savedRef.current = state;
+    if (isEmptyDiff(diff)) return;
+    const current = state;
+    saveQueueRef.current = saveQueueRef.current.then(() => {
+      const full = saveFailedRef.current;
+      const written = full ? diffStates(null, current) : diff;
+      return storage.save(written, current).then(
+        () => {
+          if (full) {
+            saveFailedRef.current = false;
+            setStorageError("");
+          }
+          syncRef.current?.post(written);
+        },
+        (err) => {
+          saveFailedRef.current = true;
+          savedRef.current = null;
+          setStorageError(describeStorageError(err));
+        }
+      );
+    });
+  }, [state, loaded]);
+
+  // Mudanças vindas de outra aba: aplicadas por registro aqui e na base do diff, com os mesmos
+  // objetos, para que esta aba não regrave nem reenvie o que só recebeu. Numa regravação completa a
+  // base vira o que está no disco, então o que só esta aba tinha volta a ser gravado.
+  useEffect(() => {
+    if (!loaded) return;
+    const channel = openSyncChannel((diff) => {
+      if (savedRef.current) savedRef.current = applyDiff(savedRef.current, diff, { keepLocal: false });
+      setState((s) => applyDiff(s, diff));
+    });
+    syncRef.current = channel;
+    return () => {
+      syncRef.current = null;
+      channel.close();
+    };
+  }, [loaded]);
+
+  function retrySave() {
+    const storage = storageRef.current;
+    if (!storage) return;
+    const current = state;
+    const diff = diffStates(null, current);
+    saveQueueRef.current = saveQueueRef.current.then(() =>
+      storage.save(diff, current).then(
+        () => {
+          savedRef.current = current;
+          saveFailedRef.current = false;
+          setStorageError("");
+          syncRef.current?.post(diff);
+        },
+        (err) => {
+          saveFailedRef.current = true;
+          setStorageError(describeStorageError(err));
+        }
+      )
+    );
+  }
+
+  // Recorrências: gera o que venceu até hoje ou até o fim do mês selecionado (o que vier depois).
+  useEffect(() => {
+    const endOfActive = localIso(new Date(year, monthIndex0 + 1, 0));
+    const today = isoToday();
+    const horizon = endOfActive > today ? endOfActive : today;
+    setState((s) => materializeRecurrences(s, horizon));
+  }, [year, monthIndex0, state.recurrences]);
+
+  // Years selector: start at 2026, extend to current year + include any year that exists in transactions
+  const years = useMemo(() => {
+    const set = new Set();
+    set.add(2026);
+    set.add(currentYear);
+    for (const t of state.transactions) {
+      set.add(getYearFromIso(t.date));
+    }
+    const arr = Array.from(set).sort((a, b) => a - b);
+    const min = Math.min(...arr, 2026);
+    const max = Math.max(...arr, currentYear);
+    const full = [];
+    for (let y = min; y <= max; y++) full.push(y);
+    return full;
+  }, [state.transactions, currentYear]);
+
+  // Months selector: all 12 months
+  const months = useMemo(() => {
+    return Array.from({ length: 12 }, (_, i) => ({ idx: i, name: monthName(i) }));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [state.locale]);
+
+  useEffect(() => {
+    if (!years.includes(year)) setYear(years[years.length - 1] || 2026);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [years]);
+
+  const accountsById = useMemo(() => new Map(state.accounts.map((a) => [a.id, a])), [state.accounts]);
+
+  // Tudo que é somado passa pela moeda base; movimento sem cotação fica de fora (e é avisado).
+  baseCurrencyCode = state.currency;
+  const toBase = useMemo(() => makeConverter(state.rates, state.currency), [state.rates, state.currency]);
+  const convertTx = useCallback((t) => toBase(t.amount, t.currency, t.date), [toBase]);
+  const amountOf = useCallback((t) => convertTx(t) ?? 0, [convertTx]);
+
+  // Compras no cartão entram no mês da fatura, não no mês da compra.
+  const monthTransactions = useMemo(() => {
+    const k = monthKey(activeMonth);
+    return state.transactions.filter((t) => txMonthKey(t, accountsById) === k).sort((a, b) => (a.date < b.date ? 1 : -1));
+  }, [state.transactions, activeMonth, accountsById]);
+
+  const totals = useMemo(() => {
+    let income = 0;
+    let expense = 0;
+    for (const t of monthTransactions) {
+      if (t.type === "income") income += amountOf(t);
+      else if (t.type === "expense") expense += amountOf(t);
+    }
+    const balance = income - expense;
+    return { income, expense, balance };
+  }, [monthTransactions, amountOf]);
+
+  const byCategory = useMemo(() => sumByCategory(monthTransactions, amountOf), [monthTransactions, amountOf]);
+  const byIncomeCategory = useMemo(() => sumByCategory(monthTransactions, amountOf, "income"), [monthTransactions, amountOf]);
+  const tagSuggestions = useMemo(() => collectTags(state.transactions), [state.transactions]);
+
+  // Moedas do mês sem cotação cadastrada (esses movimentos não entram nos totais).
+  const missingRates = useMemo(() => {
+    const set = new Set();
+    for (const t of monthTransactions) if (t.type !== "transfer" && convertTx(t) == null) set.add(t.currency);
+    return Array.from(set);
+  }, [monthTransactions, convertTx]);
+
+  // Orçamento x realizado no mês ativo (só categorias com orçamento definido)
+  const budgetRows = useMemo(() => {
+    const spent = new Map(byCategory.map((c) => [c.name, c.value]));
+    return Object.entries(state.budgets)
+      .filter(([, budget]) => budget > 0)
+      .map(([name, budget]) => {
+        const value = spent.get(name) || 0;
+        return { name, budget, spent: value, status: budgetStatus(value, budget) };
+      })
+      .sort((a, b) => b.spent / b.budget - a.spent / a.budget);
+  }, [byCategory, state.budgets]);
+
+  // Movimentos por categoria, separado por tipo (gasto dividido conta uma vez em cada parte).
+  const categoryUsage = useMemo(() => {
+    // Recorrências contam à parte: uma categoria usada só por regras também precisa de destino ao ser excluída.
+    const usage = { expense: new Map(), income: new Map(), rules: { expense: new Map(), income: new Map() } };
+    const count = (list, maps) => {
+      for (const t of list) {
+        const map = maps[t.type];
+        if (!map) continue;
+        for (const c of new Set(txCategories(t))) map.set(c, (map.get(c) || 0) + 1);
+      }
+    };
+    count(state.transactions, usage);
+    count(state.recurrences, usage.rules);
+    return usage;
+  }, [state.transactions, state.recurrences]);
+
+  // Usado pelo formulário para avisar antes de estourar o orçamento.
+  function categorySpentInMonth(category, dateIso, excludeId, accountId) {
+    const k = txMonthKey({ type: "expense", date: dateIso, accountId }, accountsById);
+    let sum = 0;
+    for (const t of expandSplits(state.transactions)) {
+      if (t.type !== "expense" || t.category !== category || t.id === excludeId) continue;
+      if (txMonthKey(t, accountsById) === k) sum += amountOf(t);
+    }
+    return sum;
+  }
+
+  const trendData = useMemo(() => {
+    const txs = state.transactions;
+    if (txs.length === 0) return [];
+
+    // sums by month key
+    const byM = sumByMonth(txs, (t) => txMonthKey(t, accountsById), amountOf);
+
+    const activeK = monthKey(activeMonth);
+
+    if (trendRange === "month") {
+      const found = byM.find((r) => r.key === activeK) || { key: activeK, Receitas: 0, Gastos: 0 };
+      return [{ key: found.key, label: monthLabelFromKey(found.key), Receitas: found.Receitas, Gastos: found.Gastos }];
+    }
+
+    const base = new Date(activeMonth + "T00:00:00");
+
+    if (trendRange === "6m") {
+      const result = [];
+      for (let i = 5; i >= 0; i--) {
+        const d = new Date(base.getFullYear(), base.getMonth() - i, 1);
+        const k = monthKey(d.toISOString().slice(0, 10));
+        const row = byM.find((x) => x.key === k) || { key: k, Receitas: 0, Gastos: 0 };
+        result.push({ key: row.key, label: monthLabelFromKey(row.key), Receitas: row.Receitas, Gastos: row.Gastos });
+      }
+      return result;
+    }
+
+    if (trendRange === "1y") {
+      const result = [];
+      for (let i = 11; i >= 0; i--) {
+        const d = new Date(base.getFullYear(), base.getMonth() - i, 1);
+        const k = monthKey(d.toISOString().slice(0, 10));
+        const row = byM.find((x) => x.key === k) || { key: k, Receitas: 0, Gastos: 0 };
+        result.push({ key: row.key, label: monthLabelFromKey(row.key), Receitas: row.Receitas, Gastos: row.Gastos });
+      }
+      return result;
+    }
+
+    // all time:
+    // If many months, aggregate by year to keep readable.
+    if (byM.length > 36) {
+      const mapY = new Map();
+      for (const r of byM) {
+        const [y] = r.key.split("-");
+        const row = mapY.get(y) || { key: y, label: y, Receitas: 0, Gastos: 0 };
+        row.Receitas += r.Receitas;
+        row.Gastos += r.Gastos;
+        mapY.set(y, row);
+      }
+      return Array.from(mapY.values()).sort((a, b) => (a.label < b.label ? -1 : 1));
+    }
+
+    return byM.map((r) => ({ key: r.key, label: monthLabelFromKey(r.key), Receitas: r.Receitas, Gastos: r.Gastos }));
+    // Rótulos dos meses dependem do idioma; chartData (previsão) recalcula junto.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [state.transactions, activeMonth, trendRange, accountsById, amountOf, state.locale]);
+
+  function addTransaction(tx) {
+    setState((s) => ({ ...s, transactions: [tx, ...s.transactions] }));
+  }
+
+  const usedCurrencies = useMemo(() => Array.from(new Set(state.transactions.map((t) => t.currency).filter(Boolean))), [state.transactions]);
+
+  const usedAccountIds = useMemo(() => {
+    const set = new Set();
+    for (const t of state.transactions) {
+      set.add(t.accountId);
+      if (t.toAccountId) set.add(t.toAccountId);
+    }
+    for (const r of state.recurrences) set.add(r.accountId);
+    return set;
+  }, [state.transactions, state.recurrences]);
+
+  // Só a interface muda: categorias e descrições já lançadas ficam como foram escritas.
+  function setLocale(locale) {
+    if (LOCALES[locale]) setState((s) => ({ ...s, locale }));
+  }
+
+  // Metas e orçamentos não são convertidos ao trocar a base: são números na moeda que o usuário escolheu.
+  function setBaseCurrency(code) {
+    setState((s) => ({ ...s, currency: code }));
+  }
+
+  function addRate(rate) {
+    setState((s) => ({ ...s, rates: [rate, ...s.rates] }));
+  }
+
+  function deleteRate(id) {
+    setState((s) => ({ ...s, rates: s.rates.filter((r) => r.id !== id) }));
+  }
+
+  function addAccount(account) {
+    setState((s) => ({ ...s, accounts: [...s.accounts, { currency: s.currency, ...account }] }));
+  }
+
+  function updateAccount(id, patch) {
+    setState((s) => {
+      const prev = s.accounts.find((a) => a.id === id);
+      const daysChanged =
+        prev?.kind === "credit" && ((patch.closingDay ?? prev.closingDay) !== prev.closingDay || (patch.dueDay ?? prev.dueDay) !== prev.dueDay);
+      return {
+        ...s,
+        accounts: s.accounts.map((a) => (a.id === id ? { ...a, ...patch, id } : a)),
+        transactions: daysChanged ? freezeInvoiceKeys(s.transactions, prev, isoToday()) : s.transactions,
+      };
+    });
+  }
+
+  // Só contas sem movimentos podem ser excluídas (sempre fica pelo menos uma).
+  function deleteAccount(id) {
+    if (usedAccountIds.has(id)) return;
+    setState((s) => (s.accounts.length < 2 ? s : { ...s, accounts: s.accounts.filter((a) => a.id !== id) }));
+  }
+
+  // Pagamento de fatura = uma transferência da conta para o cartão; as compras já contaram como gasto.
+  function payInvoice(card, invoiceKey, fromAccountId, amount) {
+    if (!(amount > 0)) return;
+    addTransaction({
+      id: uid(),
+      type: "transfer",
+      date: isoToday(),
+      amount,
+      description: t("invoice.paymentDescription", { card: card.name, month: monthLabelFromKey(invoiceKey) }),
+      category: TRANSFER_CATEGORY,
+      accountId: fromAccountId,
+      toAccountId: card.id,
+      currency: state.currency,
+      invoiceKey,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  function importTransactions(txs) {
+    if (txs.length === 0) return;
+    setState((s) => ({ ...s, transactions: [...txs.map((t) => ({ currency: s.currency, ...t })), ...s.transactions] }));
+  }
+
+  // Edição preserva id e createdAt; registra updatedAt.
+  function updateTransaction(id, patch) {
+    setState((s) => ({
+      ...s,
+      transactions: s.transactions.map((t) => (t.id === id ? dropStaleInvoiceKey(t, { ...t, ...patch, id, updatedAt: new Date().toISOString() }) : t)),
+    }));
+  }
+
+  function deleteTransaction(id) {
+    setState((s) => ({ ...s, transactions: s.transactions.filter((t) => t.id !== id) }));
+  }
+
+  // Aplica a edição a esta parcela e às seguintes do mesmo grupo.
+  // Se a data mudou, as seguintes são remarcadas mês a mês a partir da nova data.
+  function updateInstallmentsFrom(tx, patch) {
+    const { groupId, index, count } = tx.installment;
+    const moved = patch.date !== tx.date;
+    // O formulário sempre manda `amount`; só mexe nos valores se ele mudou de fato.
+    const { amount, ...rest } = patch;
+    const amountChanged = amount !== undefined && Math.round(amount * 100) !== Math.round(tx.amount * 100);
+    setState((s) => {
+      const group = s.transactions.filter((t) => t.installment?.groupId === groupId);
+      let amounts = null;
+      let total = tx.installment.total;
+      if (amountChanged) {
+        // Refaz as parcelas restantes a partir do novo valor; a última fica com o resto dos centavos.
+        const remaining = count - index + 1;
+        const rebuilt = buildInstallments({ date: tx.date }, remaining, amount * remaining, "total");
+        amounts = new Map(rebuilt.map((p, i) => [index + i, p.amount]));
+        const paidCents = group.filter((t) => t.installment.index < index).reduce((sum, t) => sum + Math.round(t.amount * 100), 0);
+        total = (paidCents + Math.round(amount * remaining * 100)) / 100;
+      }
+      return {
+        ...s,
+        transactions: s.transactions.map((t) => {
+          if (t.installment?.groupId !== groupId) return t;
+          const installment = { ...t.installment, total };
+          if (t.installment.index < index) return amountChanged ? { ...t, installment } : t;
+          const date = moved ? addMonthsIso(patch.date, t.installment.index - index) : t.date;
+          return dropStaleInvoiceKey(t, {
+            ...t,
+            ...rest,
+            ...(amounts ? { amount: amounts.get(t.installment.index) } : null),
+            date,
+            id: t.id,
+            installment,
+            updatedAt: new Date().toISOString(),
+          });
+        }),
+      };
+    });
+  }
+
+  // Cancela esta parcela e as seguintes (ex.: compra devolvida); as anteriores ficam.
+  function cancelInstallmentsFrom(tx) {
+    const { groupId, index } = tx.installment;
+    setState((s) => ({
+      ...s,
+      transactions: s.transactions.filter((t) => !(t.installment?.groupId === groupId && t.installment.index >= index)),
+    }));
+  }
+
+  function addRecurrence(rule) {
+    setState((s) => ({ ...s, recurrences: [{ currency: s.currency, ...rule }, ...s.recurrences] }));
+  }
+
+  // Alterar uma série refaz apenas as ocorrências futuras; o histórico fica como foi lançado.
+  function updateRecurrence(id, patch) {
+    const today = isoToday();
+    setState((s) => ({
+      ...s,
+      recurrences: s.recurrences.map((r) =>
+        r.id === id
+          ? {
+              ...r,
+              ...patch,
+              id,
+              generatedUntil: r.generatedUntil && r.generatedUntil > today ? today : r.generatedUntil,
+              updatedAt: new Date().toISOString(),
+            }
+          : r
+      ),
+      transactions: s.transactions.filter((t) => !(t.recurrenceId === id && t.date > today)),
+    }));
+  }
+
+  function skipOccurrence(tx) {
+    setState((s) => ({
+      ...s,
+      recurrences: s.recurrences.map((r) => (r.id === tx.recurrenceId ? { ...r, skipped: [...(r.skipped || []), tx.date] } : r)),
+      transactions: s.transactions.filter((t) => t.id !== tx.id),
+    }));
+  }
+
+  function stopRecurrence(id) {
+    const today = isoToday();
+    setState((s) => ({
+      ...s,
+      recurrences: s.recurrences.map((r) => (r.id === id ? { ...r, endDate: today, count: 0, updatedAt: new Date().toISOString() } : r)),
+      transactions: s.transactions.filter((t) => !(t.recurrenceId === id && t.date > today)),
+    }));
+  }
+
+  // Remove a regra e as ocorrências futuras; as passadas ficam como movimentos comuns.
+  function deleteRecurrence(id) {
+    const today = isoToday();
+    setState((s) => ({
+      ...s,
+      recurrences: s.recurrences.filter((r) => r.id !== id),
+      transactions: s.transactions
+        .filter((t) => !(t.recurrenceId === id && t.date > today))
+        .map((t) => {
+          if (t.recurrenceId !== id) return t;
+          const row = { ...t };
+          delete row.recurrenceId;
+          return row;
+        }),
+    }));
+  }
+
+  // Valor vazio ou zero remove o orçamento da categoria.
+  function setBudget(category, amount) {
+    setState((s) => {
+      const budgets = { ...s.budgets };
+      if (amount > 0) budgets[category] = amount;
+      else delete budgets[category];
+      return { ...s, budgets };
+    });
+  }
+
+  // `type` escolhe a lista: "expense" (categories) ou "income" (incomeCategories). Só gastos têm orçamento.
+  function addCategory(type, name) {
+    const field = CATEGORY_LISTS[type];
+    setState((s) => ({ ...s, [field]: [...s[field], name.trim()] }));
+  }
+
+  // Renomear reescreve a categoria nos movimentos, recorrências e orçamento.
+  function renameCategory(type, from, to) {
+    const name = to.trim();
+    const field = CATEGORY_LISTS[type];
+    setState((s) => {
+      const next = reassignCategory(s, from, name, type);
+      const budgets = { ...s.budgets };
+      if (type === "expense" && from in budgets) {
+        budgets[name] = budgets[from];
+        delete budgets[from];
+      }
+      return { ...next, [field]: s[field].map((c) => (c === from ? name : c)), budgets };
+    });
+  }
+
+  function moveCategory(type, name, delta) {
+    const field = CATEGORY_LISTS[type];
+    setState((s) => {
+      const i = s[field].indexOf(name);
+      const j = i + delta;
+      if (i < 0 || j < 0 || j >= s[field].length) return s;
+      const list = [...s[field]];
+      [list[i], list[j]] = [list[j], list[i]];
+      return { ...s, [field]: list };
+    });
+  }
+
+  // Junta `from` em `into`: movimentos passam para `into`, orçamentos somam e `from` some da lista.
+  // Excluir uma categoria em uso é o mesmo que juntá-la na categoria escolhida.
+  function mergeCategory(type, from, into) {
+    const field = CATEGORY_LISTS[type];
+    setState((s) => {
+      const next = into ? reassignCategory(s, from, into, type) : s;
+      const budgets = { ...s.budgets };
+      if (type === "expense") {
+        if (into && budgets[from] > 0) budgets[into] = (budgets[into] || 0) + budgets[from];
+        delete budgets[from];
+      }
+      return { ...next, [field]: s[field].filter((c) => c !== from), budgets };
+    });
+  }
+
+  const goalsByUrgency = useMemo(() => sortGoalsByUrgency(state.goals, isoToday()), [state.goals]);
+
+  function updateGoal(id, patch) {
+    setState((s) => ({ ...s, goals: s.goals.map((g) => (g.id === id ? { ...g, ...patch, id } : g)) }));
+  }
+
+  function addGoal(goal) {
+    setState((s) => ({ ...s, goals: [goal, ...s.goals] }));
+  }
+
+  // Envelope com saldo: pergunta antes para onde vai o dinheiro (ver removeGoal).
+  function deleteGoal(id) {
+    const goal = state.goals.find((g) => g.id === id);
+    if (goal?.envelope && goalSaved(goal) > 0.005) {
+      setDeletingGoal(goal);
+      return;
+    }
+    removeGoal(id, null);
+  }
+
+  // moveToId null: o dinheiro volta para o saldo disponível; senão vira aporte na outra meta.
+  function removeGoal(id, moveToId) {
+    setState((s) => {
+      const goal = s.goals.find((g) => g.id === id);
+      if (!goal) return s;
+      const amount = goalSaved(goal);
+      const now = new Date().toISOString();
+      const goals = s.goals
+        .filter((g) => g.id !== id)
+        .map((g) =>
+          g.id === moveToId && amount > 0
+            ? { ...g, entries: [...(g.entries || []), { id: uid(), kind: "deposit", amount, date: isoToday(), note: t("goal.movedFrom", { name: goal.name }), createdAt: now }] }
+            : g
+        );
+      return { ...s, goals };
+    });
+  }
+
+  function addGoalEntry(goalId, entry) {
+    setState((s) => ({
+      ...s,
+      goals: s.goals.map((g) => (g.id === goalId ? { ...g, entries: [...(g.entries || []), entry] } : g)),
+    }));
+  }
+
+  // Envelope: só aceita aporte até o saldo disponível.
+  function contributeToGoal(goalId, amount, date = isoToday()) {
+    const goal = state.goals.find((g) => g.id === goalId);
+    if (!goal || !(amount > 0)) return;
+    if (goal.envelope && amount > availableBalance + 0.005) return;
+    addGoalEntry(goalId, { id: uid(), kind: "deposit", amount, date, createdAt: new Date().toISOString() });
+  }
+
+  // Não deixa retirar mais do que está guardado na meta.
+  function withdrawFromGoal(goalId, amount, date = isoToday()) {
+    const goal = state.goals.find((g) => g.id === goalId);
+    if (!goal || !(amount > 0) || amount > goalSaved(goal) + 0.005) return;
+    addGoalEntry(goalId, { id: uid(), kind: "withdraw", amount, date, createdAt: new Date().toISOString() });
+  }
+
+  function deleteGoalEntry(goalId, entryId) {
+    setState((s) => ({
+      ...s,
+      goals: s.goals.map((g) => (g.id === goalId ? { ...g, entries: (g.entries || []).filter((e) => e.id !== entryId) } : g)),
+    }));
+  }
+
+  // Zerar mantém o idioma escolhido.
+  function resetAll() {
+    setState((s) => emptyState(s.locale));
+    const d = new Date();
+    setYear(Math.max(2026, d.getFullYear()));
+    setMonthIndex0(d.getMonth());
+  }
+
+  // Theme helpers
+  const cardCls = "bg-zinc-950 shadow-[0_10px_30px_rgba(0,0,0,0.45)]";
+  const cardStyle = { border: `1px solid rgba(212,175,55,0.22)` };
+  const softText = "text-zinc-300";
+
+  // Common dropdown styles (fix invisible black text on dark theme)
+  const selectContentCls = "bg-zinc-950 text-white border-zinc-800";
+  const selectItemCls = "text-white focus:bg-zinc-900 focus:text-white";
+
+  const accountBalances = useMemo(
+    () => computeAccountBalances(state.accounts, state.transactions, amountOf, (a) => toBase(a.openingBalance || 0, a.currency, isoToday()) ?? 0),
+    [state.accounts, state.transactions, amountOf, toBase]
+  );
+
+  // Total guardado (acumulado): saldos iniciais + receitas − gastos, somando todas as contas
+  // (transferências se anulam). Metas comuns são apenas um “objetivo”; metas envelope reservam
+  // parte desse total, e o que sobra é o saldo disponível.
+  const totalGuardado = useMemo(
+    () => state.accounts.reduce((sum, a) => sum + (accountBalances.get(a.id) || 0), 0),
+    [state.accounts, accountBalances]
+  );
+  const reservedInGoals = useMemo(() => goalsReserved(state.goals), [state.goals]);
+  const availableBalance = totalGuardado - reservedInGoals;
+
+  // Previsão de caixa: continua o gráfico de tendência a partir do mês atual.
+  // Com o histórico agrupado por ano não há mês atual no gráfico para a previsão continuar.
+  const isCurrentMonth = monthKey(activeMonth) === monthKey(isoToday());
+  const yearlyTrend = trendData.some((r) => !r.key.includes("-"));
+  const forecast = useMemo(() => {
+    if (forecastMonths === "0" || !isCurrentMonth || yearlyTrend) return null;
+    return forecastCashFlow({
+      transactions: state.transactions,
+      recurrences: state.recurrences,
+      accountsById,
+      amountOf,
+      totalBalance: totalGuardado,
+      todayIso: isoToday(),
+      months: Number(forecastMonths),
+      baselineMonths: Number(forecastBaseline),
+    });
+  }, [forecastMonths, forecastBaseline, isCurrentMonth, yearlyTrend, state.transactions, state.recurrences, accountsById, amountOf, totalGuardado]);
+
+  // Meses reais até o atual + meses previstos (marcados com `forecast`); o saldo previsto começa no mês atual.
+  const chartData = useMemo(() => {
+    if (!forecast) return trendData;
+    const currentKey = monthKey(isoToday());
+    const actual = trendData.filter((r) => r.key <= currentKey).map((r) => (r.key === currentKey ? { ...r, Saldo: forecast.opening } : r));
+    const predicted = forecast.rows.map((r) => ({ key: r.key, label: monthLabelFromKey(r.key), Receitas: r.Receitas, Gastos: r.Gastos, Saldo: r.balance, forecast: true }));
+    return [...actual, ...predicted];
+  }, [trendData, forecast]);
+  const negativeMonths = forecast ? forecast.rows.filter((r) => r.balance < 0).map((r) => monthLabelFromKey(r.key)) : [];
+
+  if (!loaded) {
+    return (
+      <div className="min-h-screen w-full bg-black text-white flex items-center justify-center">
+        <div className="text-sm text-zinc-300">{t("app.loading")}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen w-full bg-black text-white">
+      <div className="mx-auto max-w-6xl p-4 sm:p-6">
+        <header className="flex flex-col gap-3 sm:flex-row sm:items-end sm:justify-between">
+          <div>
+            <div className="flex items-center gap-2">
+              <div className="text-2xl sm:text-3xl font-semibold tracking-tight" style={{ color: GOLD }}>
+                FinP
+              </div>
+              <Badge className="border" style={{ borderColor: GOLD, color: GOLD, background: "transparent" }}>
+                {t("app.badge")}
+              </Badge>
+            </div>
+            <div className={`text-sm ${softText}`}>{t("app.tagline")}</div>
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-2 sm:items-end">
+            <div className="grid grid-cols-3 gap-2 w-full sm:w-[500px]">
+              <div>
+                <Label className={`text-xs ${softText}`}>{t("header.year")}</Label>
+                <Select value={String(year)} onValueChange={(v) => setYear(Number(v))}>
+                  <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                    <SelectValue placeholder={t("header.year")} />
+                  </SelectTrigger>
+                  <SelectContent className={selectContentCls}>
+                    {years.map((y) => (
+                      <SelectItem key={y} value={String(y)} className={selectItemCls}>
+                        {y}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div>
+                <Label className={`text-xs ${softText}`}>{t("header.month")}</Label>
+                <Select value={String(monthIndex0)} onValueChange={(v) => setMonthIndex0(Number(v))}>
+                  <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                    <SelectValue placeholder={t("header.month")} />
+                  </SelectTrigger>
+                  <SelectContent className={selectContentCls}>
+                    {months.map((m) => (
+                      <SelectItem key={m.idx} value={String(m.idx)} className={selectItemCls}>
+                        {m.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div>
+                <Label className={`text-xs ${softText}`}>{t("header.language")}</Label>
+                <Select value={state.locale} onValueChange={setLocale}>
+                  <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className={selectContentCls}>
+                    {Object.entries(LOCALES).map(([code, l]) => (
+                      <SelectItem key={code} value={code} className={selectItemCls}>
+                        {l.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+          </div>
+        </header>
+
+        {storageError ? (
+          <div className="mt-4 rounded-2xl p-3 bg-zinc-950 flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between border border-rose-400/40">
+            <div className="text-sm text-rose-300">
+              {t("storage.failed", { error: storageError })}
+            </div>
+            <Button variant="ghost" onClick={retrySave} className="text-zinc-200 hover:text-white border border-zinc-800 shrink-0">
+              {t("storage.retry")}
+            </Button>
+          </div>
+        ) : null}
+
+        {loadNotice ? (
+          <div className="mt-4 rounded-2xl p-3 bg-zinc-950 flex flex-col gap-3 border border-amber-400/40">
+            <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+              <div className="text-sm text-amber-300">
+                {loadNotice.report
+                  ? t("load.fixed")
+                  : loadNotice.readError
+                    ? t("load.readFailed", { error: loadNotice.readError })
+                    : t("load.unreadable", { key: `${LS_KEY}:unreadable` })}
+              </div>
+              <div className="flex gap-2 shrink-0">
+                {loadNotice.report ? (
+                  <Button variant="ghost" onClick={() => setLoadNotice((n) => ({ ...n, open: !n.open }))} className="text-zinc-200 hover:text-white border border-zinc-800">
+                    {loadNotice.open ? t("load.hideDetails") : t("load.showDetails")}
+                  </Button>
+                ) : null}
+                <Button variant="ghost" onClick={() => setLoadNotice(null)} className="text-zinc-200 hover:text-white border border-zinc-800">
+                  {t("common.close")}
+                </Button>
+              </div>
+            </div>
+            {loadNotice.open ? <ValidationReport report={loadNotice.report} /> : null}
+          </div>
+        ) : null}
+
+        <div className="mt-5 grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <Card className={`lg:col-span-2 ${cardCls}`} style={cardStyle}>
+            <CardContent className="p-4 sm:p-6">
+              <Tabs value={tab} onValueChange={setTab}>
+                <TabsList className="grid w-full grid-cols-5 bg-zinc-900 border border-zinc-800">
+                  <TabsTrigger className="text-white data-[state=active]:text-black data-[state=active]:bg-[var(--gold)]" style={{ "--gold": GOLD }} value="dashboard">
+                    {t("tab.dashboard")}
+                  </TabsTrigger>
+                  <TabsTrigger className="text-white data-[state=active]:text-black data-[state=active]:bg-[var(--gold)]" style={{ "--gold": GOLD }} value="mov">
+                    {t("tab.transactions")}
+                  </TabsTrigger>
+                  <TabsTrigger className="text-white data-[state=active]:text-black data-[state=active]:bg-[var(--gold)]" style={{ "--gold": GOLD }} value="busca">
+                    {t("tab.search")}
+                  </TabsTrigger>
+                  <TabsTrigger className="text-white data-[state=active]:text-black data-[state=active]:bg-[var(--gold)]" style={{ "--gold": GOLD }} value="metas">
+                    {t("tab.goals")}
+                  </TabsTrigger>
+                  <TabsTrigger className="text-white data-[state=active]:text-black data-[state=active]:bg-[var(--gold)]" style={{ "--gold": GOLD }} value="orcamentos">
+                    {t("tab.budgets")}
+                  </TabsTrigger>
+                </TabsList>
 
                 <TabsContent value="dashboard" className="mt-4">
                   <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
-                    <StatCard title="Receitas" value={currency.format(totals.income)} icon={<ArrowUpCircle className="h-5 w-5" />} cardCls={cardCls} cardStyle={cardStyle} softText={softText} />
-                    <StatCard title="Gastos" value={currency.format(totals.expense)} icon={<ArrowDownCircle className="h-5 w-5" />} cardCls={cardCls} cardStyle={cardStyle} softText={softText} />
+                    <StatCard title={t("stat.income")} value={currency.format(totals.income)} icon={<ArrowUpCircle className="h-5 w-5" />} cardCls={cardCls} cardStyle={cardStyle} softText={softText} />
+                    <StatCard title={t("stat.expense")} value={currency.format(totals.expense)} icon={<ArrowDownCircle className="h-5 w-5" />} cardCls={cardCls} cardStyle={cardStyle} softText={softText} />
                     <StatCard
-                      title="Saldo do mês"
+                      title={t("stat.monthBalance")}
                       value={currency.format(totals.balance)}
                       emphasis={totals.balance < 0 ? "negative" : totals.balance > 0 ? "positive" : "neutral"}
                       cardCls={cardCls}
@@ -441,449 +2389,3099 @@ export default function FinPApp() {
                     />
                   </div>
 
-                  <div className="mt-4 grid grid-cols-1 xl:grid-cols-2 gap-4">
-                    <Card className={cardCls} style={cardStyle}>
-                      <CardContent className="p-4">
-                        <div className="flex items-end justify-between gap-3 flex-wrap">
-                          <div>
-                            <div className="font-medium" style={{ color: GOLD }}>Receitas vs. Gastos</div>
-                            <div className={`text-xs ${softText}`}>Escolha o período</div>
-                          </div>
+                  {missingRates.length ? (
+                    <div className="mt-3 rounded-xl px-3 py-2 text-xs text-amber-400" style={{ border: "1px solid rgba(251,191,36,0.4)" }}>
+                      {t("rates.missing", { from: missingRates.join(", "), to: state.currency })}
+                    </div>
+                  ) : null}
+
+                  <div className="mt-4 grid grid-cols-1 xl:grid-cols-2 gap-4">
+                    <Card className={`xl:col-span-2 ${cardCls}`} style={cardStyle}>
+                      <CardContent className="p-4">
+                        <div className="flex items-end justify-between gap-3 flex-wrap">
+                          <div>
+                            <div className="font-medium" style={{ color: GOLD }}>{t("trend.title")}</div>
+                            <div className={`text-xs ${softText}`}>{t("trend.pickRange")}</div>
+                          </div>
+
+                          <div className="flex items-end gap-2 flex-wrap">
+                            <div className="w-52">
+                              <Select value={trendRange} onValueChange={setTrendRange}>
+                                <SelectTrigger className="bg-zinc-950 border-zinc-800 text-white">
+                                  <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent className={selectContentCls}>
+                                  <SelectItem value="month" className={selectItemCls}>{t("trend.month")}</SelectItem>
+                                  <SelectItem value="6m" className={selectItemCls}>{t("trend.6m")}</SelectItem>
+                                  <SelectItem value="1y" className={selectItemCls}>{t("trend.1y")}</SelectItem>
+                                  <SelectItem value="all" className={selectItemCls}>{t("trend.all")}</SelectItem>
+                                </SelectContent>
+                              </Select>
+                            </div>
+                            <div className="w-44">
+                              <Label className={`text-xs ${softText}`}>{t("forecast.horizon")}</Label>
+                              <Select value={forecastMonths} onValueChange={setForecastMonths}>
+                                <SelectTrigger className="bg-zinc-950 border-zinc-800 text-white">
+                                  <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent className={selectContentCls}>
+                                  <SelectItem value="0" className={selectItemCls}>{t("forecast.off")}</SelectItem>
+                                  {["3", "6", "12"].map((n) => (
+                                    <SelectItem key={n} value={n} className={selectItemCls}>{t("forecast.months", { n: Number(n) })}</SelectItem>
+                                  ))}
+                                </SelectContent>
+                              </Select>
+                            </div>
+                            {forecastMonths !== "0" ? (
+                              <div className="w-44">
+                                <Label className={`text-xs ${softText}`}>{t("forecast.baseline")}</Label>
+                                <Select value={forecastBaseline} onValueChange={setForecastBaseline}>
+                                  <SelectTrigger className="bg-zinc-950 border-zinc-800 text-white">
+                                    <SelectValue />
+                                  </SelectTrigger>
+                                  <SelectContent className={selectContentCls}>
+                                    {["3", "6", "12"].map((n) => (
+                                      <SelectItem key={n} value={n} className={selectItemCls}>{t("forecast.lastMonths", { n: Number(n) })}</SelectItem>
+                                    ))}
+                                  </SelectContent>
+                                </Select>
+                              </div>
+                            ) : null}
+                          </div>
+                        </div>
+
+                        {forecastMonths !== "0" && !isCurrentMonth ? (
+                          <div className={`mt-2 text-xs ${softText}`}>{t("forecast.currentMonthOnly")}</div>
+                        ) : forecastMonths !== "0" && yearlyTrend ? (
+                          <div className={`mt-2 text-xs ${softText}`}>{t("forecast.yearlyTrend")}</div>
+                        ) : null}
+                        {forecast ? (
+                          <div className={`mt-2 text-xs ${softText}`}>
+                            {forecast.baselineMonths
+                              ? t("forecast.hint", { n: forecast.baselineMonths, value: currency.format(forecast.baselineTotal) })
+                              : t("forecast.hintNoHistory")}
+                          </div>
+                        ) : null}
+                        {forecast && (forecast.afterHorizon.Gastos || forecast.afterHorizon.Receitas) ? (
+                          <div className={`mt-1 text-xs ${softText}`}>
+                            {t("forecast.afterHorizon", {
+                              month: monthLabelFromKey(forecast.rows[forecast.rows.length - 1].key),
+                              expense: currency.format(forecast.afterHorizon.Gastos),
+                              income: currency.format(forecast.afterHorizon.Receitas),
+                            })}
+                          </div>
+                        ) : null}
+                        {negativeMonths.length ? (
+                          <div className="mt-2 rounded-xl px-3 py-2 text-xs text-red-400" style={{ border: "1px solid rgba(248,113,113,0.4)" }}>
+                            {t("forecast.negative", { months: negativeMonths.join(", ") })}
+                          </div>
+                        ) : null}
+
+                        <div className="mt-3 h-80">
+                          {chartData.length === 0 ? (
+                            <EmptyHint title={t("empty.noData")} desc={t("empty.noDataDesc")} />
+                          ) : (
+                            <ResponsiveContainer width="100%" height="100%">
+                              <ComposedChart data={chartData} margin={{ top: 10, right: 10, bottom: 40, left: 0 }}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#333" />
+                                <XAxis
+                                  dataKey="label"
+                                  interval={0}
+                                  angle={-25}
+                                  textAnchor="end"
+                                  height={70}
+                                  tickMargin={10}
+                                  tick={{ fill: "#ddd", fontSize: 12 }}
+                                  axisLine={{ stroke: "#555" }}
+                                  tickLine={{ stroke: "#555" }}
+                                />
+                                <YAxis tick={{ fill: "#ddd", fontSize: 12 }} axisLine={{ stroke: "#555" }} tickLine={{ stroke: "#555" }} />
+                                {forecast ? (
+                                  <YAxis yAxisId="saldo" orientation="right" tick={{ fill: GOLD, fontSize: 12 }} axisLine={{ stroke: "#555" }} tickLine={{ stroke: "#555" }} />
+                                ) : null}
+                                <Tooltip
+                                  formatter={(v, name, item) => (v == null ? "—" : `${currency.format(Number(v))}${item?.payload?.forecast ? ` (${t("forecast.predicted")})` : ""}`)}
+                                  contentStyle={{ background: "#0a0a0a", border: `1px solid ${GOLD}`, color: "#fff" }}
+                                  labelStyle={{ color: "#fff" }}
+                                  itemStyle={{ color: "#fff" }}
+                                  cursor={{ fill: "rgba(0,0,0,0.45)" }}
+                                />
+                                <Legend wrapperStyle={{ color: "#ddd" }} />
+                                <Bar dataKey="Gastos" name={t("stat.expense")} fill={BAR_COLOR_GASTOS} radius={[6, 6, 0, 0]}>
+                                  {chartData.map((row) => (
+                                    <Cell key={row.key} fillOpacity={row.forecast ? 0.35 : 1} stroke={row.forecast ? BAR_COLOR_GASTOS : undefined} strokeDasharray={row.forecast ? "4 3" : undefined} />
+                                  ))}
+                                </Bar>
+                                <Bar dataKey="Receitas" name={t("stat.income")} fill={BAR_COLOR_RECEITAS} radius={[6, 6, 0, 0]}>
+                                  {chartData.map((row) => (
+                                    <Cell key={row.key} fillOpacity={row.forecast ? 0.35 : 1} stroke={row.forecast ? BAR_COLOR_RECEITAS : undefined} strokeDasharray={row.forecast ? "4 3" : undefined} />
+                                  ))}
+                                </Bar>
+                                {forecast ? <ReferenceLine yAxisId="saldo" y={0} stroke="#f87171" strokeDasharray="4 4" /> : null}
+                                {forecast ? (
+                                  <Line
+                                    yAxisId="saldo"
+                                    type="monotone"
+                                    dataKey="Saldo"
+                                    name={t("forecast.balance")}
+                                    stroke={GOLD}
+                                    strokeWidth={2}
+                                    strokeDasharray="6 4"
+                                    connectNulls={false}
+                                    dot={({ cx, cy, payload, index }) =>
+                                      payload.Saldo == null ? null : (
+                                        <circle key={index} cx={cx} cy={cy} r={4} fill={payload.Saldo < 0 ? "#f87171" : GOLD} stroke="none" />
+                                      )
+                                    }
+                                  />
+                                ) : null}
+                              </ComposedChart>
+                            </ResponsiveContainer>
+                          )}
+                        </div>
+                      </CardContent>
+                    </Card>
+
+                    <Card className={cardCls} style={cardStyle}>
+                      <CardContent className="p-4">
+                        <div className="font-medium" style={{ color: GOLD }}>{t("dashboard.byCategory")}</div>
+                        <div className={`text-xs ${softText}`}>{t("dashboard.byCategoryHint")}</div>
+                        <div className="mt-3 h-80">
+                          {byCategory.length === 0 ? (
+                            <EmptyHint title={t("empty.noExpenses")} desc={t("empty.noExpensesDesc")} />
+                          ) : (
+                            <ResponsiveContainer width="100%" height="100%">
+                              <PieChart>
+                                <Tooltip
+                                  formatter={(v) => currency.format(Number(v))}
+                                  contentStyle={{ background: "#0a0a0a", border: `1px solid ${GOLD}`, color: "#fff" }}
+                                  wrapperStyle={{ outline: "none" }}
+                                  labelStyle={{ color: "#fff" }}
+                                  itemStyle={{ color: "#fff" }}
+                                />
+                                <Legend wrapperStyle={{ color: "#ddd" }} />
+                                <Pie data={byCategory} dataKey="value" nameKey="name" innerRadius={45} outerRadius={90} paddingAngle={2}>
+                                  {byCategory.map((_, i) => (
+                                    <Cell key={i} fill={PIE_COLORS[i % PIE_COLORS.length]} />
+                                  ))}
+                                </Pie>
+                              </PieChart>
+                            </ResponsiveContainer>
+                          )}
+                        </div>
+                      </CardContent>
+                    </Card>
+
+                    <Card className={cardCls} style={cardStyle}>
+                      <CardContent className="p-4">
+                        <div className="font-medium" style={{ color: GOLD }}>{t("dashboard.incomeByCategory")}</div>
+                        <div className={`text-xs ${softText}`}>{t("dashboard.incomeByCategoryHint")}</div>
+                        <div className="mt-3 h-80">
+                          {byIncomeCategory.length === 0 ? (
+                            <EmptyHint title={t("empty.noIncome")} desc={t("empty.noIncomeDesc")} />
+                          ) : (
+                            <ResponsiveContainer width="100%" height="100%">
+                              <PieChart>
+                                <Tooltip
+                                  formatter={(v) => currency.format(Number(v))}
+                                  contentStyle={{ background: "#0a0a0a", border: `1px solid ${GOLD}`, color: "#fff" }}
+                                  wrapperStyle={{ outline: "none" }}
+                                  labelStyle={{ color: "#fff" }}
+                                  itemStyle={{ color: "#fff" }}
+                                />
+                                <Legend wrapperStyle={{ color: "#ddd" }} />
+                                <Pie data={byIncomeCategory} dataKey="value" nameKey="name" innerRadius={45} outerRadius={90} paddingAngle={2}>
+                                  {byIncomeCategory.map((_, i) => (
+                                    <Cell key={i} fill={PIE_COLORS[i % PIE_COLORS.length]} />
+                                  ))}
+                                </Pie>
+                              </PieChart>
+                            </ResponsiveContainer>
+                          )}
+                        </div>
+                      </CardContent>
+                    </Card>
+                  </div>
+
+                  <Card className={`mt-4 ${cardCls}`} style={cardStyle}>
+                    <CardContent className="p-4">
+                      <div className="font-medium" style={{ color: GOLD }}>{t("dashboard.budget")}</div>
+                      <div className={`text-xs ${softText}`}>{t("dashboard.budgetHint")}</div>
+                      <div className="mt-3 flex flex-col gap-3">
+                        {budgetRows.length === 0 ? (
+                          <EmptyHint title={t("empty.noBudgets")} desc={t("empty.noBudgetsDesc")} />
+                        ) : (
+                          budgetRows.map((b) => <BudgetBar key={b.name} row={b} />)
+                        )}
+                      </div>
+                    </CardContent>
+                  </Card>
+
+                  <Card className={`mt-4 ${cardCls}`} style={cardStyle}>
+                    <CardContent className="p-4">
+                      <div className="font-medium" style={{ color: GOLD }}>{t("tags.title")}</div>
+                      <div className={`text-xs ${softText}`}>{t("tags.hint")}</div>
+                      <div className="mt-3">
+                        <TagReport
+                          transactions={state.transactions}
+                          amountOf={amountOf}
+                          activeMonth={activeMonth}
+                          years={years}
+                          selectContentCls={selectContentCls}
+                          selectItemCls={selectItemCls}
+                        />
+                      </div>
+                    </CardContent>
+                  </Card>
+
+                  <Separator className="my-4 bg-zinc-800" />
+
+                  <Card className={cardCls} style={cardStyle}>
+                    <CardContent className="p-4">
+                      <div className="font-medium" style={{ color: GOLD }}>{t("dashboard.goals")}</div>
+                      <div className={`text-xs ${softText}`}>{t("dashboard.goalsHint")}</div>
+                      <div className="mt-3 flex flex-col gap-3">
+                        {state.goals.length === 0 ? (
+                          <EmptyHint title={t("empty.noGoals")} desc={t("empty.noGoalsDesc")} />
+                        ) : (
+                          goalsByUrgency.slice(0, 4).map((g) => (
+                            <GoalRow key={g.id} goal={g} available={availableBalance} onContribute={(amt) => contributeToGoal(g.id, amt)} gold={GOLD} />
+                          ))
+                        )}
+                      </div>
+                    </CardContent>
+                  </Card>
+                </TabsContent>
+
+                <TabsContent value="mov" className="mt-4">
+                  <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+                    <Card className={cardCls} style={cardStyle}>
+                      <CardContent className="p-4 sm:p-5">
+                        <div className="flex items-start justify-between gap-3">
+                          <div>
+                            <div className="font-medium" style={{ color: GOLD }}>{t("tx.new")}</div>
+                            <div className={`text-xs ${softText}`}>{t("tx.newHint")}</div>
+                          </div>
+                          <StatementImportDialog
+                            transactions={state.transactions}
+                            categories={state.categories}
+                            incomeCategories={state.incomeCategories}
+                            accounts={state.accounts}
+                            onImport={importTransactions}
+                            gold={GOLD}
+                            selectContentCls={selectContentCls}
+                            selectItemCls={selectItemCls}
+                          />
+                        </div>
+                        <div className="mt-3">
+                          <TransactionForm
+                            categories={state.categories}
+                            incomeCategories={state.incomeCategories}
+                            accounts={state.accounts}
+                            onAdd={addTransaction}
+                            budgets={state.budgets}
+                            categorySpent={categorySpentInMonth}
+                            baseCurrency={state.currency}
+                            toBase={toBase}
+                            tagSuggestions={tagSuggestions}
+                            gold={GOLD}
+                            selectContentCls={selectContentCls}
+                            selectItemCls={selectItemCls}
+                          />
+                        </div>
+                      </CardContent>
+                    </Card>
+
+                    <Card className={cardCls} style={cardStyle}>
+                      <CardContent className="p-4 sm:p-5">
+                        <div className="font-medium" style={{ color: GOLD }}>{t("tx.month")}</div>
+                        <div className={`text-xs ${softText}`}>{t("tx.monthHint")}</div>
+                        <div className="mt-3">
+                          {monthTransactions.length === 0 ? (
+                            <EmptyHint title={t("empty.noTx")} desc={t("empty.noTxDesc")} />
+                          ) : (
+                            <div className="flex flex-col gap-2">
+                              {monthTransactions.map((t) => (
+                                <TransactionRow
+                                  key={t.id}
+                                  tx={t}
+                                  accounts={state.accounts}
+                                  toBase={convertTx}
+                                  onEdit={() => {
+                                    setEditFollowing(true);
+                                    setEditingTx(t);
+                                  }}
+                                  onDelete={() => deleteTransaction(t.id)}
+                                  onSeries={t.recurrenceId ? () => setSeriesCtx({ ruleId: t.recurrenceId, tx: t }) : undefined}
+                                />
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      </CardContent>
+                    </Card>
+                  </div>
+
+                  <Card className={`mt-4 ${cardCls}`} style={cardStyle}>
+                    <CardContent className="p-4 sm:p-5">
+                      <div className="flex items-center justify-between">
+                        <div>
+                          <div className="font-medium" style={{ color: GOLD }}>{t("recurrence.title")}</div>
+                          <div className={`text-xs ${softText}`}>{t("recurrence.hint")}</div>
+                        </div>
+                        <Repeat className="h-5 w-5" style={{ color: GOLD }} />
+                      </div>
+                      <div className="mt-3 grid grid-cols-1 xl:grid-cols-2 gap-4">
+                        <RecurrenceForm categories={state.categories} incomeCategories={state.incomeCategories} accounts={state.accounts} onAdd={addRecurrence} gold={GOLD} selectContentCls={selectContentCls} selectItemCls={selectItemCls} />
+                        <div className="flex flex-col gap-2">
+                          {state.recurrences.length === 0 ? (
+                            <EmptyHint title={t("empty.noRecurrences")} desc={t("empty.noRecurrencesDesc")} />
+                          ) : (
+                            state.recurrences.map((r) => (
+                              <RecurrenceRow key={r.id} rule={r} onOpen={() => setSeriesCtx({ ruleId: r.id })} onDelete={() => deleteRecurrence(r.id)} />
+                            ))
+                          )}
+                        </div>
+                      </div>
+                    </CardContent>
+                  </Card>
+                </TabsContent>
+
+                <TabsContent value="busca" className="mt-4">
+                  <Card className={cardCls} style={cardStyle}>
+                    <CardContent className="p-4 sm:p-5">
+                      <div className="font-medium" style={{ color: GOLD }}>{t("search.title")}</div>
+                      <div className={`text-xs ${softText}`}>{t("search.hint")}</div>
+                      <div className="mt-3">
+                        <TransactionSearch
+                          transactions={state.transactions}
+                          categories={state.categories}
+                          incomeCategories={state.incomeCategories}
+                          accounts={state.accounts}
+                          toBase={convertTx}
+                          onEdit={(t) => {
+                            setEditFollowing(true);
+                            setEditingTx(t);
+                          }}
+                          onDelete={(t) => deleteTransaction(t.id)}
+                          onSeries={(t) => setSeriesCtx({ ruleId: t.recurrenceId, tx: t })}
+                          gold={GOLD}
+                          selectContentCls={selectContentCls}
+                          selectItemCls={selectItemCls}
+                        />
+                      </div>
+                    </CardContent>
+                  </Card>
+                </TabsContent>
+
+                {/* Diálogos de edição ficam fora das abas: abrem tanto de Movimentos quanto de Busca. */}
+                <RecurrenceSeriesDialog
+                  rule={seriesCtx ? state.recurrences.find((r) => r.id === seriesCtx.ruleId) : null}
+                  tx={seriesCtx?.tx}
+                  categories={state.categories}
+                  incomeCategories={state.incomeCategories}
+                  accounts={state.accounts}
+                  onClose={() => setSeriesCtx(null)}
+                  onSave={(patch) => {
+                    updateRecurrence(seriesCtx.ruleId, patch);
+                    setSeriesCtx(null);
+                  }}
+                  onSkip={(tx) => {
+                    skipOccurrence(tx);
+                    setSeriesCtx(null);
+                  }}
+                  onStop={() => {
+                    stopRecurrence(seriesCtx.ruleId);
+                    setSeriesCtx(null);
+                  }}
+                  gold={GOLD}
+                  selectContentCls={selectContentCls}
+                  selectItemCls={selectItemCls}
+                />
+
+                <Dialog open={!!editingTx} onOpenChange={(open) => !open && setEditingTx(null)}>
+                  <DialogContent className="sm:max-w-md bg-zinc-950 border-zinc-800 text-white" style={{ borderColor: `rgba(212,175,55,0.22)` }}>
+                    <DialogHeader>
+                      <DialogTitle>{t("tx.edit")}</DialogTitle>
+                    </DialogHeader>
+                    {editingTx?.installment ? (
+                      <div className="grid grid-cols-1 gap-2 text-sm">
+                        <div className="text-zinc-300">
+                          {t("installment.of", { index: editingTx.installment.index, count: editingTx.installment.count, total: currency.format(editingTx.installment.total) })}
+                        </div>
+                        <label className="flex items-center gap-2 text-white">
+                          <input type="checkbox" checked={editFollowing} onChange={(e) => setEditFollowing(e.target.checked)} style={{ accentColor: GOLD }} />
+                          {t("installment.applyFollowing")}
+                        </label>
+                      </div>
+                    ) : null}
+                    {editingTx ? (
+                      <TransactionForm
+                        key={editingTx.id}
+                        categories={state.categories}
+                        incomeCategories={state.incomeCategories}
+                        accounts={state.accounts}
+                        initial={editingTx}
+                        budgets={state.budgets}
+                        categorySpent={categorySpentInMonth}
+                        baseCurrency={state.currency}
+                        toBase={toBase}
+                        tagSuggestions={tagSuggestions}
+                        onSave={(patch) => {
+                          if (editingTx.installment && editFollowing) updateInstallmentsFrom(editingTx, patch);
+                          else updateTransaction(editingTx.id, patch);
+                          setEditingTx(null);
+                        }}
+                        gold={GOLD}
+                        selectContentCls={selectContentCls}
+                        selectItemCls={selectItemCls}
+                      />
+                    ) : null}
+                    {editingTx?.installment ? (
+                      <DialogFooter>
+                        <Button
+                          variant="ghost"
+                          className="text-rose-300 border border-zinc-800 hover:bg-zinc-900"
+                          onClick={() => {
+                            cancelInstallmentsFrom(editingTx);
+                            setEditingTx(null);
+                          }}
+                        >
+                          {t("installment.cancelFrom", { n: editingTx.installment.count - editingTx.installment.index + 1 })}
+                        </Button>
+                      </DialogFooter>
+                    ) : null}
+                  </DialogContent>
+                </Dialog>
+
+                <TabsContent value="metas" className="mt-4">
+                  <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+                    <Card className={cardCls} style={cardStyle}>
+                      <CardContent className="p-4 sm:p-5">
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <div className="font-medium" style={{ color: GOLD }}>{t("goal.create")}</div>
+                            <div className={`text-xs ${softText}`}>{t("goal.createHint")}</div>
+                          </div>
+                          <Target className="h-5 w-5" style={{ color: GOLD }} />
+                        </div>
+                        <div className="mt-3">
+                          <GoalForm onAdd={addGoal} gold={GOLD} />
+                        </div>
+                      </CardContent>
+                    </Card>
+
+                    <Card className={cardCls} style={cardStyle}>
+                      <CardContent className="p-4 sm:p-5">
+                        <div className="font-medium" style={{ color: GOLD }}>{t("goal.contributeTitle")}</div>
+                        <div className={`text-xs ${softText}`}>{t("goal.contributeHint")}</div>
+                        <div className="mt-3">
+                          <GoalContributionPanel goals={state.goals} available={availableBalance} onContribute={contributeToGoal} onWithdraw={withdrawFromGoal} gold={GOLD} selectContentCls={selectContentCls} selectItemCls={selectItemCls} />
+                        </div>
+                      </CardContent>
+                    </Card>
+                  </div>
+
+                  <Separator className="my-4 bg-zinc-800" />
+
+                  <Card className={cardCls} style={cardStyle}>
+                    <CardContent className="p-4 sm:p-5">
+                      <div className="font-medium" style={{ color: GOLD }}>{t("goal.yours")}</div>
+                      <div className={`text-xs ${softText}`}>{t("goal.yoursHint")}</div>
+                      <div className="mt-3 flex flex-col gap-3">
+                        {state.goals.length === 0 ? (
+                          <EmptyHint title={t("empty.noGoalsYet")} desc={t("empty.noGoalsYetDesc")} />
+                        ) : (
+                          state.goals.map((g) => (
+                            <div key={g.id} className="rounded-2xl p-3 bg-zinc-950 shadow-[0_10px_30px_rgba(0,0,0,0.45)]" style={cardStyle}>
+                              <div className="flex items-start justify-between gap-3">
+                                <div className="min-w-0">
+                                  <div className="font-medium truncate text-white">{g.name}</div>
+                                  <div className={`text-xs ${softText}`}>
+                                    {t("goal.target", { amount: currency.format(g.target) })}
+                                    {g.envelope ? <span style={{ color: GOLD }}> · {t("goal.envelopeTag")}</span> : null}
+                                  </div>
+                                </div>
+                                <div className="flex items-center">
+                                  <Button variant="ghost" size="icon" onClick={() => setEditingGoal(g)} aria-label={t("goal.edit")} className="text-zinc-200 hover:text-white">
+                                    <Pencil className="h-4 w-4" />
+                                  </Button>
+                                  <Button variant="ghost" size="icon" onClick={() => deleteGoal(g.id)} aria-label={t("goal.delete")} className="text-zinc-200 hover:text-white">
+                                    <Trash2 className="h-4 w-4" />
+                                  </Button>
+                                </div>
+                              </div>
+                              <div className="mt-3">
+                                <GoalProgress goal={g} gold={GOLD} />
+                              </div>
+                              <div className="mt-3">
+                                <GoalHistory goal={g} onDeleteEntry={(entryId) => deleteGoalEntry(g.id, entryId)} gold={GOLD} />
+                              </div>
+                            </div>
+                          ))
+                        )}
+                      </div>
+                    </CardContent>
+                  </Card>
+                </TabsContent>
+
+                <Dialog open={!!editingGoal} onOpenChange={(open) => !open && setEditingGoal(null)}>
+                  <DialogContent className="sm:max-w-md bg-zinc-950 border-zinc-800 text-white" style={{ borderColor: `rgba(212,175,55,0.22)` }}>
+                    <DialogHeader>
+                      <DialogTitle>{t("goal.edit")}</DialogTitle>
+                    </DialogHeader>
+                    {editingGoal ? (
+                      <GoalForm
+                        key={editingGoal.id}
+                        initial={editingGoal}
+                        onSave={(patch) => {
+                          updateGoal(editingGoal.id, patch);
+                          setEditingGoal(null);
+                        }}
+                        gold={GOLD}
+                      />
+                    ) : null}
+                  </DialogContent>
+                </Dialog>
+
+                <GoalDeleteDialog
+                  goal={deletingGoal}
+                  goals={state.goals}
+                  onConfirm={(moveToId) => {
+                    removeGoal(deletingGoal.id, moveToId);
+                    setDeletingGoal(null);
+                  }}
+                  onClose={() => setDeletingGoal(null)}
+                  gold={GOLD}
+                  selectContentCls={selectContentCls}
+                  selectItemCls={selectItemCls}
+                />
+
+                <TabsContent value="orcamentos" className="mt-4">
+                  <Card className={cardCls} style={cardStyle}>
+                    <CardContent className="p-4 sm:p-5">
+                      <div className="font-medium" style={{ color: GOLD }}>{t("category.title")}</div>
+                      <div className={`text-xs ${softText}`}>{t("category.hint")}</div>
+                      <div className="mt-3">
+                        <CategoryManager
+                          categories={state.categories}
+                          usage={categoryUsage.expense}
+                          ruleUsage={categoryUsage.rules.expense}
+                          onAdd={(name) => addCategory("expense", name)}
+                          onRename={(from, to) => renameCategory("expense", from, to)}
+                          onMove={(name, delta) => moveCategory("expense", name, delta)}
+                          onMerge={(from, into) => mergeCategory("expense", from, into)}
+                          gold={GOLD}
+                          selectContentCls={selectContentCls}
+                          selectItemCls={selectItemCls}
+                        />
+                      </div>
+                    </CardContent>
+                  </Card>
+
+                  <Card className={`mt-4 ${cardCls}`} style={cardStyle}>
+                    <CardContent className="p-4 sm:p-5">
+                      <div className="font-medium" style={{ color: GOLD }}>{t("category.incomeTitle")}</div>
+                      <div className={`text-xs ${softText}`}>{t("category.incomeHint")}</div>
+                      <div className="mt-3">
+                        <CategoryManager
+                          kind="income"
+                          categories={state.incomeCategories}
+                          usage={categoryUsage.income}
+                          ruleUsage={categoryUsage.rules.income}
+                          onAdd={(name) => addCategory("income", name)}
+                          onRename={(from, to) => renameCategory("income", from, to)}
+                          onMove={(name, delta) => moveCategory("income", name, delta)}
+                          onMerge={(from, into) => mergeCategory("income", from, into)}
+                          gold={GOLD}
+                          selectContentCls={selectContentCls}
+                          selectItemCls={selectItemCls}
+                        />
+                      </div>
+                    </CardContent>
+                  </Card>
+
+                  <Card className={`mt-4 ${cardCls}`} style={cardStyle}>
+                    <CardContent className="p-4 sm:p-5">
+                      <div className="font-medium" style={{ color: GOLD }}>{t("budget.title")}</div>
+                      <div className={`text-xs ${softText}`}>{t("budget.hint")}</div>
+                      <div className="mt-3">
+                        <BudgetEditor categories={state.categories} budgets={state.budgets} onChange={setBudget} />
+                      </div>
+                    </CardContent>
+                  </Card>
+                </TabsContent>
+              </Tabs>
+            </CardContent>
+          </Card>
+
+          <div className="flex flex-col gap-4">
+            <Card className={cardCls} style={cardStyle}>
+              <CardContent className="p-4 sm:p-5">
+                <div className="font-medium" style={{ color: GOLD }}>{t("backup.title")}</div>
+                <div className={`text-xs ${softText}`}>{t("backup.hint")}</div>
+                <div className="mt-3">
+                  <BackupControls state={state} setState={setState} onReset={resetAll} gold={GOLD} selectContentCls={selectContentCls} selectItemCls={selectItemCls} compact />
+                </div>
+                <div className="mt-2">
+                  <ExportDialog
+                    transactions={state.transactions}
+                    categories={state.categories}
+                    incomeCategories={state.incomeCategories}
+                    accounts={state.accounts}
+                    amountOf={amountOf}
+                    activeMonth={activeMonth}
+                    years={years}
+                    gold={GOLD}
+                    selectContentCls={selectContentCls}
+                    selectItemCls={selectItemCls}
+                  />
+                </div>
+
+                <div className="mt-4">
+                  <Card className={cardCls} style={cardStyle}>
+                    <CardContent className="p-4">
+                      <div className="text-xs text-zinc-300">{t("balance.total")}</div>
+                      <div className="mt-1 text-lg font-semibold" style={{ color: GOLD }}>
+                        {currency.format(totalGuardado)}
+                      </div>
+                      <div className="mt-1 text-xs text-zinc-400">{t("balance.totalHint")}</div>
+                      <div className="mt-3 grid grid-cols-2 gap-2 text-xs text-zinc-300">
+                        <div>
+                          {t("balance.available")}
+                          <div className={`mt-0.5 text-sm font-medium ${availableBalance < 0 ? "text-rose-300" : "text-white"}`}>{currency.format(availableBalance)}</div>
+                        </div>
+                        <div>
+                          {t("balance.reserved")}
+                          <div className="mt-0.5 text-sm font-medium text-white">{currency.format(reservedInGoals)}</div>
+                        </div>
+                      </div>
+                    </CardContent>
+                  </Card>
+                </div>
+              </CardContent>
+            </Card>
+
+            <Card className={cardCls} style={cardStyle}>
+              <CardContent className="p-4 sm:p-5">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="font-medium" style={{ color: GOLD }}>{t("account.title")}</div>
+                    <div className={`text-xs ${softText}`}>{t("account.hint")}</div>
+                  </div>
+                  <Wallet className="h-5 w-5" style={{ color: GOLD }} />
+                </div>
+                <div className="mt-3">
+                  <AccountManager
+                    accounts={state.accounts}
+                    balances={accountBalances}
+                    usedIds={usedAccountIds}
+                    transactions={state.transactions}
+                    amountOf={amountOf}
+                    onPayInvoice={payInvoice}
+                    onAdd={addAccount}
+                    onUpdate={updateAccount}
+                    onDelete={deleteAccount}
+                    gold={GOLD}
+                    selectContentCls={selectContentCls}
+                    selectItemCls={selectItemCls}
+                  />
+                </div>
+              </CardContent>
+            </Card>
+
+            <Card className={cardCls} style={cardStyle}>
+              <CardContent className="p-4 sm:p-5">
+                <div className="font-medium" style={{ color: GOLD }}>{t("currency.title")}</div>
+                <div className={`text-xs ${softText}`}>{t("currency.hint")}</div>
+                <div className="mt-3">
+                  <CurrencyManager
+                    base={state.currency}
+                    rates={state.rates}
+                    usedCurrencies={usedCurrencies}
+                    onBaseChange={setBaseCurrency}
+                    onAddRate={addRate}
+                    onDeleteRate={deleteRate}
+                    gold={GOLD}
+                    selectContentCls={selectContentCls}
+                    selectItemCls={selectItemCls}
+                  />
+                </div>
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+
+        <footer className="mt-8 pb-6 text-center text-xs text-zinc-400">{t("app.footer")}</footer>
+      </div>
+    </div>
+  );
+}
+
+function StatCard({ title, value, icon, emphasis = "neutral", cardCls, cardStyle, softText }) {
+  // Receitas/Gastos devem ficar brancos no tema escuro.
+  // Apenas o saldo (quando passado com emphasis) pode ganhar cor.
+  const cls =
+    emphasis === "positive"
+      ? "text-emerald-300"
+      : emphasis === "negative"
+      ? "text-rose-300"
+      : "text-white";
+
+  return (
+    <Card className={cardCls} style={cardStyle}>
+      <CardContent className="p-4">
+        <div className="flex items-center justify-between">
+          <div className={`text-sm ${softText}`}>{title}</div>
+          {icon ? <div className="text-zinc-200">{icon}</div> : null}
+        </div>
+        <div className={`mt-2 text-xl font-semibold ${cls}`}>{value}</div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function EmptyHint({ title, desc }) {
+  return (
+    <div className="rounded-2xl border border-dashed border-zinc-800 p-4 text-sm bg-zinc-950">
+      <div className="font-medium text-white">{title}</div>
+      <div className="text-zinc-300 mt-1">{desc}</div>
+    </div>
+  );
+}
+
+// Com `initial`, o formulário edita um movimento existente e chama onSave com os campos alterados.
+// Tags como "chips": Enter ou vírgula confirma, Backspace no campo vazio apaga a última. Sugere as já usadas.
+function TagInput({ value, onChange, suggestions = [] }) {
+  const [text, setText] = useState("");
+  const listId = useMemo(() => `finp-tags-${uid()}`, []);
+  const taken = new Set(value.map((tag) => tag.toLocaleLowerCase()));
+  const options = suggestions.filter((tag) => !taken.has(tag.toLocaleLowerCase())).slice(0, 50);
+
+  function commit(raw = text) {
+    const next = normalizeTags([...value, ...raw.split(",")]);
+    if (next.length !== value.length) onChange(next);
+    setText("");
+  }
+
+  function onKeyDown(e) {
+    if ((e.key === "Enter" || e.key === ",") && text.trim()) {
+      e.preventDefault();
+      commit();
+    } else if (e.key === "Backspace" && !text && value.length) {
+      onChange(value.slice(0, -1));
+    }
+  }
+
+  return (
+    <div className="mt-1 flex flex-wrap items-center gap-1 rounded-md border border-zinc-800 bg-zinc-950 px-2 py-1">
+      {value.map((tag) => (
+        <Badge key={tag} variant="outline" className="text-zinc-200 border-zinc-700 gap-1">
+          #{tag}
+          <button type="button" onClick={() => onChange(value.filter((x) => x !== tag))} aria-label={t("tags.remove", { tag })} className="text-zinc-400 hover:text-white">
+            <X className="h-3 w-3" />
+          </button>
+        </Badge>
+      ))}
+      <input
+        className="flex-1 min-w-[8rem] bg-transparent py-1 text-sm text-white outline-none placeholder:text-zinc-500"
+        list={listId}
+        value={text}
+        placeholder={value.length ? "" : t("tags.placeholder")}
+        onChange={(e) => (e.target.value.endsWith(",") ? commit(e.target.value) : setText(e.target.value))}
+        onKeyDown={onKeyDown}
+        onBlur={() => text.trim() && commit()}
+      />
+      <datalist id={listId}>
+        {options.map((tag) => (
+          <option key={tag} value={tag} />
+        ))}
+      </datalist>
+    </div>
+  );
+}
+
+function TransactionForm({ categories, incomeCategories = [], accounts, onAdd, onSave, initial, budgets = {}, categorySpent, baseCurrency = "BRL", toBase, tagSuggestions, gold, selectContentCls, selectItemCls }) {
+  const isEdit = !!initial;
+  const [type, setType] = useState(initial?.type || "expense");
+
+  // Lista do tipo escolhido. Mantém as categorias originais de um movimento editado (inclusive das partes)
+  // mesmo que não estejam mais na lista.
+  const categoryOptions = useMemo(() => {
+    const list = type === "income" ? incomeCategories : categories;
+    const extra = initial?.type === type ? txCategories(initial).filter((c) => c && !list.includes(c)) : [];
+    return extra.length ? [...list, ...extra] : list;
+  }, [categories, incomeCategories, type, initial]);
+
+  const [date, setDate] = useState(initial?.date || isoToday());
+  const [amountText, setAmountText] = useState(initial ? amountToInput(initial.amount) : "");
+  const [desc, setDesc] = useState(initial?.description || "");
+  const [category, setCategory] = useState(initial && initial.type !== "transfer" && initial.category ? initial.category : categories[0] || otherExpenseCategory(activeLocale));
+  const [accountId, setAccountId] = useState(initial?.accountId || accounts[0]?.id || "");
+  const [toAccountId, setToAccountId] = useState(initial?.toAccountId || accounts.find((a) => a.id !== accountId)?.id || "");
+  const [txCurrency, setTxCurrency] = useState(initial?.currency || baseCurrency);
+  const [tags, setTags] = useState(initial?.tags || []);
+  // Divisão entre categorias (só gastos): linhas com o texto do valor como digitado.
+  const [splitOn, setSplitOn] = useState(!!initial?.splits?.length);
+  const [splitLines, setSplitLines] = useState(() => (initial?.splits || []).map((s) => ({ category: s.category, amountText: amountToInput(s.amount) })));
+
+  useEffect(() => {
+    if (!categoryOptions.includes(category)) setCategory(categoryOptions[0] || otherExpenseCategory(activeLocale));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [categoryOptions]);
+
+  useEffect(() => {
+    if (!accounts.some((a) => a.id === accountId)) setAccountId(accounts[0]?.id || "");
+    if (!accounts.some((a) => a.id === toAccountId)) setToAccountId(accounts.find((a) => a.id !== accountId)?.id || "");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [accounts]);
+
+  const amount = useMemo(() => parseAmount(amountText), [amountText]);
+
+  const isTransfer = type === "transfer";
+
+  // Parcelas de um grupo são editadas juntas e com valores diferentes: não dá para dividir.
+  const canSplit = type === "expense" && !initial?.installment;
+  const splitting = canSplit && splitOn;
+  const splits = useMemo(
+    () => (splitting ? normalizeSplits(splitLines.map((l) => ({ category: l.category, amount: parseAmount(l.amountText) })), amount) : null),
+    [splitting, splitLines, amount]
+  );
+  const splitRemainingCents = splitting ? Math.round(amount * 100) - splitLines.reduce((sum, l) => sum + (Math.round(parseAmount(l.amountText) * 100) || 0), 0) : 0;
+
+  // Parcelamento (só para gastos novos, sem divisão)
+  const [installmentsOn, setInstallmentsOn] = useState(false);
+  const [installmentCountText, setInstallmentCountText] = useState("2");
+  const [installmentMode, setInstallmentMode] = useState("total"); // total | parcela
+  const canInstall = !isEdit && type === "expense" && !splitting;
+  const installmentCount = clamp(Math.round(Number(installmentCountText) || 0), 0, 120);
+  const installments = useMemo(
+    () => (canInstall && installmentsOn && installmentCount >= 2 && amount > 0 ? buildInstallments({ date: date || isoToday() }, installmentCount, amount, installmentMode) : null),
+    [canInstall, installmentsOn, installmentCount, amount, installmentMode, date]
+  );
+  // Para o aviso de orçamento vale a parcela do mês, não o total (já na moeda base do orçamento).
+  const monthAmount = installments ? installments[0].amount : amount;
+  const foreign = txCurrency !== baseCurrency;
+  const converted = foreign && toBase && amount > 0 && date ? toBase(amount, txCurrency, date) : null;
+  const monthAmountBase = foreign ? (toBase && date ? toBase(monthAmount, txCurrency, date) ?? 0 : 0) : monthAmount;
+
+  const canSubmit =
+    amount > 0 &&
+    desc.trim().length >= 2 &&
+    date &&
+    accountId &&
+    (!isTransfer || (toAccountId && toAccountId !== accountId)) &&
+    (!canInstall || !installmentsOn || installmentCount >= 2) &&
+    (!splitting || !!splits);
+
+  // Aviso de orçamento: quanto a categoria já gastou no mês da data + este valor (cada parte na sua categoria).
+  const budgetWarning = useMemo(() => {
+    if (type !== "expense" || !(monthAmountBase > 0) || !date || !categorySpent) return null;
+    const parts = splits ? splits.map((s) => [s.category, (monthAmountBase * s.amount) / amount]) : [[category, monthAmountBase]];
+    let warning = null;
+    for (const [name, value] of parts) {
+      const budget = budgets[name];
+      if (!(budget > 0)) continue;
+      const after = categorySpent(name, date, initial?.id, accountId) + value;
+      const status = budgetStatus(after, budget);
+      if (status === "over") return { status, text: t("tx.budgetOver", { category: name, after: currency.format(after), budget: currency.format(budget) }) };
+      if (status === "warn" && !warning) warning = { status, text: t("tx.budgetWarn", { category: name, percent: Math.round((after / budget) * 100) }) };
+    }
+    return warning;
+  }, [budgets, category, splits, amount, type, monthAmountBase, date, categorySpent, initial, accountId]);
+
+  function toggleSplit(on) {
+    setSplitOn(on);
+    if (on && splitLines.length === 0) {
+      setSplitLines([
+        { category, amountText },
+        { category: categoryOptions.find((c) => c !== category) || category, amountText: "" },
+      ]);
+    }
+  }
+
+  const updateSplitLine = (i, patch) => setSplitLines((lines) => lines.map((l, j) => (j === i ? { ...l, ...patch } : l)));
+
+  function submit(e) {
+    e.preventDefault();
+    if (!canSubmit) return;
+    const fields = {
+      type,
+      date,
+      amount,
+      description: desc.trim(),
+      category: splits ? mainSplitCategory(splits) : isTransfer ? TRANSFER_CATEGORY : category,
+      splits: splits || undefined,
+      accountId,
+      toAccountId: isTransfer ? toAccountId : undefined,
+      currency: txCurrency,
+      tags,
+    };
+    if (isEdit) {
+      onSave(fields);
+      return;
+    }
+    if (installments) {
+      const createdAt = new Date().toISOString();
+      for (const t of buildInstallments({ ...fields, createdAt }, installmentCount, amount, installmentMode)) onAdd(t);
+      setInstallmentsOn(false);
+    } else {
+      onAdd({ id: uid(), ...fields, createdAt: new Date().toISOString() });
+    }
+    setAmountText("");
+    setDesc("");
+    setTags([]);
+    setSplitOn(false);
+    setSplitLines([]);
+  }
+
+  return (
+    <form onSubmit={submit} className="grid grid-cols-1 gap-3">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <Label className="text-white">{t("common.type")}</Label>
+          <Select value={type} onValueChange={setType}>
+            <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className={selectContentCls}>
+              <SelectItem value="expense" className={selectItemCls}>{t("type.expense")}</SelectItem>
+              <SelectItem value="income" className={selectItemCls}>{t("type.income")}</SelectItem>
+              {accounts.length > 1 || initial?.type === "transfer" ? (
+                <SelectItem value="transfer" className={selectItemCls}>{t("type.transfer")}</SelectItem>
+              ) : null}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label className="text-white">{t("common.date")}</Label>
+          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+        </div>
+      </div>
+
+      <div>
+        <Label className="text-white">{isTransfer ? t("tx.fromAccount") : t("tx.account")}</Label>
+        <Select value={accountId} onValueChange={setAccountId}>
+          <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+            <SelectValue placeholder={t("tx.account")} />
+          </SelectTrigger>
+          <SelectContent className={selectContentCls}>
+            {accounts.map((a) => (
+              <SelectItem key={a.id} value={a.id} className={selectItemCls}>
+                {a.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <Label className="text-white">{t("common.amount")}</Label>
+          <div className="mt-1 flex gap-2">
+            <Input className="bg-zinc-950 border-zinc-800 text-white" placeholder={t("tx.amountPlaceholder")} value={amountText} onChange={(e) => setAmountText(e.target.value)} inputMode="decimal" />
+            <Select value={txCurrency} onValueChange={setTxCurrency}>
+              <SelectTrigger className="w-24 shrink-0 bg-zinc-950 border-zinc-800 text-white" aria-label={t("common.currency")}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className={selectContentCls}>
+                {Object.keys(CURRENCIES).map((code) => (
+                  <SelectItem key={code} value={code} className={selectItemCls}>
+                    {code}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="text-xs text-zinc-300 mt-1">
+            {t("tx.preview", { amount: amount > 0 ? formatMoney(amount, txCurrency) : "—" })}
+            {foreign && amount > 0 ? (converted != null ? ` ≈ ${currency.format(converted)}` : <span className="text-amber-400"> · {t("tx.noRateForDate", { from: txCurrency, to: baseCurrency })}</span>) : null}
+          </div>
+          {canInstall ? (
+            <label className="flex items-center gap-2 text-xs text-white mt-2">
+              <input type="checkbox" checked={installmentsOn} onChange={(e) => setInstallmentsOn(e.target.checked)} style={{ accentColor: gold }} />
+              {t("installment.toggle")}
+            </label>
+          ) : null}
+        </div>
+
+        {isTransfer ? (
+          <div>
+            <Label className="text-white">{t("tx.toAccount")}</Label>
+            <Select value={toAccountId} onValueChange={setToAccountId}>
+              <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                <SelectValue placeholder={t("tx.account")} />
+              </SelectTrigger>
+              <SelectContent className={selectContentCls}>
+                {accounts
+                  .filter((a) => a.id !== accountId)
+                  .map((a) => (
+                    <SelectItem key={a.id} value={a.id} className={selectItemCls}>
+                      {a.name}
+                    </SelectItem>
+                  ))}
+              </SelectContent>
+            </Select>
+            <div className="text-xs text-zinc-300 mt-1">{t("tx.transferHint")}</div>
+          </div>
+        ) : (
+          <div>
+            <Label className="text-white">{t("common.category")}</Label>
+            {splitting ? (
+              <div className="mt-1 h-10 flex items-center text-sm text-zinc-300">{t("split.summary", { n: splitLines.length })}</div>
+            ) : (
+              <Select value={category} onValueChange={setCategory}>
+                <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                  <SelectValue placeholder={t("common.category")} />
+                </SelectTrigger>
+                <SelectContent className={selectContentCls}>
+                  {categoryOptions.map((c) => (
+                    <SelectItem key={c} value={c} className={selectItemCls}>
+                      {c}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+            {canSplit ? (
+              <label className="flex items-center gap-2 text-xs text-white mt-2">
+                <input type="checkbox" checked={splitOn} onChange={(e) => toggleSplit(e.target.checked)} style={{ accentColor: gold }} />
+                {t("split.toggle")}
+              </label>
+            ) : null}
+          </div>
+        )}
+      </div>
+
+      {canInstall && installmentsOn ? (
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <Label className="text-white">{t("installment.count")}</Label>
+            <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" value={installmentCountText} onChange={(e) => setInstallmentCountText(e.target.value)} inputMode="numeric" />
+          </div>
+          <div>
+            <Label className="text-white">{t("installment.modeLabel")}</Label>
+            <Select value={installmentMode} onValueChange={setInstallmentMode}>
+              <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className={selectContentCls}>
+                <SelectItem value="total" className={selectItemCls}>{t("installment.modeTotal")}</SelectItem>
+                <SelectItem value="parcela" className={selectItemCls}>{t("installment.modeEach")}</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="col-span-2 text-xs text-zinc-300">
+            {installments
+              ? t("installment.preview", { n: installments.length, amount: formatMoney(installments[0].amount, txCurrency) }) +
+                (installments[installments.length - 1].amount !== installments[0].amount ? ` ${t("installment.previewLast", { amount: formatMoney(installments[installments.length - 1].amount, txCurrency) })}` : "") +
+                ` • ${t("installment.previewTotal", { amount: formatMoney(installments[0].installment.total, txCurrency) })}`
+              : t("installment.needCount")}
+          </div>
+        </div>
+      ) : null}
+
+      {splitting ? (
+        <div className="grid grid-cols-1 gap-2">
+          {splitLines.map((line, i) => (
+            <div key={i} className="flex gap-2">
+              <Select value={line.category} onValueChange={(v) => updateSplitLine(i, { category: v })}>
+                <SelectTrigger className="bg-zinc-950 border-zinc-800 text-white" aria-label={t("common.category")}>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className={selectContentCls}>
+                  {categoryOptions.map((c) => (
+                    <SelectItem key={c} value={c} className={selectItemCls}>
+                      {c}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Input
+                className="w-32 shrink-0 bg-zinc-950 border-zinc-800 text-white"
+                placeholder={t("tx.amountPlaceholder")}
+                value={line.amountText}
+                onChange={(e) => updateSplitLine(i, { amountText: e.target.value })}
+                inputMode="decimal"
+                aria-label={t("common.amount")}
+              />
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                disabled={splitLines.length <= 2}
+                onClick={() => setSplitLines((lines) => lines.filter((_, j) => j !== i))}
+                aria-label={t("split.removeLine")}
+                className="shrink-0 text-zinc-200 hover:text-white"
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+          <div className="flex items-center justify-between gap-2">
+            <Button type="button" variant="ghost" onClick={() => setSplitLines((lines) => [...lines, { category: categoryOptions[0] || otherExpenseCategory(activeLocale), amountText: "" }])} className="text-zinc-200 hover:text-white">
+              <Plus className="h-4 w-4 mr-2" />
+              {t("split.addLine")}
+            </Button>
+            {amount > 0 ? (
+              <div className={`text-xs ${splits ? "text-emerald-300" : "text-amber-400"}`}>
+                {splitRemainingCents > 0
+                  ? t("split.remaining", { amount: formatMoney(splitRemainingCents / 100, txCurrency) })
+                  : splitRemainingCents < 0
+                  ? t("split.exceeds", { amount: formatMoney(-splitRemainingCents / 100, txCurrency) })
+                  : splits
+                  ? t("split.balanced")
+                  : t("split.needTwo")}
+              </div>
+            ) : null}
+          </div>
+        </div>
+      ) : null}
+
+      {budgetWarning ? (
+        <div className="rounded-xl px-3 py-2 text-xs" style={{ border: `1px solid ${BUDGET_STATUS_COLORS[budgetWarning.status]}`, color: BUDGET_STATUS_COLORS[budgetWarning.status] }}>
+          {budgetWarning.text}
+        </div>
+      ) : null}
+
+      <div>
+        <Label className="text-white">{t("common.description")}</Label>
+        <Input
+          className="mt-1 bg-zinc-950 border-zinc-800 text-white"
+          placeholder={type === "expense" ? t("tx.descExpense") : isTransfer ? t("tx.descTransfer") : t("tx.descIncome")}
+          value={desc}
+          onChange={(e) => setDesc(e.target.value)}
+        />
+      </div>
+
+      <div>
+        <Label className="text-white">{t("tags.label")}</Label>
+        <TagInput value={tags} onChange={setTags} suggestions={tagSuggestions} />
+      </div>
+
+      <Button type="submit" disabled={!canSubmit} style={{ backgroundColor: gold, color: "#000" }} className="mt-1 hover:opacity-90">
+        {isEdit ? (
+          t("common.saveChanges")
+        ) : (
+          <>
+            <Plus className="h-4 w-4 mr-2" />
+            {t("common.add")}
+          </>
+        )}
+      </Button>
+
+      <div className="text-xs text-zinc-300">{t("tx.tip")}</div>
+    </form>
+  );
+}
+
+function TransactionRow({ tx, accounts = [], toBase, onEdit, onDelete, onSeries }) {
+  const [showSplits, setShowSplits] = useState(false);
+  const isTransfer = tx.type === "transfer";
+  const sign = tx.type === "income" ? "+" : isTransfer ? "⇄" : "-";
+  const badgeVariant = tx.type === "income" ? "default" : "secondary";
+  const accountName = (id) => accounts.find((a) => a.id === id)?.name || "—";
+  const card = accounts.find((a) => a.id === tx.accountId && a.kind === "credit");
+
+  return (
+    <div className="rounded-2xl p-3 bg-zinc-950 shadow-[0_10px_30px_rgba(0,0,0,0.45)]" style={{ border: `1px solid rgba(212,175,55,0.18)` }}>
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2">
+            {tx.splits?.length ? (
+              <button type="button" onClick={() => setShowSplits((v) => !v)} aria-expanded={showSplits} className="flex items-center">
+                <Badge variant={badgeVariant} className="gap-1">
+                  {t("split.badge", { n: tx.splits.length })}
+                  {showSplits ? <ChevronUp className="h-3 w-3" /> : <ChevronDown className="h-3 w-3" />}
+                </Badge>
+              </button>
+            ) : (
+              <Badge variant={badgeVariant}>{categoryLabel(tx.category)}</Badge>
+            )}
+            <div className="text-xs text-zinc-300">{formatDate(tx.date)}</div>
+            {tx.recurrenceId ? <Repeat className="h-3 w-3 text-zinc-400" aria-label={t("recurrence.badge")} /> : null}
+            {tx.installment ? (
+              <Badge variant="outline" className="text-zinc-200 border-zinc-700">
+                {tx.installment.index}/{tx.installment.count}
+              </Badge>
+            ) : null}
+          </div>
+          <div className="mt-1 font-medium truncate text-white">{tx.description}</div>
+          {tx.tags?.length ? (
+            <div className="mt-1 flex flex-wrap gap-1">
+              {tx.tags.map((tag) => (
+                <Badge key={tag} variant="outline" className="text-zinc-300 border-zinc-700 font-normal">
+                  #{tag}
+                </Badge>
+              ))}
+            </div>
+          ) : null}
+          {isTransfer ? (
+            <div className="mt-1 text-xs text-zinc-300 flex items-center gap-1">
+              {accountName(tx.accountId)} <ArrowLeftRight className="h-3 w-3" /> {accountName(tx.toAccountId)}
+            </div>
+          ) : card ? (
+            <div className="mt-1 text-xs text-zinc-400">
+              {card.name} • {t("invoice.ofMonth", { month: monthLabelFromKey(purchaseInvoiceKey(tx, card)) })}
+            </div>
+          ) : accounts.length > 1 ? (
+            <div className="mt-1 text-xs text-zinc-400">{accountName(tx.accountId)}</div>
+          ) : null}
+          <div className={`mt-1 text-sm ${tx.type === "income" ? "text-emerald-300" : isTransfer ? "text-zinc-200" : "text-rose-300"}`}>
+            {sign} {formatMoney(tx.amount, tx.currency || baseCurrencyCode)}
+            {tx.currency && tx.currency !== baseCurrencyCode && toBase ? (
+              <span className="ml-2 text-xs text-zinc-400">{toBase(tx) != null ? `≈ ${currency.format(toBase(tx))}` : t("rates.none")}</span>
+            ) : null}
+          </div>
+          {tx.splits?.length && showSplits ? (
+            <ul className="mt-2 flex flex-col gap-1 text-xs text-zinc-300">
+              {tx.splits.map((s) => (
+                <li key={s.category} className="flex justify-between gap-3">
+                  <span className="truncate">{categoryLabel(s.category)}</span>
+                  <span className="text-zinc-200">{formatMoney(s.amount, tx.currency || baseCurrencyCode)}</span>
+                </li>
+              ))}
+            </ul>
+          ) : null}
+        </div>
+        <div className="flex items-center">
+          {onSeries ? (
+            <Button variant="ghost" size="icon" onClick={onSeries} aria-label={t("recurrence.series")} className="text-zinc-200 hover:text-white">
+              <Repeat className="h-4 w-4" />
+            </Button>
+          ) : null}
+          <Button variant="ghost" size="icon" onClick={onEdit} aria-label={t("tx.edit")} className="text-zinc-200 hover:text-white">
+            <Pencil className="h-4 w-4" />
+          </Button>
+          <Button variant="ghost" size="icon" onClick={onDelete} aria-label={t("tx.delete")} className="text-zinc-200 hover:text-white">
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Com `initial`, edita uma regra existente (onSave recebe os campos alterados).
+function RecurrenceForm({ categories, incomeCategories = [], accounts, onAdd, onSave, initial, gold, selectContentCls, selectItemCls }) {
+  const isEdit = !!initial;
+  const [accountId, setAccountId] = useState(initial?.accountId || accounts[0]?.id || "");
+  const [type, setType] = useState(initial?.type || "expense");
+  const [amountText, setAmountText] = useState(initial ? amountToInput(initial.amount) : "");
+  const [desc, setDesc] = useState(initial?.description || "");
+  const [category, setCategory] = useState(initial?.category || categories[0] || otherExpenseCategory(activeLocale));
+  const [frequency, setFrequency] = useState(initial?.frequency || "monthly");
+  const [startDate, setStartDate] = useState(initial?.startDate || isoToday());
+  const [dayText, setDayText] = useState(initial?.day ? String(initial.day) : String(new Date().getDate()));
+  const [endMode, setEndMode] = useState(initial?.count > 0 ? "count" : initial?.endDate ? "date" : "never");
+  const [endDate, setEndDate] = useState(initial?.endDate || "");
+  const [countText, setCountText] = useState(initial?.count > 0 ? String(initial.count) : "12");
+
+  const categoryOptions = useMemo(() => {
+    const list = type === "income" ? incomeCategories : categories;
+    return initial?.type === type && initial.category && !list.includes(initial.category) ? [...list, initial.category] : list;
+  }, [categories, incomeCategories, type, initial]);
+
+  useEffect(() => {
+    if (!categoryOptions.includes(category)) setCategory(categoryOptions[0] || otherExpenseCategory(activeLocale));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [categoryOptions]);
+
+  const amount = useMemo(() => parseAmount(amountText), [amountText]);
+  const day = clamp(Math.round(Number(dayText) || 0), 0, 31);
+  const count = Math.max(0, Math.round(Number(countText) || 0));
+
+  const canSubmit =
+    amount > 0 &&
+    desc.trim().length >= 2 &&
+    startDate &&
+    (frequency !== "monthly" || day >= 1) &&
+    (endMode !== "date" || endDate >= startDate) &&
+    (endMode !== "count" || count >= 1);
+
+  function submit(e) {
+    e.preventDefault();
+    if (!canSubmit) return;
+    const fields = {
+      type,
+      amount,
+      description: desc.trim(),
+      category,
+      accountId,
+      frequency,
+      day: frequency === "monthly" ? day : new Date(startDate + "T00:00:00").getDate(),
+      startDate,
+      endDate: endMode === "date" ? endDate : "",
+      count: endMode === "count" ? count : 0,
+    };
+    if (isEdit) {
+      onSave(fields);
+      return;
+    }
+    onAdd({ id: uid(), ...fields, skipped: [], generatedUntil: "", createdAt: new Date().toISOString() });
+    setAmountText("");
+    setDesc("");
+  }
+
+  return (
+    <form onSubmit={submit} className="grid grid-cols-1 gap-3">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <Label className="text-white">{t("common.type")}</Label>
+          <Select value={type} onValueChange={setType}>
+            <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className={selectContentCls}>
+              <SelectItem value="expense" className={selectItemCls}>{t("type.expense")}</SelectItem>
+              <SelectItem value="income" className={selectItemCls}>{t("type.income")}</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label className="text-white">{t("common.amount")} ({initial?.currency || baseCurrencyCode})</Label>
+          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder={t("recurrence.amountPlaceholder")} value={amountText} onChange={(e) => setAmountText(e.target.value)} inputMode="decimal" />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <Label className="text-white">{t("common.description")}</Label>
+          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder={t("recurrence.descPlaceholder")} value={desc} onChange={(e) => setDesc(e.target.value)} />
+        </div>
+        <div>
+          <Label className="text-white">{t("common.category")}</Label>
+          <Select value={category} onValueChange={setCategory}>
+            <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+              <SelectValue placeholder={t("common.category")} />
+            </SelectTrigger>
+            <SelectContent className={selectContentCls}>
+              {categoryOptions.map((c) => (
+                <SelectItem key={c} value={c} className={selectItemCls}>
+                  {c}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {accounts.length > 1 ? (
+        <div>
+          <Label className="text-white">{t("tx.account")}</Label>
+          <Select value={accountId} onValueChange={setAccountId}>
+            <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+              <SelectValue placeholder={t("tx.account")} />
+            </SelectTrigger>
+            <SelectContent className={selectContentCls}>
+              {accounts.map((a) => (
+                <SelectItem key={a.id} value={a.id} className={selectItemCls}>
+                  {a.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      ) : null}
+
+      <div className="grid grid-cols-3 gap-3">
+        <div>
+          <Label className="text-white">{t("recurrence.repeat")}</Label>
+          <Select value={frequency} onValueChange={setFrequency}>
+            <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className={selectContentCls}>
+              {Object.entries(FREQUENCY_LABELS).map(([k, label]) => (
+                <SelectItem key={k} value={k} className={selectItemCls}>
+                  {t(label)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label className="text-white">{t("recurrence.start")}</Label>
+          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+        </div>
+        <div>
+          <Label className="text-white">{t("recurrence.day")}</Label>
+          <Input
+            className="mt-1 bg-zinc-950 border-zinc-800 text-white"
+            value={frequency === "monthly" ? dayText : ""}
+            placeholder={frequency === "monthly" ? "1–31" : "—"}
+            disabled={frequency !== "monthly"}
+            onChange={(e) => setDayText(e.target.value)}
+            inputMode="numeric"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <Label className="text-white">{t("recurrence.ends")}</Label>
+          <Select value={endMode} onValueChange={setEndMode}>
+            <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className={selectContentCls}>
+              <SelectItem value="never" className={selectItemCls}>{t("recurrence.never")}</SelectItem>
+              <SelectItem value="date" className={selectItemCls}>{t("recurrence.onDate")}</SelectItem>
+              <SelectItem value="count" className={selectItemCls}>{t("recurrence.afterCount")}</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          {endMode === "date" ? (
+            <>
+              <Label className="text-white">{t("recurrence.until")}</Label>
+              <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+            </>
+          ) : endMode === "count" ? (
+            <>
+              <Label className="text-white">{t("recurrence.occurrences")}</Label>
+              <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" value={countText} onChange={(e) => setCountText(e.target.value)} inputMode="numeric" />
+            </>
+          ) : null}
+        </div>
+      </div>
+
+      <Button type="submit" disabled={!canSubmit} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90">
+        {isEdit ? (
+          t("recurrence.save")
+        ) : (
+          <>
+            <Repeat className="h-4 w-4 mr-2" />
+            {t("recurrence.create")}
+          </>
+        )}
+      </Button>
+    </form>
+  );
+}
+
+function RecurrenceRow({ rule, onOpen, onDelete }) {
+  const next = nextRecurrenceDate(rule, rule.generatedUntil || "");
+  const sign = rule.type === "income" ? "+" : "-";
+
+  return (
+    <div className="rounded-2xl p-3 bg-zinc-950 shadow-[0_10px_30px_rgba(0,0,0,0.45)]" style={{ border: `1px solid rgba(212,175,55,0.18)` }}>
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="font-medium truncate text-white">{rule.description}</div>
+          <div className="text-xs text-zinc-300">{describeRecurrence(rule)}</div>
+          <div className={`mt-1 text-sm ${rule.type === "income" ? "text-emerald-300" : "text-rose-300"}`}>
+            {sign} {currency.format(rule.amount)}
+          </div>
+          <div className="text-xs text-zinc-400 mt-1">
+            {next ? t("recurrence.next", { date: formatDate(next) }) : t("recurrence.ended")}
+          </div>
+        </div>
+        <div className="flex items-center">
+          <Button variant="ghost" size="icon" onClick={onOpen} aria-label={t("recurrence.edit")} className="text-zinc-200 hover:text-white">
+            <Pencil className="h-4 w-4" />
+          </Button>
+          <Button variant="ghost" size="icon" onClick={onDelete} aria-label={t("recurrence.delete")} className="text-zinc-200 hover:text-white">
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Aberto a partir de um movimento gerado (com `tx`) ou da lista de regras.
+function RecurrenceSeriesDialog({ rule, tx, categories, incomeCategories, accounts, onClose, onSave, onSkip, onStop, gold, selectContentCls, selectItemCls }) {
+  return (
+    <Dialog open={!!rule} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-lg bg-zinc-950 border-zinc-800 text-white" style={{ borderColor: `rgba(212,175,55,0.22)` }}>
+        <DialogHeader>
+          <DialogTitle>{t("recurrence.series")}</DialogTitle>
+        </DialogHeader>
+        {rule ? (
+          <>
+            <div className="text-sm text-zinc-300">
+              {rule.description} • {describeRecurrence(rule)}
+            </div>
+            <RecurrenceForm
+              key={rule.id + (rule.updatedAt || "")}
+              categories={categories}
+              incomeCategories={incomeCategories}
+              accounts={accounts}
+              initial={rule}
+              onSave={onSave}
+              gold={gold}
+              selectContentCls={selectContentCls}
+              selectItemCls={selectItemCls}
+            />
+            <div className="text-xs text-zinc-400">{t("recurrence.editHint")}</div>
+            <DialogFooter className="gap-2">
+              {tx ? (
+                <Button variant="ghost" className="text-white border border-zinc-800 hover:bg-zinc-900" onClick={() => onSkip(tx)}>
+                  {t("recurrence.skip")}
+                </Button>
+              ) : null}
+              <Button variant="ghost" className="text-rose-300 border border-zinc-800 hover:bg-zinc-900" onClick={onStop}>
+                {t("recurrence.stop")}
+              </Button>
+            </DialogFooter>
+          </>
+        ) : null}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function BudgetBar({ row }) {
+  const pct = row.budget > 0 ? row.spent / row.budget : 0;
+  const color = BUDGET_STATUS_COLORS[row.status] || GOLD;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between text-sm">
+        <div className="text-white truncate">{row.name}</div>
+        <div className="font-medium" style={{ color: row.status === "ok" ? "#fff" : color }}>
+          {Math.round(pct * 100)}%
+        </div>
+      </div>
+      <div className="mt-2 h-2 rounded-full bg-zinc-800 overflow-hidden">
+        <div className="h-full rounded-full" style={{ width: `${clamp(pct, 0, 1) * 100}%`, backgroundColor: color }} />
+      </div>
+      <div className="mt-1 text-xs text-zinc-300">
+        {t("budget.spentOf", { spent: currency.format(row.spent), budget: currency.format(row.budget) })}
+        {row.status === "over" ? <span style={{ color }}> • {t("budget.overBy", { amount: currency.format(row.spent - row.budget) })}</span> : null}
+        {row.status === "warn" ? <span style={{ color }}> • {t("budget.nearLimit")}</span> : null}
+      </div>
+    </div>
+  );
+}
+
+function BudgetEditor({ categories, budgets, onChange }) {
+  // Texto local por categoria; grava ao sair do campo para não reprocessar a cada tecla.
+  const [texts, setTexts] = useState({});
+
+  // Ressincroniza quando categorias são renomeadas/juntadas ou um valor é gravado.
+  useEffect(() => {
+    setTexts(Object.fromEntries(categories.map((c) => [c, budgets[c] > 0 ? amountToInput(budgets[c]) : ""])));
+  }, [categories, budgets]);
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+      {categories.map((c) => (
+        <div key={c}>
+          <Label className="text-white">{c}</Label>
+          <Input
+            className="mt-1 bg-zinc-950 border-zinc-800 text-white"
+            placeholder={t("budget.none")}
+            value={texts[c] ?? ""}
+            onChange={(e) => setTexts((t) => ({ ...t, [c]: e.target.value }))}
+            onBlur={() => onChange(c, parseAmount(texts[c] || ""))}
+            inputMode="decimal"
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// `kind` "income" gerencia as categorias de receita (sem orçamento).
+function CategoryManager({ kind = "expense", categories, usage, ruleUsage, onAdd, onRename, onMove, onMerge, gold, selectContentCls, selectItemCls }) {
+  const [newName, setNewName] = useState("");
+  const [editing, setEditing] = useState(null); // { from, text }
+  const [reassign, setReassign] = useState(null); // { from, mode: "merge" | "delete" }
+  const [target, setTarget] = useState("");
+
+  const newError = newName.trim() ? validateCategoryName(newName, categories) : null;
+  const editError = editing ? validateCategoryName(editing.text, categories, editing.from) : null;
+
+  function openReassign(from, mode) {
+    setReassign({ from, mode });
+    setTarget(categories.find((c) => c !== from) || "");
+  }
+
+  function remove(name) {
+    if ((usage.get(name) || 0) === 0 && (ruleUsage.get(name) || 0) === 0) onMerge(name, null);
+    else openReassign(name, "delete");
+  }
+
+  const reassignCount = reassign ? usage.get(reassign.from) || 0 : 0;
+  const reassignRules = reassign ? ruleUsage.get(reassign.from) || 0 : 0;
+
+  return (
+    <div className="grid grid-cols-1 gap-3">
+      <form
+        className="flex gap-2 items-start"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (!newName.trim() || newError) return;
+          onAdd(newName);
+          setNewName("");
+        }}
+      >
+        <div className="flex-1">
+          <Input className="bg-zinc-950 border-zinc-800 text-white" placeholder={kind === "income" ? t("category.newIncomePlaceholder") : t("category.newPlaceholder")} value={newName} onChange={(e) => setNewName(e.target.value)} />
+          {newError ? <div className="text-xs text-rose-300 mt-1">{newError}</div> : null}
+        </div>
+        <Button type="submit" disabled={!newName.trim() || !!newError} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90">
+          <Plus className="h-4 w-4 mr-2" />
+          {t("common.add")}
+        </Button>
+      </form>
+
+      <div className="flex flex-col gap-2">
+        {categories.map((c, i) => (
+          <div key={c} className="rounded-2xl px-3 py-2 bg-zinc-950 flex items-center justify-between gap-2" style={{ border: `1px solid rgba(212,175,55,0.18)` }}>
+            {editing?.from === c ? (
+              <form
+                className="flex-1 flex gap-2 items-start"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  if (editError) return;
+                  if (editing.text.trim() !== c) onRename(c, editing.text);
+                  setEditing(null);
+                }}
+              >
+                <div className="flex-1">
+                  <Input autoFocus className="bg-zinc-950 border-zinc-800 text-white" value={editing.text} onChange={(e) => setEditing({ from: c, text: e.target.value })} />
+                  {editError ? <div className="text-xs text-rose-300 mt-1">{editError}</div> : null}
+                </div>
+                <Button type="submit" disabled={!!editError} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90">
+                  {t("common.save")}
+                </Button>
+                <Button type="button" variant="ghost" className="text-zinc-200 hover:text-white" onClick={() => setEditing(null)}>
+                  {t("common.cancel")}
+                </Button>
+              </form>
+            ) : (
+              <>
+                <div className="min-w-0">
+                  <div className="text-white truncate">{c}</div>
+                  <div className="text-xs text-zinc-400">
+                    {t("category.usage", { n: usage.get(c) || 0 })}
+                    {ruleUsage.get(c) ? ` • ${t("category.ruleUsage", { n: ruleUsage.get(c) })}` : ""}
+                  </div>
+                </div>
+                <div className="flex items-center">
+                  <Button variant="ghost" size="icon" disabled={i === 0} onClick={() => onMove(c, -1)} aria-label={t("common.moveUp")} className="text-zinc-200 hover:text-white">
+                    <ChevronUp className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="icon" disabled={i === categories.length - 1} onClick={() => onMove(c, 1)} aria-label={t("common.moveDown")} className="text-zinc-200 hover:text-white">
+                    <ChevronDown className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="icon" onClick={() => setEditing({ from: c, text: c })} aria-label={t("category.rename")} className="text-zinc-200 hover:text-white">
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="icon" disabled={categories.length < 2} onClick={() => openReassign(c, "merge")} aria-label={t("category.merge")} className="text-zinc-200 hover:text-white">
+                    <Merge className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="icon" disabled={categories.length < 2} onClick={() => remove(c)} aria-label={t("category.delete")} className="text-zinc-200 hover:text-white">
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <Dialog open={!!reassign} onOpenChange={(open) => !open && setReassign(null)}>
+        <DialogContent className="sm:max-w-md bg-zinc-950 border-zinc-800 text-white" style={{ borderColor: `rgba(212,175,55,0.22)` }}>
+          <DialogHeader>
+            <DialogTitle>{reassign?.mode === "merge" ? t("category.mergeTitle", { name: reassign?.from }) : t("category.deleteTitle", { name: reassign?.from })}</DialogTitle>
+          </DialogHeader>
+          <div className="text-sm text-zinc-300">
+            {reassign?.mode === "merge"
+              ? t(kind === "income" ? "category.mergeIncomeHint" : "category.mergeHint", { n: reassignCount, name: reassign?.from })
+              : reassignCount
+                ? t("category.deleteHint", { n: reassignCount, name: reassign?.from })
+                : null}
+            {reassignRules ? <div className={reassign?.mode === "merge" || reassignCount ? "mt-2" : ""}>{t("category.ruleHint", { n: reassignRules, name: reassign?.from })}</div> : null}
+          </div>
+          <div>
+            <Label className="text-white">{t("category.moveTo")}</Label>
+            <Select value={target} onValueChange={setTarget}>
+              <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                <SelectValue placeholder={t("common.category")} />
+              </SelectTrigger>
+              <SelectContent className={selectContentCls}>
+                {categories
+                  .filter((c) => c !== reassign?.from)
+                  .map((c) => (
+                    <SelectItem key={c} value={c} className={selectItemCls}>
+                      {c}
+                    </SelectItem>
+                  ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <DialogFooter>
+            <Button
+              disabled={!target}
+              style={{ backgroundColor: gold, color: "#000" }}
+              className="hover:opacity-90"
+              onClick={() => {
+                onMerge(reassign.from, target);
+                setReassign(null);
+              }}
+            >
+              {reassign?.mode === "merge" ? t("category.mergeConfirm") : t("category.moveAndDelete")}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
 
-                          <div className="w-52">
-                            <Select value={trendRange} onValueChange={setTrendRange}>
-                              <SelectTrigger className="bg-zinc-950 border-zinc-800 text-white">
-                                <SelectValue />
-                              </SelectTrigger>
-                              <SelectContent className={selectContentCls}>
-                                <SelectItem value="month" className={selectItemCls}>Só este mês</SelectItem>
-                                <SelectItem value="6m" className={selectItemCls}>Últimos 6 meses</SelectItem>
-                                <SelectItem value="1y" className={selectItemCls}>Último ano</SelectItem>
-                                <SelectItem value="all" className={selectItemCls}>Todo o tempo</SelectItem>
-                              </SelectContent>
-                            </Select>
-                          </div>
-                        </div>
+const CSV_FIELDS = [
+  { key: "date", label: "common.date", guess: /data|date|fecha/i },
+  { key: "description", label: "common.description", guess: /descri|hist|title|t[ií]tulo|lan[cç]amento|estabelecimento|memo|concepto/i },
+  { key: "amount", label: "common.amount", guess: /valor|amount|quantia|montante|importe|monto/i },
+];
 
-                        <div className="mt-3 h-80">
-                          {trendData.length === 0 ? (
-                            <EmptyHint title="Sem dados ainda" desc="Adicione receitas/gastos para ver o gráfico." />
-                          ) : (
-                            <ResponsiveContainer width="100%" height="100%">
-                              <BarChart data={trendData} margin={{ top: 10, right: 10, bottom: 40, left: 0 }}>
-                                <CartesianGrid strokeDasharray="3 3" stroke="#333" />
-                                <XAxis
-                                  dataKey="label"
-                                  interval={0}
-                                  angle={-25}
-                                  textAnchor="end"
-                                  height={70}
-                                  tickMargin={10}
-                                  tick={{ fill: "#ddd", fontSize: 12 }}
-                                  axisLine={{ stroke: "#555" }}
-                                  tickLine={{ stroke: "#555" }}
-                                />
-                                <YAxis tick={{ fill: "#ddd", fontSize: 12 }} axisLine={{ stroke: "#555" }} tickLine={{ stroke: "#555" }} />
-                                <Tooltip
-                                  formatter={(v) => currency.format(Number(v))}
-                                  contentStyle={{ background: "#0a0a0a", border: `1px solid ${GOLD}`, color: "#fff" }}
-                                  labelStyle={{ color: "#fff" }}
-                                  itemStyle={{ color: "#fff" }}
-                                  cursor={{ fill: "rgba(0,0,0,0.45)" }}
-                                />
-                                <Legend wrapperStyle={{ color: "#ddd" }} />
-                                <Bar dataKey="Gastos" fill={BAR_COLOR_GASTOS} radius={[6, 6, 0, 0]} />
-                                <Bar dataKey="Receitas" fill={BAR_COLOR_RECEITAS} radius={[6, 6, 0, 0]} />
-                              </BarChart>
-                            </ResponsiveContainer>
-                          )}
-                        </div>
-                      </CardContent>
-                    </Card>
+const NO_COLUMN = "-";
 
-                    <Card className={cardCls} style={cardStyle}>
-                      <CardContent className="p-4">
-                        <div className="font-medium" style={{ color: GOLD }}>Gastos por categoria (mês)</div>
-                        <div className={`text-xs ${softText}`}>Onde o dinheiro está indo</div>
-                        <div className="mt-3 h-80">
-                          {byCategory.length === 0 ? (
-                            <EmptyHint title="Sem gastos neste mês" desc="Adicione um gasto para ver o gráfico por categoria." />
-                          ) : (
-                            <ResponsiveContainer width="100%" height="100%">
-                              <PieChart>
-                                <Tooltip
-                                  formatter={(v) => currency.format(Number(v))}
-                                  contentStyle={{ background: "#0a0a0a", border: `1px solid ${GOLD}`, color: "#fff" }}
-                                  wrapperStyle={{ outline: "none" }}
-                                  labelStyle={{ color: "#fff" }}
-                                  itemStyle={{ color: "#fff" }}
-                                />
-                                <Legend wrapperStyle={{ color: "#ddd" }} />
-                                <Pie data={byCategory} dataKey="value" nameKey="name" innerRadius={45} outerRadius={90} paddingAngle={2}>
-                                  {byCategory.map((_, i) => (
-                                    <Cell key={i} fill={PIE_COLORS[i % PIE_COLORS.length]} />
-                                  ))}
-                                </Pie>
-                              </PieChart>
-                            </ResponsiveContainer>
-                          )}
-                        </div>
-                      </CardContent>
-                    </Card>
-                  </div>
+// Assistente de importação: arquivo → (CSV: mapeamento de colunas) → revisão → relatório.
+// CSV: prováveis duplicados ficam desmarcados. OFX: FITID já importado é pulado sem opção.
+function StatementImportDialog({ transactions, categories, incomeCategories, accounts, onImport, gold, selectContentCls, selectItemCls }) {
+  const fileRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [step, setStep] = useState("file"); // file | map | review | done
+  const [format, setFormat] = useState("csv"); // csv | ofx
+  const [fileName, setFileName] = useState("");
+  const [text, setText] = useState("");
+  const [delimiter, setDelimiter] = useState(";");
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({ date: NO_COLUMN, description: NO_COLUMN, amount: NO_COLUMN });
+  const [invertSign, setInvertSign] = useState(false);
+  const [numberFormat, setNumberFormat] = useState("auto"); // auto | , | .
+  const [dateOrder, setDateOrder] = useState("auto"); // auto | dmy | mdy
+  const [category, setCategory] = useState(() => {
+    const other = otherExpenseCategory(activeLocale);
+    return categories.includes(other) ? other : categories[0] || other;
+  });
+  const [incomeCategory, setIncomeCategory] = useState(() => {
+    const other = otherIncomeCategory(activeLocale);
+    return incomeCategories.includes(other) ? other : incomeCategories[0] || other;
+  });
+  const [accountId, setAccountId] = useState(accounts[0]?.id || "");
+  const [selected, setSelected] = useState({});
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState("");
 
-                  <Separator className="my-4 bg-zinc-800" />
+  const rows = useMemo(() => (text && format === "csv" ? parseCsv(text, delimiter) : []), [text, format, delimiter]);
+  const header = hasHeader ? rows[0] || [] : [];
+  const body = hasHeader ? rows.slice(1) : rows;
+  const columnCount = rows.reduce((n, r) => Math.max(n, r.length), 0);
+  const columns = Array.from({ length: columnCount }, (_, i) => ({ idx: String(i), name: header[i]?.trim() || t("import.column", { n: i + 1 }) }));
 
-                  <Card className={cardCls} style={cardStyle}>
-                    <CardContent className="p-4">
-                      <div className="font-medium" style={{ color: GOLD }}>Metas (progresso)</div>
-                      <div className={`text-xs ${softText}`}>Você registra aportes diretamente na meta.</div>
-                      <div className="mt-3 flex flex-col gap-3">
-                        {state.goals.length === 0 ? (
-                          <EmptyHint title="Você ainda não criou metas" desc="Crie uma meta para acompanhar quanto falta." />
-                        ) : (
-                          state.goals.slice(0, 4).map((g) => (
-                            <GoalRow key={g.id} goal={g} onContribute={(amt) => contributeToGoal(g.id, amt)} gold={GOLD} />
-                          ))
-                        )}
-                      </div>
-                    </CardContent>
-                  </Card>
-                </TabsContent>
+  // O formato dos valores e datas é do arquivo: detectado nas colunas mapeadas, com ajuste manual.
+  const detected = useMemo(() => {
+    const values = (key) => (mapping[key] === NO_COLUMN ? [] : body.map((r) => r[Number(mapping[key])] || ""));
+    return detectStatementFormat(values("amount"), values("date"));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rows, hasHeader, mapping]);
+  const decimal = numberFormat === "auto" ? detected.decimal : numberFormat;
+  const monthFirst = dateOrder === "auto" ? detected.monthFirst : dateOrder === "mdy";
 
-                <TabsContent value="mov" className="mt-4">
-                  <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
-                    <Card className={cardCls} style={cardStyle}>
-                      <CardContent className="p-4 sm:p-5">
-                        <div>
-                          <div className="font-medium" style={{ color: GOLD }}>Novo movimento</div>
-                          <div className={`text-xs ${softText}`}>Registre receitas e gastos do dia a dia</div>
-                        </div>
-                        <div className="mt-3">
-                          <TransactionForm categories={state.categories} onAdd={addTransaction} gold={GOLD} selectContentCls={selectContentCls} selectItemCls={selectItemCls} />
-                        </div>
-                      </CardContent>
-                    </Card>
+  // Linhas do arquivo no formato comum { date, description, amount (com sinal), fitid?, raw }
+  const entries = useMemo(() => {
+    if (step !== "review" && step !== "done") return [];
+    if (format === "ofx") return parseOfx(text) || [];
+    const col = (r, key) => (mapping[key] === NO_COLUMN ? "" : r[Number(mapping[key])] || "");
+    return body.map((r) => {
+      const amount = parseDecimal(col(r, "amount"), decimal);
+      return { date: parseDateBR(col(r, "date"), monthFirst), description: col(r, "description").trim(), amount: invertSign ? -amount : amount, raw: r };
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [step, format, text, rows, hasHeader, mapping, invertSign, decimal, monthFirst]);
+
+  // Cada linha vira { tx, status: ok | duplicate | invalid, locked, reason }
+  const parsed = useMemo(() => {
+    const known = new Set(transactions.filter((t) => t.fitid).map((t) => t.fitid));
+    const accepted = [];
+    return entries.map((e, i) => {
+      if (!e.date) return { key: i, status: "invalid", reason: t("import.badDate"), raw: e.raw };
+      if (!e.amount) return { key: i, status: "invalid", reason: t("import.badAmount"), raw: e.raw };
+      const type = e.amount < 0 ? "expense" : "income";
+      const tx = {
+        id: uid(),
+        type,
+        date: e.date,
+        amount: Math.abs(e.amount),
+        description: e.description || t("import.noDescription"),
+        category: type === "expense" ? category : incomeCategory,
+        accountId,
+        createdAt: new Date().toISOString(),
+        source: format,
+        ...(e.fitid ? { fitid: e.fitid } : {}),
+      };
+      if (e.fitid) {
+        const seen = known.has(e.fitid);
+        known.add(e.fitid);
+        return { key: i, status: seen ? "duplicate" : "ok", locked: seen, reason: seen ? t("import.alreadyImported") : "", tx };
+      }
+      // Também compara com as linhas anteriores do próprio arquivo.
+      const dup = findDuplicate(tx, transactions) || findDuplicate(tx, accepted);
+      accepted.push(tx);
+      return { key: i, status: dup ? "duplicate" : "ok", reason: dup ? t("import.similarTo", { description: dup.description }) : "", tx };
+    });
+  }, [entries, category, incomeCategory, accountId, format, transactions]);
+
+  useEffect(() => {
+    if (step === "done") return;
+    setSelected(Object.fromEntries(parsed.filter((p) => p.tx).map((p) => [p.key, p.status === "ok"])));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [parsed]);
+
+  function reset() {
+    setStep("file");
+    setFormat("csv");
+    setFileName("");
+    setText("");
+    setError("");
+    setReport(null);
+    setInvertSign(false);
+    setNumberFormat("auto");
+    setDateOrder("auto");
+  }
+
+  function loadFile(file) {
+    setError("");
+    readTextFile(file)
+      .then((content) => {
+        setFileName(file.name);
+        if (isOfx(content)) {
+          if (!parseOfx(content)?.length) throw new Error("empty");
+          setFormat("ofx");
+          setText(content);
+          setStep("review");
+          return;
+        }
+        const d = detectCsvDelimiter(content);
+        const firstRows = parseCsv(content, d);
+        if (firstRows.length === 0) throw new Error("empty");
+        const head = firstRows[0];
+        const guessed = {};
+        for (const f of CSV_FIELDS) {
+          const i = head.findIndex((h) => f.guess.test(h));
+          guessed[f.key] = i >= 0 ? String(i) : NO_COLUMN;
+        }
+        setFormat("csv");
+        setText(content);
+        setDelimiter(d);
+        setHasHeader(Object.values(guessed).some((v) => v !== NO_COLUMN) || !parseDateBR(head[0]));
+        setMapping(guessed);
+        setStep("map");
+      })
+      .catch(() => setError(t("import.readError")));
+  }
+
+  const canReview = mapping.date !== NO_COLUMN && mapping.amount !== NO_COLUMN && body.length > 0;
+  const chosen = parsed.filter((p) => p.tx && !p.locked && selected[p.key]);
+  const counts = {
+    ok: parsed.filter((p) => p.status === "ok").length,
+    duplicate: parsed.filter((p) => p.status === "duplicate").length,
+    invalid: parsed.filter((p) => p.status === "invalid").length,
+  };
+
+  function confirmImport() {
+    onImport(chosen.map((p) => p.tx));
+    setReport({ added: chosen.length, skipped: parsed.filter((p) => p.tx).length - chosen.length, rejected: counts.invalid });
+    setStep("done");
+  }
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(v) => {
+        setOpen(v);
+        if (!v) reset();
+      }}
+    >
+      <DialogTrigger asChild>
+        <Button variant="ghost" className="text-[var(--gold)] hover:bg-black hover:text-[var(--gold)] border border-[rgba(212,175,55,0.22)]" style={{ "--gold": gold }}>
+          <FileUp className="h-4 w-4 mr-2" />
+          {t("import.title")}
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-2xl max-h-[85vh] overflow-y-auto bg-zinc-950 border-zinc-800 text-white" style={{ borderColor: `rgba(212,175,55,0.22)` }}>
+        <DialogHeader>
+          <DialogTitle>{t("import.title")}</DialogTitle>
+        </DialogHeader>
+
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".csv,.ofx,text/csv,text/plain,application/x-ofx"
+          className="hidden"
+          onChange={(e) => {
+            const f = e.target.files?.[0];
+            if (f) loadFile(f);
+            if (fileRef.current) fileRef.current.value = "";
+          }}
+        />
+
+        {step === "file" ? (
+          <div className="grid grid-cols-1 gap-3">
+            <div className="text-sm text-zinc-300">{t("import.fileHint")}</div>
+            <Button style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90" onClick={() => fileRef.current?.click()}>
+              <Upload className="h-4 w-4 mr-2" />
+              {t("import.chooseFile")}
+            </Button>
+            {error ? <div className="text-sm text-rose-300">{error}</div> : null}
+          </div>
+        ) : null}
+
+        {step === "map" ? (
+          <div className="grid grid-cols-1 gap-3">
+            <div className="text-xs text-zinc-400">{fileName}</div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <Label className="text-white">{t("import.delimiter")}</Label>
+                <Select value={delimiter} onValueChange={setDelimiter}>
+                  <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className={selectContentCls}>
+                    <SelectItem value=";" className={selectItemCls}>{t("import.semicolon")}</SelectItem>
+                    <SelectItem value="," className={selectItemCls}>{t("import.comma")}</SelectItem>
+                    <SelectItem value={"\t"} className={selectItemCls}>{t("import.tab")}</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-white mt-6">
+                <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} style={{ accentColor: gold }} />
+                {t("import.hasHeader")}
+              </label>
+            </div>
+
+            <div className="overflow-x-auto rounded-xl border border-zinc-800">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-zinc-300">
+                    {columns.map((c) => (
+                      <th key={c.idx} className="px-2 py-1 text-left font-medium">{c.name}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {body.slice(0, 5).map((r, i) => (
+                    <tr key={i} className="border-t border-zinc-800">
+                      {columns.map((c) => (
+                        <td key={c.idx} className="px-2 py-1 whitespace-nowrap">{r[Number(c.idx)]}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="grid grid-cols-3 gap-3">
+              {CSV_FIELDS.map((f) => (
+                <div key={f.key}>
+                  <Label className="text-white">{t(f.label)}</Label>
+                  <Select value={mapping[f.key]} onValueChange={(v) => setMapping((m) => ({ ...m, [f.key]: v }))}>
+                    <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className={selectContentCls}>
+                      <SelectItem value={NO_COLUMN} className={selectItemCls}>—</SelectItem>
+                      {columns.map((c) => (
+                        <SelectItem key={c.idx} value={c.idx} className={selectItemCls}>
+                          {c.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <Label className="text-white">{t("import.numberFormat")}</Label>
+                <Select value={numberFormat} onValueChange={setNumberFormat}>
+                  <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className={selectContentCls}>
+                    <SelectItem value="auto" className={selectItemCls}>{t("import.detected", { value: detected.decimal === "." ? "1,234.56" : "1.234,56" })}</SelectItem>
+                    <SelectItem value="," className={selectItemCls}>1.234,56</SelectItem>
+                    <SelectItem value="." className={selectItemCls}>1,234.56</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label className="text-white">{t("import.dateFormat")}</Label>
+                <Select value={dateOrder} onValueChange={setDateOrder}>
+                  <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className={selectContentCls}>
+                    <SelectItem value="auto" className={selectItemCls}>{t("import.detected", { value: detected.monthFirst ? "01/31/2026" : "31/01/2026" })}</SelectItem>
+                    <SelectItem value="dmy" className={selectItemCls}>{t("import.dayFirst")}</SelectItem>
+                    <SelectItem value="mdy" className={selectItemCls}>{t("import.monthFirst")}</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-white">
+              <input type="checkbox" checked={invertSign} onChange={(e) => setInvertSign(e.target.checked)} style={{ accentColor: gold }} />
+              {t("import.invertSign")}
+            </label>
+            <div className="text-xs text-zinc-400">{t("import.signHint")}</div>
+
+            <DialogFooter className="gap-2">
+              <Button variant="ghost" className="text-white border border-zinc-800 hover:bg-zinc-900" onClick={reset}>
+                {t("import.otherFile")}
+              </Button>
+              <Button disabled={!canReview} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90" onClick={() => setStep("review")}>
+                {t("import.review", { n: body.length })}
+              </Button>
+            </DialogFooter>
+          </div>
+        ) : null}
+
+        {step === "review" ? (
+          <div className="grid grid-cols-1 gap-3">
+            <div className="text-xs text-zinc-400">{fileName}</div>
+            <div className="text-sm text-zinc-300">
+              {t("import.countNew", { n: counts.ok })} • {t(format === "ofx" ? "import.countImported" : "import.countDuplicate", { n: counts.duplicate })} • {t("import.countInvalid", { n: counts.invalid })}
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <div>
+                <Label className="text-white">{t("tx.account")}</Label>
+                <Select value={accountId} onValueChange={setAccountId}>
+                  <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className={selectContentCls}>
+                    {accounts.map((a) => (
+                      <SelectItem key={a.id} value={a.id} className={selectItemCls}>
+                        {a.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label className="text-white">{t("import.expenseCategory")}</Label>
+                <Select value={category} onValueChange={setCategory}>
+                  <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className={selectContentCls}>
+                    {categories.map((c) => (
+                      <SelectItem key={c} value={c} className={selectItemCls}>
+                        {c}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label className="text-white">{t("import.incomeCategory")}</Label>
+                <Select value={incomeCategory} onValueChange={setIncomeCategory}>
+                  <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className={selectContentCls}>
+                    {incomeCategories.map((c) => (
+                      <SelectItem key={c} value={c} className={selectItemCls}>
+                        {c}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            {format === "csv" ? <div className="text-xs text-zinc-400">{t("import.duplicatesHint")}</div> : null}
+            <div className="flex flex-col gap-1 max-h-80 overflow-y-auto">
+              {parsed.map((p) => (
+                <label key={p.key} className={`flex items-center gap-2 rounded-xl px-2 py-1 text-xs ${p.tx && !p.locked ? "text-white" : "text-zinc-500"}`}>
+                  <input
+                    type="checkbox"
+                    disabled={!p.tx || p.locked}
+                    checked={!!selected[p.key] && !p.locked}
+                    onChange={(e) => setSelected((sel) => ({ ...sel, [p.key]: e.target.checked }))}
+                    style={{ accentColor: gold }}
+                  />
+                  {p.tx ? (
+                    <>
+                      <span className="w-20 shrink-0">{formatDate(p.tx.date)}</span>
+                      <span className="flex-1 truncate">{p.tx.description}</span>
+                      <span className={p.tx.type === "income" ? "text-emerald-300" : "text-rose-300"}>
+                        {p.tx.type === "income" ? "+" : "-"} {currency.format(p.tx.amount)}
+                      </span>
+                    </>
+                  ) : (
+                    <span className="flex-1 truncate">{Array.isArray(p.raw) ? p.raw.join(" | ") : p.raw}</span>
+                  )}
+                  {p.reason ? <span className={p.status === "duplicate" ? "text-amber-400" : "text-rose-400"}>{p.reason}</span> : null}
+                </label>
+              ))}
+            </div>
+            <DialogFooter className="gap-2">
+              <Button variant="ghost" className="text-white border border-zinc-800 hover:bg-zinc-900" onClick={() => (format === "csv" ? setStep("map") : reset())}>
+                {format === "csv" ? t("common.back") : t("import.otherFile")}
+              </Button>
+              <Button disabled={chosen.length === 0} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90" onClick={confirmImport}>
+                {t("import.confirm", { n: chosen.length })}
+              </Button>
+            </DialogFooter>
+          </div>
+        ) : null}
+
+        {step === "done" && report ? (
+          <div className="grid grid-cols-1 gap-3">
+            <div className="grid grid-cols-3 gap-2 text-center">
+              <div className="rounded-xl border border-zinc-800 p-3">
+                <div className="text-lg font-semibold text-emerald-300">{report.added}</div>
+                <div className="text-xs text-zinc-300">{t("import.added", { n: report.added })}</div>
+              </div>
+              <div className="rounded-xl border border-zinc-800 p-3">
+                <div className="text-lg font-semibold text-amber-400">{report.skipped}</div>
+                <div className="text-xs text-zinc-300">{t("import.skipped", { n: report.skipped })}</div>
+              </div>
+              <div className="rounded-xl border border-zinc-800 p-3">
+                <div className="text-lg font-semibold text-rose-300">{report.rejected}</div>
+                <div className="text-xs text-zinc-300">{t("import.rejected", { n: report.rejected })}</div>
+              </div>
+            </div>
+            <DialogFooter>
+              <Button
+                style={{ backgroundColor: gold, color: "#000" }}
+                className="hover:opacity-90"
+                onClick={() => {
+                  setOpen(false);
+                  reset();
+                }}
+              >
+                {t("common.close")}
+              </Button>
+            </DialogFooter>
+          </div>
+        ) : null}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+const TYPE_LABELS = { income: "type.income", expense: "type.expense", transfer: "type.transfer" };
+
+// Colunas da exportação; o cabeçalho sai no idioma ativo (export.column.*).
+const EXPORT_COLUMNS = ["date", "type", "account", "category", "description", "amount", "currency"];
+
+// O que o Excel do idioma entende num CSV: em pt-BR/es, vírgula decimal e ";" entre colunas;
+// em en-US, ponto decimal e ",". Número sempre sem separador de milhar.
+function csvFormat() {
+  const comma = LOCALES[activeLocale].decimal === ",";
+  return {
+    delimiter: comma ? ";" : ",",
+    number: new Intl.NumberFormat(intlLocale(), { minimumFractionDigits: 2, maximumFractionDigits: 2, useGrouping: false }),
+  };
+}
+
+// Texto que começa como fórmula (ex.: descrição de extrato "=HYPERLINK(…)") ganha um ' para o Excel não
+// executá-lo. A coluna de valor não passa por aqui.
+function csvCell(v, delimiter) {
+  const raw = String(v ?? "");
+  const s = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Filtro da exportação: período fechado [from, to], tipo e categorias ({ expense, income }; não se
+// aplica a transferências). Gastos divididos saem uma linha por parte.
+function filterForExport(txs, { from, to, type, categories }) {
+  return expandSplits(txs)
+    .filter((t) => t.date >= from && t.date <= to)
+    .filter((t) => type === "all" || t.type === type)
+    .filter((t) => !categories[t.type] || categories[t.type].includes(t.category))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// Transferências saem com valor positivo e "origem → destino" na coluna Conta.
+function exportRows(txs, accounts) {
+  const name = (id) => accounts.find((a) => a.id === id)?.name || "";
+  return txs.map((tx) => ({
+    date: formatDate(tx.date),
+    type: TYPE_LABELS[tx.type] ? t(TYPE_LABELS[tx.type]) : tx.type,
+    account: tx.type === "transfer" ? `${name(tx.accountId)} → ${name(tx.toAccountId)}` : name(tx.accountId),
+    category: categoryLabel(tx.category),
+    description: tx.description,
+    amount: tx.type === "expense" ? -tx.amount : tx.amount,
+    currency: tx.currency || baseCurrencyCode,
+  }));
+}
+
+const exportHeader = () => EXPORT_COLUMNS.map((c) => t(`export.column.${c}`));
+
+function buildCsv(txs, accounts) {
+  const { delimiter, number } = csvFormat();
+  const rows = exportRows(txs, accounts);
+  const lines = [exportHeader().map((h) => csvCell(h, delimiter)).join(delimiter)];
+  for (const r of rows) lines.push(EXPORT_COLUMNS.map((c) => (c === "amount" ? number.format(r[c]) : csvCell(r[c], delimiter))).join(delimiter));
+  // BOM para o Excel abrir acentos corretamente.
+  return "\uFEFF" + lines.join("\r\n");
+}
+
+// O resumo soma na moeda base (`amountOf` converte); a aba Movimentos mantém o valor original.
+function buildWorkbook(txs, accounts, amountOf = nominalAmount) {
+  const wb = XLSX.utils.book_new();
+  const rows = exportRows(txs, accounts).map((r) => EXPORT_COLUMNS.map((c) => r[c]));
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([exportHeader(), ...rows]), t("export.sheetTransactions"));
+
+  const summary = [[t("export.byCategory", { currency: baseCurrencyCode }), ""], [t("export.column.category"), t("export.total")]];
+  for (const c of sumByCategory(txs, amountOf)) summary.push([c.name, c.value]);
+  summary.push([], [t("export.incomeByCategory", { currency: baseCurrencyCode }), ""], [t("export.column.category"), t("export.total")]);
+  for (const c of sumByCategory(txs, amountOf, "income")) summary.push([c.name, c.value]);
+  summary.push([], [t("export.byMonth", { currency: baseCurrencyCode }), "", "", ""], [t("export.month"), t("stat.income"), t("stat.expense"), t("export.balance")]);
+  for (const m of sumByMonth(txs, undefined, amountOf)) summary.push([monthLabelFromKey(m.key), m.Receitas, m.Gastos, m.Receitas - m.Gastos]);
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(summary), t("export.sheetSummary"));
+  return wb;
+}
+
+const DEFAULT_SEARCH = { q: "", type: "all", category: "all", min: "", max: "", from: "", to: "", sort: "date-desc" };
+
+// Nome de cada filtro na query string (?q=uber&de=2026-03-01…).
+const SEARCH_PARAMS = { q: "q", type: "tipo", category: "cat", min: "min", max: "max", from: "de", to: "ate", sort: "ordem" };
+
+// Valores são chaves do catálogo.
+const SEARCH_SORTS = {
+  "date-desc": "search.sort.dateDesc",
+  "date-asc": "search.sort.dateAsc",
+  "amount-desc": "search.sort.amountDesc",
+  "amount-asc": "search.sort.amountAsc",
+};
+
+function searchFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_SEARCH };
+  for (const [key, param] of Object.entries(SEARCH_PARAMS)) {
+    const v = params.get(param);
+    if (v != null) filters[key] = v;
+  }
+  if (!SEARCH_SORTS[filters.sort]) filters.sort = DEFAULT_SEARCH.sort;
+  return filters;
+}
+
+function hasSearchQuery(search) {
+  const params = new URLSearchParams(search);
+  return Object.values(SEARCH_PARAMS).some((p) => params.has(p));
+}
+
+// Só os filtros diferentes do padrão vão para a URL; outros parâmetros da página são mantidos.
+function searchToQuery(filters, search = "") {
+  const params = new URLSearchParams(search);
+  for (const [key, param] of Object.entries(SEARCH_PARAMS)) {
+    const v = String(filters[key] ?? "").trim();
+    if (v && v !== DEFAULT_SEARCH[key]) params.set(param, v);
+    else params.delete(param);
+  }
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
+
+// Texto ignora acentos/maiúsculas; faixa de valor e ordenação usam o valor na moeda base (como os totais).
+// Movimento sem cotação fica fora de uma faixa de valor.
+function searchTransactions(txs, filters, amountOf = nominalAmount) {
+  const words = normalizeText(filters.q).split(" ").filter(Boolean);
+  const min = filters.min ? parseAmount(filters.min) : null;
+  const max = filters.max ? parseAmount(filters.max) : null;
+  const [field, dir] = filters.sort.split("-");
+  const sign = dir === "asc" ? 1 : -1;
+  return txs
+    .filter((t) => filters.type === "all" || t.type === filters.type)
+    .filter((t) => filters.category === "all" || txCategories(t).includes(filters.category))
+    .filter((t) => (!filters.from || t.date >= filters.from) && (!filters.to || t.date <= filters.to))
+    .filter((t) => {
+      if (min == null && max == null) return true;
+      const value = amountOf(t);
+      return value != null && (min == null || value >= min) && (max == null || value <= max);
+    })
+    .filter((t) => {
+      if (words.length === 0) return true;
+      const text = normalizeText([t.description, ...(t.tags || [])].join(" "));
+      return words.every((w) => text.includes(w));
+    })
+    .sort((a, b) => {
+      if (field === "amount") return sign * ((amountOf(a) ?? 0) - (amountOf(b) ?? 0)) || b.date.localeCompare(a.date);
+      return sign * a.date.localeCompare(b.date) || sign * (a.createdAt || "").localeCompare(b.createdAt || "");
+    });
+}
+
+const SEARCH_PAGE = 100;
+
+function TransactionSearch({ transactions, categories, incomeCategories = [], accounts, toBase = nominalAmount, onEdit, onDelete, onSeries, gold, selectContentCls, selectItemCls }) {
+  const [filters, setFilters] = useState(() => (typeof window !== "undefined" ? searchFromQuery(window.location.search) : DEFAULT_SEARCH));
+  const [limit, setLimit] = useState(SEARCH_PAGE);
+  const set = (key) => (value) => setFilters((f) => ({ ...f, [key]: value }));
+
+  // Mantém a URL em sincronia sem criar entradas no histórico; ao sair da aba, limpa os filtros do link.
+  useEffect(() => {
+    const { pathname, search, hash } = window.location;
+    window.history.replaceState(window.history.state, "", pathname + searchToQuery(filters, search) + hash);
+    setLimit(SEARCH_PAGE);
+  }, [filters]);
 
-                    <Card className={cardCls} style={cardStyle}>
-                      <CardContent className="p-4 sm:p-5">
-                        <div className="font-medium" style={{ color: GOLD }}>Movimentos do mês</div>
-                        <div className={`text-xs ${softText}`}>Mais recentes primeiro</div>
-                        <div className="mt-3">
-                          {monthTransactions.length === 0 ? (
-                            <EmptyHint title="Nada registrado neste mês" desc="Adicione sua primeira receita ou gasto." />
-                          ) : (
-                            <div className="flex flex-col gap-2">
-                              {monthTransactions.map((t) => (
-                                <TransactionRow key={t.id} tx={t} onDelete={() => deleteTransaction(t.id)} />
-                              ))}
-                            </div>
-                          )}
-                        </div>
-                      </CardContent>
-                    </Card>
-                  </div>
-                </TabsContent>
+  useEffect(
+    () => () => {
+      const { pathname, search, hash } = window.location;
+      window.history.replaceState(window.history.state, "", pathname + searchToQuery(DEFAULT_SEARCH, search) + hash);
+    },
+    []
+  );
 
-                <TabsContent value="metas" className="mt-4">
-                  <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
-                    <Card className={cardCls} style={cardStyle}>
-                      <CardContent className="p-4 sm:p-5">
-                        <div className="flex items-center justify-between">
-                          <div>
-                            <div className="font-medium" style={{ color: GOLD }}>Criar meta</div>
-                            <div className={`text-xs ${softText}`}>Ex: “Notebook”, “Viagem”, “Reserva”</div>
-                          </div>
-                          <Target className="h-5 w-5" style={{ color: GOLD }} />
-                        </div>
-                        <div className="mt-3">
-                          <GoalForm onAdd={addGoal} gold={GOLD} />
-                        </div>
-                      </CardContent>
-                    </Card>
+  const allCategories = useMemo(() => {
+    const set = new Set([...categories, ...incomeCategories, TRANSFER_CATEGORY]);
+    for (const t of transactions) txCategories(t).forEach((c) => set.add(c));
+    return Array.from(set);
+  }, [categories, incomeCategories, transactions]);
 
-                    <Card className={cardCls} style={cardStyle}>
-                      <CardContent className="p-4 sm:p-5">
-                        <div className="font-medium" style={{ color: GOLD }}>Aportar em uma meta</div>
-                        <div className={`text-xs ${softText}`}>Escolha a meta e registre um valor.</div>
-                        <div className="mt-3">
-                          <GoalContributionPanel goals={state.goals} onContribute={contributeToGoal} gold={GOLD} selectContentCls={selectContentCls} selectItemCls={selectItemCls} />
-                        </div>
-                      </CardContent>
-                    </Card>
-                  </div>
+  const results = useMemo(() => searchTransactions(transactions, filters, toBase), [transactions, filters, toBase]);
 
-                  <Separator className="my-4 bg-zinc-800" />
+  const totals = useMemo(() => {
+    let income = 0;
+    let expense = 0;
+    for (const t of results) {
+      if (t.type === "income") income += toBase(t) ?? 0;
+      else if (t.type === "expense") expense += toBase(t) ?? 0;
+    }
+    return { income, expense, net: income - expense };
+  }, [results, toBase]);
 
-                  <Card className={cardCls} style={cardStyle}>
-                    <CardContent className="p-4 sm:p-5">
-                      <div className="font-medium" style={{ color: GOLD }}>Suas metas</div>
-                      <div className={`text-xs ${softText}`}>Quanto já foi guardado e quanto falta</div>
-                      <div className="mt-3 flex flex-col gap-3">
-                        {state.goals.length === 0 ? (
-                          <EmptyHint title="Sem metas por enquanto" desc="Crie uma meta para o FinP calcular quanto falta." />
-                        ) : (
-                          state.goals.map((g) => (
-                            <div key={g.id} className="rounded-2xl p-3 bg-zinc-950 shadow-[0_10px_30px_rgba(0,0,0,0.45)]" style={cardStyle}>
-                              <div className="flex items-start justify-between gap-3">
-                                <div className="min-w-0">
-                                  <div className="font-medium truncate text-white">{g.name}</div>
-                                  <div className={`text-xs ${softText}`}>Alvo: {currency.format(g.target)}</div>
-                                </div>
-                                <Button variant="ghost" size="icon" onClick={() => deleteGoal(g.id)} aria-label="Excluir meta" className="text-zinc-200 hover:text-white">
-                                  <Trash2 className="h-4 w-4" />
-                                </Button>
-                              </div>
-                              <div className="mt-3">
-                                <GoalProgress goal={g} gold={GOLD} />
-                              </div>
-                            </div>
-                          ))
-                        )}
-                      </div>
-                    </CardContent>
-                  </Card>
-                </TabsContent>
-              </Tabs>
-            </CardContent>
-          </Card>
+  const active = searchToQuery(filters) !== "";
 
-          <div className="flex flex-col gap-4">
-            <Card className={cardCls} style={cardStyle}>
-              <CardContent className="p-4 sm:p-5">
-                <div className="font-medium" style={{ color: GOLD }}>Backup</div>
-                <div className={`text-xs ${softText}`}>Exporte/importe para não perder seus dados</div>
-                <div className="mt-3">
-                  <BackupControls state={state} setState={setState} onReset={resetAll} gold={GOLD} compact />
-                </div>
+  return (
+    <div className="grid grid-cols-1 gap-3">
+      <div>
+        <Label className="text-white">{t("common.description")}</Label>
+        <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder={t("search.placeholder")} value={filters.q} onChange={(e) => set("q")(e.target.value)} />
+      </div>
 
-                <div className="mt-4">
-                  <Card className={cardCls} style={cardStyle}>
-                    <CardContent className="p-4">
-                      <div className="text-xs text-zinc-300">Total guardado</div>
-                      <div className="mt-1 text-lg font-semibold" style={{ color: GOLD }}>
-                        {currency.format(totalGuardado)}
-                      </div>
-                      <div className="mt-1 text-xs text-zinc-400">(receitas acumuladas − gastos acumulados)</div>
-                    </CardContent>
-                  </Card>
-                </div>
-              </CardContent>
-            </Card>
-          </div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <div>
+          <Label className="text-white">{t("common.type")}</Label>
+          <Select value={filters.type} onValueChange={set("type")}>
+            <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className={selectContentCls}>
+              <SelectItem value="all" className={selectItemCls}>{t("search.allTypes")}</SelectItem>
+              <SelectItem value="income" className={selectItemCls}>{t("stat.income")}</SelectItem>
+              <SelectItem value="expense" className={selectItemCls}>{t("stat.expense")}</SelectItem>
+              <SelectItem value="transfer" className={selectItemCls}>{t("search.transfers")}</SelectItem>
+            </SelectContent>
+          </Select>
         </div>
+        <div>
+          <Label className="text-white">{t("common.category")}</Label>
+          <Select value={filters.category} onValueChange={set("category")}>
+            <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className={selectContentCls}>
+              <SelectItem value="all" className={selectItemCls}>{t("search.allCategories")}</SelectItem>
+              {allCategories.map((c) => (
+                <SelectItem key={c} value={c} className={selectItemCls}>
+                  {categoryLabel(c)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label className="text-white">{t("search.min", { currency: baseCurrencyCode })}</Label>
+          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder="0" value={filters.min} onChange={(e) => set("min")(e.target.value)} inputMode="decimal" />
+        </div>
+        <div>
+          <Label className="text-white">{t("search.max", { currency: baseCurrencyCode })}</Label>
+          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder="—" value={filters.max} onChange={(e) => set("max")(e.target.value)} inputMode="decimal" />
+        </div>
+      </div>
 
-        <footer className="mt-8 pb-6 text-center text-xs text-zinc-400">FinP • feito para uso pessoal • dados ficam no seu aparelho</footer>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        <div>
+          <Label className="text-white">{t("search.from")}</Label>
+          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" type="date" value={filters.from} onChange={(e) => set("from")(e.target.value)} />
+        </div>
+        <div>
+          <Label className="text-white">{t("recurrence.until")}</Label>
+          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" type="date" value={filters.to} onChange={(e) => set("to")(e.target.value)} />
+        </div>
+        <div className="col-span-2 sm:col-span-1">
+          <Label className="text-white">{t("search.sortBy")}</Label>
+          <Select value={filters.sort} onValueChange={set("sort")}>
+            <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className={selectContentCls}>
+              {Object.entries(SEARCH_SORTS).map(([k, label]) => (
+                <SelectItem key={k} value={k} className={selectItemCls}>
+                  {t(label)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
       </div>
-    </div>
-  );
-}
 
-function StatCard({ title, value, icon, emphasis = "neutral", cardCls, cardStyle, softText }) {
-  // Receitas/Gastos devem ficar brancos no tema escuro.
-  // Apenas o saldo (quando passado com emphasis) pode ganhar cor.
-  const cls =
-    emphasis === "positive"
-      ? "text-emerald-300"
-      : emphasis === "negative"
-      ? "text-rose-300"
-      : "text-white";
+      <div className="rounded-2xl p-3 bg-zinc-950 flex flex-wrap items-center justify-between gap-2" style={{ border: `1px solid rgba(212,175,55,0.18)` }}>
+        <div className="text-xs text-zinc-300">
+          {t("category.usage", { n: results.length })} · {t("stat.income")} <span className="text-emerald-300">{currency.format(totals.income)}</span> · {t("stat.expense")}{" "}
+          <span className="text-rose-300">{currency.format(totals.expense)}</span> · {t("export.balance")}{" "}
+          <span className="font-medium" style={{ color: gold }}>
+            {currency.format(totals.net)}
+          </span>
+        </div>
+        {active ? (
+          <Button variant="ghost" size="sm" onClick={() => setFilters(DEFAULT_SEARCH)} className="text-zinc-200 hover:text-white">
+            {t("search.clear")}
+          </Button>
+        ) : null}
+      </div>
 
-  return (
-    <Card className={cardCls} style={cardStyle}>
-      <CardContent className="p-4">
-        <div className="flex items-center justify-between">
-          <div className={`text-sm ${softText}`}>{title}</div>
-          {icon ? <div className="text-zinc-200">{icon}</div> : null}
+      {results.length === 0 ? (
+        <EmptyHint title={t("search.none")} desc={t("search.noneDesc")} />
+      ) : (
+        <div className="flex flex-col gap-2">
+          {results.slice(0, limit).map((tx) => (
+            <TransactionRow
+              key={tx.id}
+              tx={tx}
+              accounts={accounts}
+              toBase={toBase}
+              onEdit={() => onEdit(tx)}
+              onDelete={() => onDelete(tx)}
+              onSeries={tx.recurrenceId ? () => onSeries(tx) : undefined}
+            />
+          ))}
+          {results.length > limit ? (
+            <Button variant="ghost" onClick={() => setLimit((n) => n + SEARCH_PAGE)} className="text-zinc-200 hover:text-white">
+              {t("search.showMore", { n: results.length - limit })}
+            </Button>
+          ) : null}
         </div>
-        <div className={`mt-2 text-xl font-semibold ${cls}`}>{value}</div>
-      </CardContent>
-    </Card>
+      )}
+    </div>
   );
 }
 
-function EmptyHint({ title, desc }) {
+// Período dos seletores "mês selecionado / ano inteiro / personalizado" (exportação e relatório de tags).
+function rangePeriod(range, { year, from, to, activeMonth }) {
+  if (range === "year") return { from: `${year}-01-01`, to: `${year}-12-31`, label: year };
+  if (range === "custom") return { from, to, label: `${from}_${to}` };
+  const d = new Date(activeMonth + "T00:00:00");
+  return { from: activeMonth, to: localIso(new Date(d.getFullYear(), d.getMonth() + 1, 0)), label: monthKey(activeMonth) };
+}
+
+// Lista de categorias marcáveis da exportação, com "marcar/desmarcar todas".
+function ExportCategoryPicker({ title, options, picked, onChange, gold }) {
+  const all = picked.length === options.length;
   return (
-    <div className="rounded-2xl border border-dashed border-zinc-800 p-4 text-sm bg-zinc-950">
-      <div className="font-medium text-white">{title}</div>
-      <div className="text-zinc-300 mt-1">{desc}</div>
+    <div>
+      <div className="flex items-center justify-between">
+        <Label className="text-white">{title}</Label>
+        <button type="button" className="text-xs text-zinc-300 hover:text-white" onClick={() => onChange(all ? [] : options)}>
+          {all ? t("export.unselectAll") : t("export.selectAll")}
+        </button>
+      </div>
+      <div className="mt-2 grid grid-cols-2 gap-1">
+        {options.map((c) => (
+          <label key={c} className="flex items-center gap-2 text-sm text-white">
+            <input
+              type="checkbox"
+              checked={picked.includes(c)}
+              onChange={(e) => onChange(e.target.checked ? [...picked, c] : picked.filter((x) => x !== c))}
+              style={{ accentColor: gold }}
+            />
+            {c}
+          </label>
+        ))}
+      </div>
     </div>
   );
 }
 
-function TransactionForm({ categories, onAdd, gold, selectContentCls, selectItemCls }) {
-  const [type, setType] = useState("expense");
-  const [date, setDate] = useState(isoToday());
-  const [amountText, setAmountText] = useState("");
-  const [desc, setDesc] = useState("");
-  const [category, setCategory] = useState(categories[0] || "Outros");
+function ExportDialog({ transactions, categories, incomeCategories, accounts, amountOf, activeMonth, years, gold, selectContentCls, selectItemCls }) {
+  const [open, setOpen] = useState(false);
+  const [range, setRange] = useState("month"); // month | year | custom
+  const [year, setYear] = useState(String(getYearFromIso(activeMonth)));
+  const [from, setFrom] = useState(activeMonth);
+  const [to, setTo] = useState(isoToday());
+  const [type, setType] = useState("all");
+  const [picked, setPicked] = useState({ expense: [], income: [] });
 
-  useEffect(() => {
-    if (!categories.includes(category)) setCategory(categories[0] || "Outros");
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [categories]);
+  // Categorias usadas nos movimentos também entram, mesmo que não estejam mais na lista.
+  const allCategories = useMemo(() => {
+    const sets = { expense: new Set(categories), income: new Set(incomeCategories) };
+    for (const t of transactions) if (sets[t.type]) txCategories(t).forEach((c) => sets[t.type].add(c));
+    return { expense: Array.from(sets.expense), income: Array.from(sets.income) };
+  }, [categories, incomeCategories, transactions]);
 
-  const amount = useMemo(() => toNumberBR(amountText), [amountText]);
+  // A seleção começa com tudo marcado a cada abertura; edições ou sincronização com o diálogo aberto não a desfazem.
+  function changeOpen(next) {
+    if (next) setPicked(allCategories);
+    setOpen(next);
+  }
 
-  const canSubmit = amount > 0 && desc.trim().length >= 2 && date;
+  const period = useMemo(() => rangePeriod(range, { year, from, to, activeMonth }), [range, year, from, to, activeMonth]);
 
-  function submit(e) {
-    e.preventDefault();
-    if (!canSubmit) return;
-    onAdd({
-      id: uid(),
-      type,
-      date,
-      amount,
-      description: desc.trim(),
-      category: type === "expense" ? category : "Receita",
-      createdAt: new Date().toISOString(),
-    });
-    setAmountText("");
-    setDesc("");
-  }
+  const selected = useMemo(
+    () => filterForExport(transactions, { from: period.from, to: period.to, type, categories: picked }),
+    [transactions, period, type, picked]
+  );
+
+  const can = selected.length > 0 && period.from <= period.to;
 
   return (
-    <form onSubmit={submit} className="grid grid-cols-1 gap-3">
+    <Dialog open={open} onOpenChange={changeOpen}>
+      <DialogTrigger asChild>
+        <Button variant="ghost" className="w-full justify-start text-[var(--gold)] hover:bg-black hover:text-[var(--gold)] border border-[rgba(212,175,55,0.22)]" style={{ "--gold": gold }}>
+          <FileSpreadsheet className="h-4 w-4 mr-2" />
+          {t("export.open")}
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-lg bg-zinc-950 border-zinc-800 text-white" style={{ borderColor: `rgba(212,175,55,0.22)` }}>
+        <DialogHeader>
+          <DialogTitle>{t("export.title")}</DialogTitle>
+        </DialogHeader>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <Label className="text-white">{t("export.period")}</Label>
+            <Select value={range} onValueChange={setRange}>
+              <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className={selectContentCls}>
+                <SelectItem value="month" className={selectItemCls}>{t("export.selectedMonth")}</SelectItem>
+                <SelectItem value="year" className={selectItemCls}>{t("export.wholeYear")}</SelectItem>
+                <SelectItem value="custom" className={selectItemCls}>{t("export.custom")}</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <Label className="text-white">{t("common.type")}</Label>
+            <Select value={type} onValueChange={setType}>
+              <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className={selectContentCls}>
+                <SelectItem value="all" className={selectItemCls}>{t("export.allTypes")}</SelectItem>
+                <SelectItem value="income" className={selectItemCls}>{t("export.onlyIncome")}</SelectItem>
+                <SelectItem value="expense" className={selectItemCls}>{t("export.onlyExpenses")}</SelectItem>
+                <SelectItem value="transfer" className={selectItemCls}>{t("export.onlyTransfers")}</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        {range === "year" ? (
+          <div>
+            <Label className="text-white">{t("header.year")}</Label>
+            <Select value={year} onValueChange={setYear}>
+              <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className={selectContentCls}>
+                {years.map((y) => (
+                  <SelectItem key={y} value={String(y)} className={selectItemCls}>
+                    {y}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        ) : null}
+
+        {range === "custom" ? (
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <Label className="text-white">{t("search.from")}</Label>
+              <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+            </div>
+            <div>
+              <Label className="text-white">{t("recurrence.until")}</Label>
+              <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+            </div>
+          </div>
+        ) : null}
+
+        {type === "all" || type === "expense" ? (
+          <ExportCategoryPicker
+            title={t("export.expenseCategories")}
+            options={allCategories.expense}
+            picked={picked.expense}
+            onChange={(list) => setPicked((p) => ({ ...p, expense: list }))}
+            gold={gold}
+          />
+        ) : null}
+        {type === "all" || type === "income" ? (
+          <ExportCategoryPicker
+            title={t("category.incomeTitle")}
+            options={allCategories.income}
+            picked={picked.income}
+            onChange={(list) => setPicked((p) => ({ ...p, income: list }))}
+            gold={gold}
+          />
+        ) : null}
+
+        <div className="text-sm text-zinc-300">{t("export.count", { n: selected.length })}</div>
+
+        <DialogFooter className="gap-2">
+          <Button
+            variant="ghost"
+            disabled={!can}
+            className="text-white border border-zinc-800 hover:bg-zinc-900"
+            onClick={() => downloadBlob(new Blob([buildCsv(selected, accounts)], { type: "text/csv;charset=utf-8" }), `finp-${period.label}.csv`)}
+          >
+            <Download className="h-4 w-4 mr-2" />
+            CSV
+          </Button>
+          <Button disabled={!can} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90" onClick={() => XLSX.writeFile(buildWorkbook(selected, accounts, amountOf), `finp-${period.label}.xlsx`)}>
+            <FileSpreadsheet className="h-4 w-4 mr-2" />
+            Excel (.xlsx)
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+// Totais por tag no período, com a quebra por categoria dentro de cada tag.
+function TagReport({ transactions, amountOf, activeMonth, years, selectContentCls, selectItemCls }) {
+  const [range, setRange] = useState("month"); // month | year | custom
+  const [year, setYear] = useState(String(getYearFromIso(activeMonth)));
+  const [from, setFrom] = useState(activeMonth);
+  const [to, setTo] = useState(isoToday());
+
+  const period = useMemo(() => rangePeriod(range, { year, from, to, activeMonth }), [range, year, from, to, activeMonth]);
+  const rows = useMemo(
+    () => sumByTag(transactions.filter((t) => t.tags?.length && t.date >= period.from && t.date <= period.to), amountOf),
+    [transactions, period, amountOf]
+  );
+
+  return (
+    <div className="grid grid-cols-1 gap-3">
       <div className="grid grid-cols-2 gap-3">
-        <div>
-          <Label className="text-white">Tipo</Label>
-          <Select value={type} onValueChange={setType}>
-            <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+        <Select value={range} onValueChange={setRange}>
+          <SelectTrigger className="bg-zinc-950 border-zinc-800 text-white" aria-label={t("export.period")}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent className={selectContentCls}>
+            <SelectItem value="month" className={selectItemCls}>{t("export.selectedMonth")}</SelectItem>
+            <SelectItem value="year" className={selectItemCls}>{t("export.wholeYear")}</SelectItem>
+            <SelectItem value="custom" className={selectItemCls}>{t("export.custom")}</SelectItem>
+          </SelectContent>
+        </Select>
+        {range === "year" ? (
+          <Select value={year} onValueChange={setYear}>
+            <SelectTrigger className="bg-zinc-950 border-zinc-800 text-white" aria-label={t("header.year")}>
               <SelectValue />
             </SelectTrigger>
             <SelectContent className={selectContentCls}>
-              <SelectItem value="expense" className={selectItemCls}>Gasto</SelectItem>
-              <SelectItem value="income" className={selectItemCls}>Receita</SelectItem>
+              {years.map((y) => (
+                <SelectItem key={y} value={String(y)} className={selectItemCls}>
+                  {y}
+                </SelectItem>
+              ))}
             </SelectContent>
           </Select>
-        </div>
-        <div>
-          <Label className="text-white">Data</Label>
-          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" type="date" value={date} onChange={(e) => setDate(e.target.value)} />
-        </div>
+        ) : null}
       </div>
 
-      <div className="grid grid-cols-2 gap-3">
-        <div>
-          <Label className="text-white">Valor (R$)</Label>
-          <Input
-            className="mt-1 bg-zinc-950 border-zinc-800 text-white"
-            placeholder="Ex: 39,90"
-            value={amountText}
-            onChange={(e) => setAmountText(e.target.value)}
-            inputMode="decimal"
-          />
-          <div className="text-xs text-zinc-300 mt-1">Mostra: {amount > 0 ? currency.format(amount) : "—"}</div>
+      {range === "custom" ? (
+        <div className="grid grid-cols-2 gap-3">
+          <Input className="bg-zinc-950 border-zinc-800 text-white" type="date" value={from} onChange={(e) => setFrom(e.target.value)} aria-label={t("search.from")} />
+          <Input className="bg-zinc-950 border-zinc-800 text-white" type="date" value={to} onChange={(e) => setTo(e.target.value)} aria-label={t("recurrence.until")} />
         </div>
+      ) : null}
+
+      {rows.length === 0 ? (
+        <EmptyHint title={t("tags.empty")} desc={t("tags.emptyDesc")} />
+      ) : (
+        rows.map((r) => (
+          <div key={r.tag} className="rounded-2xl p-3 bg-zinc-950" style={{ border: `1px solid rgba(212,175,55,0.18)` }}>
+            <div className="flex items-center justify-between gap-3">
+              <div className="min-w-0 flex items-center gap-2">
+                <Badge variant="outline" className="text-zinc-200 border-zinc-700">
+                  #{r.tag}
+                </Badge>
+                <span className="text-xs text-zinc-400">{t("category.usage", { n: r.count })}</span>
+              </div>
+              <div className="text-sm text-right">
+                {r.expense > 0 ? <div className="text-rose-300">- {currency.format(r.expense)}</div> : null}
+                {r.income > 0 ? <div className="text-emerald-300">+ {currency.format(r.income)}</div> : null}
+              </div>
+            </div>
+            <ul className="mt-2 flex flex-col gap-1 text-xs text-zinc-300">
+              {r.categories.map((c) => (
+                <li key={`${c.type}:${c.name}`} className="flex justify-between gap-3">
+                  <span className="truncate">{categoryLabel(c.name)}</span>
+                  <span className={c.type === "income" ? "text-emerald-300" : "text-zinc-200"}>{currency.format(c.value)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+function dayOrNull(text) {
+  const n = Math.round(Number(text));
+  return n >= 1 && n <= 31 ? n : null;
+}
+
+function AccountManager({ accounts, balances, usedIds, transactions, amountOf, onPayInvoice, onAdd, onUpdate, onDelete, gold, selectContentCls, selectItemCls }) {
+  const [name, setName] = useState("");
+  const [kind, setKind] = useState("checking");
+  const [openingText, setOpeningText] = useState("");
+  const [closingText, setClosingText] = useState("");
+  const [dueText, setDueText] = useState("");
+  const [editing, setEditing] = useState(null); // { id, name, openingText, closingText, dueText }
+  const [invoicesFor, setInvoicesFor] = useState(null);
+
+  const isCredit = kind === "credit";
+  const canAdd =
+    name.trim().length >= 2 &&
+    !accounts.some((a) => a.name.toLowerCase() === name.trim().toLowerCase()) &&
+    (!isCredit || (dayOrNull(closingText) && dayOrNull(dueText)));
+
+  return (
+    <div className="grid grid-cols-1 gap-3">
+      <div className="flex flex-col gap-2">
+        {accounts.map((a) =>
+          editing?.id === a.id ? (
+            <form
+              key={a.id}
+              className="rounded-2xl p-3 bg-zinc-950 grid grid-cols-1 gap-2"
+              style={{ border: `1px solid rgba(212,175,55,0.18)` }}
+              onSubmit={(e) => {
+                e.preventDefault();
+                if (editing.name.trim().length < 2) return;
+                const patch = { name: editing.name.trim(), openingBalance: parseAmount(editing.openingText) };
+                if (a.kind === "credit") {
+                  patch.closingDay = dayOrNull(editing.closingText) || a.closingDay;
+                  patch.dueDay = dayOrNull(editing.dueText) || a.dueDay;
+                }
+                onUpdate(a.id, patch);
+                setEditing(null);
+              }}
+            >
+              <Input className="bg-zinc-950 border-zinc-800 text-white" value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} />
+              <Input
+                className="bg-zinc-950 border-zinc-800 text-white"
+                placeholder={t("account.opening")}
+                value={editing.openingText}
+                onChange={(e) => setEditing({ ...editing, openingText: e.target.value })}
+                inputMode="decimal"
+              />
+              {a.kind === "credit" ? (
+                <div className="grid grid-cols-2 gap-2">
+                  <Input className="bg-zinc-950 border-zinc-800 text-white" placeholder={t("account.closingDay")} value={editing.closingText} onChange={(e) => setEditing({ ...editing, closingText: e.target.value })} inputMode="numeric" />
+                  <Input className="bg-zinc-950 border-zinc-800 text-white" placeholder={t("account.dueDay")} value={editing.dueText} onChange={(e) => setEditing({ ...editing, dueText: e.target.value })} inputMode="numeric" />
+                </div>
+              ) : null}
+              <div className="flex gap-2">
+                <Button type="submit" style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90">
+                  {t("common.save")}
+                </Button>
+                <Button type="button" variant="ghost" className="text-zinc-200 hover:text-white" onClick={() => setEditing(null)}>
+                  {t("common.cancel")}
+                </Button>
+              </div>
+            </form>
+          ) : (
+            <div key={a.id} className="rounded-2xl px-3 py-2 bg-zinc-950 flex items-center justify-between gap-2" style={{ border: `1px solid rgba(212,175,55,0.18)` }}>
+              <div className="min-w-0">
+                <div className="text-white truncate">{a.name}</div>
+                <div className="text-xs text-zinc-400">
+                  {ACCOUNT_KINDS[a.kind] ? t(ACCOUNT_KINDS[a.kind]) : a.kind}
+                  {a.kind === "credit" ? ` • ${t("account.cardDays", { closing: a.closingDay, due: a.dueDay })}` : ""}
+                </div>
+              </div>
+              <div className="flex items-center">
+                <div className={`text-sm font-medium mr-1 ${(balances.get(a.id) || 0) < 0 ? "text-rose-300" : "text-white"}`}>{currency.format(balances.get(a.id) || 0)}</div>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() =>
+                    setEditing({
+                      id: a.id,
+                      name: a.name,
+                      openingText: a.openingBalance ? amountToInput(a.openingBalance) : "",
+                      closingText: a.closingDay ? String(a.closingDay) : "",
+                      dueText: a.dueDay ? String(a.dueDay) : "",
+                    })
+                  }
+                  aria-label={t("account.edit")}
+                  className="text-zinc-200 hover:text-white"
+                >
+                  <Pencil className="h-4 w-4" />
+                </Button>
+                {a.kind === "credit" ? (
+                  <Button variant="ghost" size="icon" onClick={() => setInvoicesFor(a.id)} aria-label={t("invoice.list")} className="text-zinc-200 hover:text-white">
+                    <CreditCard className="h-4 w-4" />
+                  </Button>
+                ) : null}
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  disabled={accounts.length < 2 || usedIds.has(a.id)}
+                  title={usedIds.has(a.id) ? t("account.inUse") : undefined}
+                  onClick={() => onDelete(a.id)}
+                  aria-label={t("account.delete")}
+                  className="text-zinc-200 hover:text-white"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          )
+        )}
+      </div>
 
-        <div>
-          <Label className="text-white">Categoria</Label>
-          <Select value={category} onValueChange={setCategory} disabled={type !== "expense"}>
-            <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
-              <SelectValue placeholder="Categoria" />
+      <form
+        className="grid grid-cols-1 gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (!canAdd) return;
+          const account = { id: uid(), name: name.trim(), kind, openingBalance: parseAmount(openingText), createdAt: new Date().toISOString() };
+          if (isCredit) {
+            account.closingDay = dayOrNull(closingText);
+            account.dueDay = dayOrNull(dueText);
+          }
+          onAdd(account);
+          setName("");
+          setOpeningText("");
+          setClosingText("");
+          setDueText("");
+        }}
+      >
+        <div className="grid grid-cols-2 gap-2">
+          <Input className="bg-zinc-950 border-zinc-800 text-white" placeholder={t("account.newPlaceholder")} value={name} onChange={(e) => setName(e.target.value)} />
+          <Select value={kind} onValueChange={setKind}>
+            <SelectTrigger className="bg-zinc-950 border-zinc-800 text-white">
+              <SelectValue />
             </SelectTrigger>
             <SelectContent className={selectContentCls}>
-              {categories.map((c) => (
-                <SelectItem key={c} value={c} className={selectItemCls}>
-                  {c}
+              {Object.entries(ACCOUNT_KINDS).map(([k, label]) => (
+                <SelectItem key={k} value={k} className={selectItemCls}>
+                  {t(label)}
                 </SelectItem>
               ))}
             </SelectContent>
           </Select>
-          <div className="text-xs text-zinc-300 mt-1">Receitas ficam como “Receita”.</div>
         </div>
-      </div>
-
-      <div>
-        <Label className="text-white">Descrição</Label>
         <Input
-          className="mt-1 bg-zinc-950 border-zinc-800 text-white"
-          placeholder={type === "expense" ? "Ex: lanche, Uber, cinema" : "Ex: mesada, bico, venda"}
-          value={desc}
-          onChange={(e) => setDesc(e.target.value)}
+          className="bg-zinc-950 border-zinc-800 text-white"
+          placeholder={isCredit ? t("account.openInvoicePlaceholder") : t("account.openingPlaceholder")}
+          value={openingText}
+          onChange={(e) => setOpeningText(e.target.value)}
+          inputMode="decimal"
         />
-      </div>
-
-      <Button type="submit" disabled={!canSubmit} style={{ backgroundColor: gold, color: "#000" }} className="mt-1 hover:opacity-90">
-        <Plus className="h-4 w-4 mr-2" />
-        Adicionar
-      </Button>
+        {isCredit ? (
+          <div className="grid grid-cols-2 gap-2">
+            <Input className="bg-zinc-950 border-zinc-800 text-white" placeholder={t("account.closingDay")} value={closingText} onChange={(e) => setClosingText(e.target.value)} inputMode="numeric" />
+            <Input className="bg-zinc-950 border-zinc-800 text-white" placeholder={t("account.dueDay")} value={dueText} onChange={(e) => setDueText(e.target.value)} inputMode="numeric" />
+          </div>
+        ) : null}
+        <Button type="submit" disabled={!canAdd} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90">
+          <Plus className="h-4 w-4 mr-2" />
+          {t("account.add")}
+        </Button>
+      </form>
 
-      <div className="text-xs text-zinc-300">Dica: use vírgula para centavos (ex: 12,50). O FinP converte automaticamente.</div>
-    </form>
+      <InvoicesDialog
+        card={accounts.find((a) => a.id === invoicesFor) || null}
+        accounts={accounts}
+        transactions={transactions}
+        amountOf={amountOf}
+        onPay={onPayInvoice}
+        onClose={() => setInvoicesFor(null)}
+        gold={gold}
+        selectContentCls={selectContentCls}
+        selectItemCls={selectItemCls}
+      />
+    </div>
   );
 }
 
-function TransactionRow({ tx, onDelete }) {
-  const sign = tx.type === "income" ? "+" : "-";
-  const badgeVariant = tx.type === "income" ? "default" : "secondary";
+const INVOICE_STATUS = {
+  open: { label: "invoice.status.open", cls: "text-sky-300" },
+  closed: { label: "invoice.status.closed", cls: "text-amber-400" },
+  paid: { label: "invoice.status.paid", cls: "text-emerald-300" },
+};
+
+function InvoicesDialog({ card, accounts, transactions, amountOf, onPay, onClose, gold, selectContentCls, selectItemCls }) {
+  const payers = accounts.filter((a) => a.kind !== "credit");
+  const [fromId, setFromId] = useState(payers[0]?.id || "");
+  // Totais na moeda base: o pagamento é lançado nela.
+  const invoices = useMemo(() => (card ? cardInvoices(card, transactions, isoToday(), amountOf).slice(0, 12) : []), [card, transactions, amountOf]);
+  const fmt = (iso) => formatDate(iso, { day: "2-digit", month: "2-digit" });
+
+  useEffect(() => {
+    if (!payers.some((a) => a.id === fromId)) setFromId(payers[0]?.id || "");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [accounts]);
 
   return (
-    <div className="rounded-2xl p-3 bg-zinc-950 shadow-[0_10px_30px_rgba(0,0,0,0.45)]" style={{ border: `1px solid rgba(212,175,55,0.18)` }}>
-      <div className="flex items-start justify-between gap-3">
-        <div className="min-w-0">
-          <div className="flex items-center gap-2">
-            <Badge variant={badgeVariant}>{tx.type === "income" ? "Receita" : tx.category}</Badge>
-            <div className="text-xs text-zinc-300">{new Date(tx.date + "T00:00:00").toLocaleDateString("pt-BR")}</div>
-          </div>
-          <div className="mt-1 font-medium truncate text-white">{tx.description}</div>
-          <div className={`mt-1 text-sm ${tx.type === "income" ? "text-emerald-300" : "text-rose-300"}`}>
-            {sign} {currency.format(tx.amount)}
+    <Dialog open={!!card} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-lg max-h-[85vh] overflow-y-auto bg-zinc-950 border-zinc-800 text-white" style={{ borderColor: `rgba(212,175,55,0.22)` }}>
+        <DialogHeader>
+          <DialogTitle>{t("invoice.title", { card: card?.name })}</DialogTitle>
+        </DialogHeader>
+        {payers.length > 0 ? (
+          <div>
+            <Label className="text-white">{t("invoice.payWith")}</Label>
+            <Select value={fromId} onValueChange={setFromId}>
+              <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className={selectContentCls}>
+                {payers.map((a) => (
+                  <SelectItem key={a.id} value={a.id} className={selectItemCls}>
+                    {a.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
           </div>
+        ) : null}
+        <div className="flex flex-col gap-2">
+          {invoices.map((inv) => {
+            const remaining = Math.max(0, inv.total - inv.paid);
+            return (
+              <div key={inv.key} className="rounded-2xl p-3 bg-zinc-950" style={{ border: `1px solid rgba(212,175,55,0.18)` }}>
+                <div className="flex items-start justify-between gap-3">
+                  <div>
+                    <div className="font-medium text-white">{t("invoice.label", { month: monthLabelFromKey(inv.key) })}</div>
+                    <div className="text-xs text-zinc-400">
+                      {t("invoice.details", { start: fmt(inv.start), closing: fmt(inv.closing), due: fmt(inv.due) })} • {t("invoice.count", { n: inv.count })}
+                    </div>
+                  </div>
+                  <div className={`text-xs font-medium ${INVOICE_STATUS[inv.status].cls}`}>{t(INVOICE_STATUS[inv.status].label)}</div>
+                </div>
+                <div className="mt-2 flex items-end justify-between gap-3">
+                  <div className="text-sm">
+                    <div className="text-white font-semibold">{currency.format(inv.total)}</div>
+                    {inv.paid > 0 ? <div className="text-xs text-zinc-400">{t("invoice.paid", { amount: currency.format(inv.paid) })}</div> : null}
+                  </div>
+                  {inv.status !== "paid" && remaining > 0 && fromId ? (
+                    <Button style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90" onClick={() => onPay(card, inv.key, fromId, remaining)}>
+                      {t("invoice.pay", { amount: currency.format(remaining) })}
+                    </Button>
+                  ) : null}
+                </div>
+              </div>
+            );
+          })}
         </div>
-        <Button variant="ghost" size="icon" onClick={onDelete} aria-label="Excluir movimento" className="text-zinc-200 hover:text-white">
-          <Trash2 className="h-4 w-4" />
-        </Button>
-      </div>
-    </div>
+        <div className="text-xs text-zinc-400">{t("invoice.hint")}</div>
+      </DialogContent>
+    </Dialog>
   );
 }
 
-function GoalForm({ onAdd, gold }) {
-  const [name, setName] = useState("");
-  const [targetText, setTargetText] = useState("");
+// Com `initial`, edita nome, alvo, prazo e modo envelope de uma meta existente.
+function GoalForm({ onAdd, onSave, initial, gold }) {
+  const isEdit = !!initial;
+  const [name, setName] = useState(initial?.name || "");
+  const [targetText, setTargetText] = useState(initial ? amountToInput(initial.target) : "");
+  const [deadline, setDeadline] = useState(initial?.deadline || "");
+  const [envelope, setEnvelope] = useState(!!initial?.envelope);
 
-  const target = useMemo(() => toNumberBR(targetText), [targetText]);
+  const target = useMemo(() => parseAmount(targetText), [targetText]);
   const canSubmit = name.trim().length >= 2 && target > 0;
 
   function submit(e) {
     e.preventDefault();
     if (!canSubmit) return;
-    onAdd({ id: uid(), name: name.trim(), target, saved: 0, createdAt: new Date().toISOString() });
+    const fields = { name: name.trim(), target, deadline, envelope };
+    if (isEdit) {
+      onSave(fields);
+      return;
+    }
+    onAdd({ id: uid(), ...fields, entries: [], createdAt: new Date().toISOString() });
     setName("");
     setTargetText("");
+    setDeadline("");
+    setEnvelope(false);
   }
 
   return (
     <form onSubmit={submit} className="grid grid-cols-1 gap-3">
       <div>
-        <Label className="text-white">Nome</Label>
-        <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder="Ex: iPhone, notebook, viagem" value={name} onChange={(e) => setName(e.target.value)} />
+        <Label className="text-white">{t("common.name")}</Label>
+        <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder={t("goal.namePlaceholder")} value={name} onChange={(e) => setName(e.target.value)} />
+      </div>
+      <div>
+        <Label className="text-white">{t("goal.targetLabel", { currency: baseCurrencyCode })}</Label>
+        <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder={t("goal.targetPlaceholder")} value={targetText} onChange={(e) => setTargetText(e.target.value)} inputMode="decimal" />
+        <div className="text-xs text-zinc-300 mt-1">{t("tx.preview", { amount: target > 0 ? currency.format(target) : "—" })}</div>
       </div>
       <div>
-        <Label className="text-white">Valor-alvo (R$)</Label>
-        <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder="Ex: 3500" value={targetText} onChange={(e) => setTargetText(e.target.value)} inputMode="decimal" />
-        <div className="text-xs text-zinc-300 mt-1">Mostra: {target > 0 ? currency.format(target) : "—"}</div>
+        <Label className="text-white">{t("goal.deadlineOptional")}</Label>
+        <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" type="date" value={deadline} onChange={(e) => setDeadline(e.target.value)} />
+        <div className="text-xs text-zinc-300 mt-1">{t("goal.deadlineHint")}</div>
       </div>
+      <label className="flex items-start gap-2 text-sm text-white">
+        <input type="checkbox" className="mt-1" checked={envelope} onChange={(e) => setEnvelope(e.target.checked)} style={{ accentColor: gold }} />
+        <span>
+          {t("goal.envelope")}
+          <span className="block text-xs text-zinc-300">{t("goal.envelopeHint")}</span>
+        </span>
+      </label>
       <Button type="submit" disabled={!canSubmit} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90">
-        <Target className="h-4 w-4 mr-2" />
-        Criar meta
+        {isEdit ? (
+          t("goal.save")
+        ) : (
+          <>
+            <Target className="h-4 w-4 mr-2" />
+            {t("goal.create")}
+          </>
+        )}
       </Button>
     </form>
   );
 }
 
+const GOAL_STATUS = {
+  overdue: { label: "goal.status.overdue", cls: "text-rose-300" },
+  behind: { label: "goal.status.behind", cls: "text-amber-400" },
+  ontrack: { label: "goal.status.ontrack", cls: "text-emerald-300" },
+  done: { label: "goal.status.done", cls: "text-emerald-300" },
+};
+
 function GoalProgress({ goal, gold }) {
-  const saved = typeof goal.saved === "number" ? goal.saved : 0;
+  const plan = useMemo(() => goalPlan(goal, isoToday()), [goal]);
+  const saved = plan.saved;
   const progress = goal.target <= 0 ? 0 : clamp(saved / goal.target, 0, 1);
   const current = clamp(saved, 0, goal.target);
   const remaining = Math.max(0, goal.target - current);
+  const status = GOAL_STATUS[plan.status];
 
   return (
     <div>
       <div className="flex items-center justify-between text-sm">
-        <div className="text-zinc-300">Progresso</div>
+        <div className="text-zinc-300">{t("goal.progress")}</div>
         <div className="font-medium text-white">{Math.round(progress * 100)}%</div>
       </div>
       <div className="mt-2 h-2 rounded-full bg-zinc-800 overflow-hidden">
@@ -891,27 +5489,49 @@ function GoalProgress({ goal, gold }) {
       </div>
       <div className="mt-2 grid grid-cols-2 gap-2 text-xs text-zinc-300">
         <div>
-          Guardado: <span className="font-medium text-white">{currency.format(current)}</span>
+          {t("goal.savedLabel")} <span className="font-medium text-white">{currency.format(current)}</span>
         </div>
         <div>
-          Falta: <span className="font-medium text-white">{currency.format(remaining)}</span>
+          {t("goal.remainingLabel")} <span className="font-medium text-white">{currency.format(remaining)}</span>
         </div>
+        {plan.deadline ? (
+          <div>
+            {t("goal.deadlineLabel")} <span className="font-medium text-white">{formatDate(plan.deadline)}</span>
+          </div>
+        ) : null}
+        {plan.requiredMonthly > 0 && plan.status !== "overdue" ? (
+          <div>
+            {t("goal.requiredLabel")} <span className="font-medium text-white">{t("goal.perMonth", { amount: currency.format(plan.requiredMonthly) })}</span>
+          </div>
+        ) : null}
+        {remaining > 0 ? (
+          <div>
+            {t("goal.paceLabel")} <span className="font-medium text-white">{plan.pace > 0 ? t("goal.perMonth", { amount: currency.format(plan.pace) }) : "—"}</span>
+          </div>
+        ) : null}
+        {remaining > 0 ? (
+          <div>
+            {t("goal.forecastLabel")} <span className="font-medium text-white">{plan.projectedDate ? formatDate(plan.projectedDate) : t("goal.noContributions")}</span>
+          </div>
+        ) : null}
       </div>
+      {status ? <div className={`mt-2 text-xs font-medium ${status.cls}`}>{t(status.label)}</div> : null}
     </div>
   );
 }
 
-function GoalRow({ goal, onContribute, gold }) {
+function GoalRow({ goal, available, onContribute, gold }) {
   const [amtText, setAmtText] = useState("");
-  const amt = useMemo(() => toNumberBR(amtText), [amtText]);
-  const can = amt > 0;
+  const amt = useMemo(() => parseAmount(amtText), [amtText]);
+  const overAvailable = goal.envelope && amt > available + 0.005;
+  const can = amt > 0 && !overAvailable;
 
   return (
     <div className="rounded-2xl p-3 bg-zinc-950 shadow-[0_10px_30px_rgba(0,0,0,0.45)]" style={{ border: `1px solid rgba(212,175,55,0.18)` }}>
       <div className="flex items-start justify-between gap-3">
         <div className="min-w-0">
           <div className="font-medium truncate text-white">{goal.name}</div>
-          <div className="text-xs text-zinc-300">Alvo: {currency.format(goal.target)}</div>
+          <div className="text-xs text-zinc-300">{t("goal.target", { amount: currency.format(goal.target) })}</div>
         </div>
       </div>
       <div className="mt-3">
@@ -919,8 +5539,8 @@ function GoalRow({ goal, onContribute, gold }) {
       </div>
       <div className="mt-3 grid grid-cols-3 gap-2 items-end">
         <div className="col-span-2">
-          <Label className="text-xs text-zinc-300">Aportar</Label>
-          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder="Ex: 50" value={amtText} onChange={(e) => setAmtText(e.target.value)} inputMode="decimal" />
+          <Label className="text-xs text-zinc-300">{t("goal.contribute")}</Label>
+          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder={t("goal.contributePlaceholder")} value={amtText} onChange={(e) => setAmtText(e.target.value)} inputMode="decimal" />
         </div>
         <Button
           className="mt-6 hover:opacity-90"
@@ -935,14 +5555,75 @@ function GoalRow({ goal, onContribute, gold }) {
           +
         </Button>
       </div>
+      {overAvailable ? <div className="mt-1 text-xs text-rose-300">{t("goal.availableBalance", { amount: currency.format(Math.max(0, available)) })}</div> : null}
+    </div>
+  );
+}
+
+// Extrato da meta (mais recente primeiro) + linha do saldo acumulado ao longo do tempo.
+function GoalHistory({ goal, onDeleteEntry, gold }) {
+  const sorted = useMemo(
+    () => [...(goal.entries || [])].sort((a, b) => (a.date === b.date ? (a.createdAt < b.createdAt ? -1 : 1) : a.date < b.date ? -1 : 1)),
+    [goal.entries]
+  );
+  const chartData = useMemo(() => {
+    let acc = 0;
+    return sorted.map((e) => {
+      acc += e.kind === "withdraw" ? -e.amount : e.amount;
+      return { date: e.date, Guardado: acc };
+    });
+  }, [sorted]);
+
+  if (sorted.length === 0) return <div className="text-xs text-zinc-400">{t("goal.noEntries")}</div>;
+
+  return (
+    <div className="grid grid-cols-1 gap-2">
+      {chartData.length > 1 ? (
+        <div className="h-28">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData} margin={{ top: 5, right: 5, bottom: 0, left: 0 }}>
+              <XAxis dataKey="date" hide />
+              <YAxis hide domain={[0, "auto"]} />
+              <Tooltip
+                formatter={(v) => currency.format(Number(v))}
+                labelFormatter={(d) => formatDate(d, { day: "2-digit", month: "2-digit" })}
+                contentStyle={{ background: "#0a0a0a", border: `1px solid ${gold}`, color: "#fff" }}
+                labelStyle={{ color: "#fff" }}
+                itemStyle={{ color: "#fff" }}
+              />
+              <Line type="stepAfter" dataKey="Guardado" name={t("goal.savedSeries")} stroke={gold} strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      ) : null}
+      <div className="flex flex-col gap-1 max-h-40 overflow-y-auto">
+        {[...sorted].reverse().map((e) => (
+          <div key={e.id} className="flex items-center justify-between gap-2 text-xs">
+            <div className="text-zinc-300">
+              {formatDate(e.date)}
+              {e.note ? <span className="text-zinc-500"> • {e.note}</span> : null}
+            </div>
+            <div className="flex items-center gap-1">
+              <span className={e.kind === "withdraw" ? "text-rose-300" : "text-emerald-300"}>
+                {e.kind === "withdraw" ? "-" : "+"} {currency.format(e.amount)}
+              </span>
+              <Button variant="ghost" size="icon" onClick={() => onDeleteEntry(e.id)} aria-label={t("goal.deleteEntry")} className="h-6 w-6 text-zinc-400 hover:text-white">
+                <Trash2 className="h-3 w-3" />
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
     </div>
   );
 }
 
-function GoalContributionPanel({ goals, onContribute, gold, selectContentCls, selectItemCls }) {
+function GoalContributionPanel({ goals, available: freeBalance, onContribute, onWithdraw, gold, selectContentCls, selectItemCls }) {
   const [goalId, setGoalId] = useState(goals[0]?.id || "");
+  const [kind, setKind] = useState("deposit"); // deposit | withdraw
+  const [date, setDate] = useState(isoToday());
   const [amtText, setAmtText] = useState("");
-  const amt = useMemo(() => toNumberBR(amtText), [amtText]);
+  const amt = useMemo(() => parseAmount(amtText), [amtText]);
 
   useEffect(() => {
     if (goals.length === 0) {
@@ -953,14 +5634,18 @@ function GoalContributionPanel({ goals, onContribute, gold, selectContentCls, se
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [goals]);
 
-  const can = goalId && amt > 0;
+  const goal = goals.find((g) => g.id === goalId);
+  const available = goal ? goalSaved(goal) : 0;
+  const tooMuch = kind === "withdraw" && amt > available + 0.005;
+  const overFree = kind === "deposit" && goal?.envelope && amt > freeBalance + 0.005;
+  const can = goalId && amt > 0 && date && !tooMuch && !overFree;
 
   return goals.length === 0 ? (
-    <EmptyHint title="Crie uma meta primeiro" desc="Depois você vai conseguir escolher a meta e registrar aportes nela." />
+    <EmptyHint title={t("goal.createFirst")} desc={t("goal.createFirstDesc")} />
   ) : (
     <div className="grid grid-cols-1 gap-3">
       <div>
-        <Label className="text-white">Meta</Label>
+        <Label className="text-white">{t("goal.label")}</Label>
         <Select value={goalId} onValueChange={setGoalId}>
           <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
             <SelectValue />
@@ -975,10 +5660,32 @@ function GoalContributionPanel({ goals, onContribute, gold, selectContentCls, se
         </Select>
       </div>
 
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <Label className="text-white">{t("goal.operation")}</Label>
+          <Select value={kind} onValueChange={setKind}>
+            <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className={selectContentCls}>
+              <SelectItem value="deposit" className={selectItemCls}>{t("goal.deposit")}</SelectItem>
+              <SelectItem value="withdraw" className={selectItemCls}>{t("goal.withdraw")}</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label className="text-white">{t("common.date")}</Label>
+          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+        </div>
+      </div>
+
       <div>
-        <Label className="text-white">Valor (R$)</Label>
-        <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder="Ex: 100" value={amtText} onChange={(e) => setAmtText(e.target.value)} inputMode="decimal" />
-        <div className="text-xs text-zinc-300 mt-1">Mostra: {amt > 0 ? currency.format(amt) : "—"}</div>
+        <Label className="text-white">{t("common.amount")} ({baseCurrencyCode})</Label>
+        <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder={t("goal.amountPlaceholder")} value={amtText} onChange={(e) => setAmtText(e.target.value)} inputMode="decimal" />
+        <div className="text-xs text-zinc-300 mt-1">{t("tx.preview", { amount: amt > 0 ? currency.format(amt) : "—" })}</div>
+        {tooMuch ? <div className="text-xs text-rose-300 mt-1">{t("goal.onlyHas", { amount: currency.format(available) })}</div> : null}
+        {overFree ? <div className="text-xs text-rose-300 mt-1">{t("goal.availableBalance", { amount: currency.format(Math.max(0, freeBalance)) })}</div> : null}
+        {goal?.envelope && !overFree ? <div className="text-xs text-zinc-400 mt-1">{t("goal.envelopeNote")}</div> : null}
       </div>
 
       <Button
@@ -987,67 +5694,642 @@ function GoalContributionPanel({ goals, onContribute, gold, selectContentCls, se
         className="hover:opacity-90"
         onClick={() => {
           if (!can) return;
-          onContribute(goalId, amt);
+          if (kind === "withdraw") onWithdraw(goalId, amt, date);
+          else onContribute(goalId, amt, date);
           setAmtText("");
         }}
       >
-        Registrar aporte
+        {kind === "withdraw" ? t("goal.recordWithdraw") : t("goal.recordDeposit")}
+      </Button>
+    </div>
+  );
+}
+
+// Excluir meta envelope com saldo: devolve ao disponível ou move para outra meta envelope.
+function GoalDeleteDialog({ goal, goals, onConfirm, onClose, gold, selectContentCls, selectItemCls }) {
+  const [target, setTarget] = useState("available");
+  const others = goal ? goals.filter((g) => g.id !== goal.id && g.envelope) : [];
+
+  useEffect(() => {
+    setTarget("available");
+  }, [goal]);
+
+  return (
+    <Dialog open={!!goal} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-md bg-zinc-950 border-zinc-800 text-white" style={{ borderColor: `rgba(212,175,55,0.22)` }}>
+        <DialogHeader>
+          <DialogTitle>{t("goal.delete")}</DialogTitle>
+        </DialogHeader>
+        {goal ? (
+          <div className="grid grid-cols-1 gap-3">
+            <div className="text-sm text-zinc-300">
+              {t("goal.deleteEnvelopeHint", { name: goal.name, amount: currency.format(goalSaved(goal)) })}
+            </div>
+            <Select value={target} onValueChange={setTarget}>
+              <SelectTrigger className="bg-zinc-950 border-zinc-800 text-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className={selectContentCls}>
+                <SelectItem value="available" className={selectItemCls}>{t("goal.backToAvailable")}</SelectItem>
+                {others.map((g) => (
+                  <SelectItem key={g.id} value={g.id} className={selectItemCls}>
+                    {t("goal.moveTo", { name: g.name })}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <div className="flex justify-end gap-2">
+              <Button variant="ghost" onClick={onClose} className="text-zinc-200 hover:text-white">
+                {t("common.cancel")}
+              </Button>
+              <Button onClick={() => onConfirm(target === "available" ? null : target)} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90">
+                {t("goal.delete")}
+              </Button>
+            </div>
+          </div>
+        ) : null}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+// Backup criptografado (.finp): envelope JSON versionado. A chave sai da senha via PBKDF2-SHA-256;
+// os dados vão com AES-GCM. O SHA-256 do texto cifrado separa "arquivo corrompido" de "senha errada".
+const ENCRYPTED_FORMAT = "finp-encrypted";
+const ENCRYPTED_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PASSPHRASE = 8;
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function base64ToBytes(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function backupError(code, message) {
+  const err = new Error(message);
+  err.code = code; // corrupted | wrong-password | unsupported
+  return err;
+}
+
+async function deriveBackupKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, material, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+}
+
+async function sha256Base64(bytes) {
+  return bytesToBase64(new Uint8Array(await crypto.subtle.digest("SHA-256", bytes)));
+}
+
+async function encryptBackup(data, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveBackupKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const plain = new TextEncoder().encode(JSON.stringify(data));
+  const cipher = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plain));
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: ENCRYPTED_VERSION,
+    createdAt: new Date().toISOString(),
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: "AES-GCM", iv: bytesToBase64(iv) },
+    sha256: await sha256Base64(cipher),
+    data: bytesToBase64(cipher),
+  };
+}
+
+function isEncryptedBackup(parsed) {
+  return isPlainObject(parsed) && parsed.format === ENCRYPTED_FORMAT;
+}
+
+async function decryptBackup(envelope, passphrase) {
+  if (envelope.version !== ENCRYPTED_VERSION) throw backupError("unsupported", t("backup.unsupported", { version: envelope.version }));
+  let salt, iv, cipher;
+  try {
+    salt = base64ToBytes(envelope.kdf.salt);
+    iv = base64ToBytes(envelope.cipher.iv);
+    cipher = base64ToBytes(envelope.data);
+  } catch {
+    throw backupError("corrupted", t("backup.corruptedParts"));
+  }
+  if (!(envelope.kdf.iterations > 0) || iv.length !== 12 || (await sha256Base64(cipher)) !== envelope.sha256) {
+    throw backupError("corrupted", t("backup.corruptedIntegrity"));
+  }
+  const key = await deriveBackupKey(passphrase, salt, envelope.kdf.iterations);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv }, key, cipher);
+  } catch {
+    throw backupError("wrong-password", t("backup.wrongPassword"));
+  }
+  try {
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch {
+    throw backupError("corrupted", t("backup.corruptedContent"));
+  }
+}
+
+// Baixar backup: JSON aberto ou .finp protegido por senha.
+function BackupExportDialog({ state, open, onOpenChange, gold }) {
+  const [encrypt, setEncrypt] = useState(true);
+  const [pass, setPass] = useState("");
+  const [confirmPass, setConfirmPass] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!open) {
+      setPass("");
+      setConfirmPass("");
+      setError("");
+    }
+  }, [open]);
+
+  const passOk = pass.length >= MIN_PASSPHRASE && pass === confirmPass;
+  const can = !busy && (!encrypt || passOk);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  async function download() {
+    if (!can) return;
+    if (!encrypt) {
+      downloadBlob(new Blob([JSON.stringify(state, null, 2)], { type: "application/json" }), `finp-backup-${stamp}.json`);
+      onOpenChange(false);
+      return;
+    }
+    setBusy(true);
+    try {
+      const envelope = await encryptBackup(state, pass);
+      downloadBlob(new Blob([JSON.stringify(envelope)], { type: "application/octet-stream" }), `finp-backup-${stamp}.finp`);
+      onOpenChange(false);
+    } catch (err) {
+      setError(t("backup.encryptFailed", { error: err.message }));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md bg-zinc-950 border-zinc-800 text-white" style={{ borderColor: `rgba(212,175,55,0.22)` }}>
+        <DialogHeader>
+          <DialogTitle>{t("backup.title")}</DialogTitle>
+        </DialogHeader>
+        <div className="grid grid-cols-1 gap-3">
+          <label className="flex items-start gap-2 text-sm text-white">
+            <input type="checkbox" className="mt-1" checked={encrypt} onChange={(e) => setEncrypt(e.target.checked)} style={{ accentColor: gold }} />
+            <span>
+              {t("backup.encrypt")}
+              <span className="block text-xs text-zinc-300">{t("backup.encryptHint")}</span>
+            </span>
+          </label>
+          {encrypt ? (
+            <>
+              <div>
+                <Label className="text-white">{t("backup.password")}</Label>
+                <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" type="password" autoComplete="new-password" value={pass} onChange={(e) => setPass(e.target.value)} />
+                {pass && pass.length < MIN_PASSPHRASE ? <div className="text-xs text-rose-300 mt-1">{t("backup.passwordTooShort", { n: MIN_PASSPHRASE })}</div> : null}
+              </div>
+              <div>
+                <Label className="text-white">{t("backup.repeatPassword")}</Label>
+                <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" type="password" autoComplete="new-password" value={confirmPass} onChange={(e) => setConfirmPass(e.target.value)} />
+                {confirmPass && confirmPass !== pass ? <div className="text-xs text-rose-300 mt-1">{t("backup.passwordMismatch")}</div> : null}
+              </div>
+              <div className="text-xs text-zinc-400">{t("backup.passwordWarning")}</div>
+            </>
+          ) : (
+            <div className="text-xs text-amber-400">{t("backup.plainWarning")}</div>
+          )}
+          {error ? <div className="text-xs text-rose-300">{error}</div> : null}
+        </div>
+        <DialogFooter>
+          <Button disabled={!can} onClick={download} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90">
+            {encrypt ? <Lock className="h-4 w-4 mr-2" /> : <Download className="h-4 w-4 mr-2" />}
+            {busy ? t("backup.encrypting") : t("backup.download")}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+// Pede a senha de um .finp. Senha errada mantém o diálogo aberto; arquivo corrompido vai para o relatório.
+function BackupPasswordDialog({ envelope, onDecrypted, onFailed, onClose, gold }) {
+  const [pass, setPass] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setPass("");
+    setError("");
+  }, [envelope]);
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!pass || busy) return;
+    setBusy(true);
+    setError("");
+    try {
+      onDecrypted(await decryptBackup(envelope, pass));
+    } catch (err) {
+      if (err.code === "wrong-password") setError(t("backup.wrongPasswordRetry"));
+      else onFailed(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Dialog open={!!envelope} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-md bg-zinc-950 border-zinc-800 text-white" style={{ borderColor: `rgba(212,175,55,0.22)` }}>
+        <DialogHeader>
+          <DialogTitle>{t("backup.protected")}</DialogTitle>
+        </DialogHeader>
+        <form onSubmit={submit} className="grid grid-cols-1 gap-3">
+          <div className="text-sm text-zinc-300">{t("backup.enterPassword")}</div>
+          <Input className="bg-zinc-950 border-zinc-800 text-white" type="password" autoComplete="current-password" autoFocus value={pass} onChange={(e) => setPass(e.target.value)} />
+          {error ? <div className="text-xs text-rose-300">{error}</div> : null}
+          <Button type="submit" disabled={!pass || busy} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90">
+            <Lock className="h-4 w-4 mr-2" />
+            {busy ? t("backup.opening") : t("backup.open")}
+          </Button>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+// [seção do relatório, chave do título no catálogo, cor]
+const REPORT_SECTIONS = [
+  ["fixed", "report.fixed", "text-amber-400"],
+  ["dropped", "report.dropped", "text-zinc-300"],
+  ["rejected", "report.rejected", "text-rose-300"],
+];
+
+// JSON com chaves ordenadas: dois registros iguais sempre geram o mesmo texto.
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (isPlainObject(v)) return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+  return JSON.stringify(v);
+}
+
+// Compara por `id`: o que só existe no backup entra; o que existe dos dois lados e mudou vira conflito.
+function diffById(local, incoming) {
+  const byId = new Map(local.map((x) => [x.id, x]));
+  const added = [];
+  const conflicts = [];
+  let same = 0;
+  for (const x of incoming) {
+    const mine = byId.get(x.id);
+    if (!mine) added.push(x);
+    else if (stableStringify(mine) === stableStringify(x)) same += 1;
+    else conflicts.push({ id: x.id, local: mine, incoming: x });
+  }
+  return { added, conflicts, same };
+}
+
+const lastTouched = (x) => x.updatedAt || x.createdAt || "";
+
+// Plano de mesclagem (ainda sem aplicar). Contas, recorrências e orçamentos só ganham o que falta;
+// categorias viram a união das duas listas.
+function planMerge(local, incoming) {
+  const transactions = diffById(local.transactions, incoming.transactions);
+  const goals = diffById(local.goals, incoming.goals);
+  const localAccounts = new Set(local.accounts.map((a) => a.id));
+  const localRecurrences = new Set(local.recurrences.map((r) => r.id));
+  const localRates = new Set(local.rates.map((r) => r.id));
+  const conflicts = [
+    ...transactions.conflicts.map((c) => ({ ...c, kind: "transaction" })),
+    ...goals.conflicts.map((c) => ({ ...c, kind: "goal" })),
+  ];
+  return {
+    transactions,
+    goals,
+    conflicts,
+    accounts: incoming.accounts.filter((a) => !localAccounts.has(a.id)),
+    recurrences: incoming.recurrences.filter((r) => !localRecurrences.has(r.id)),
+    rates: incoming.rates.filter((r) => !localRates.has(r.id)),
+    categories: incoming.categories.filter((c) => !local.categories.includes(c)),
+    incomeCategories: incoming.incomeCategories.filter((c) => !local.incomeCategories.includes(c)),
+    budgets: Object.fromEntries(Object.entries(incoming.budgets).filter(([c]) => local.budgets[c] == null)),
+    // Sugestão inicial: fica a versão editada por último.
+    defaultChoices: Object.fromEntries(conflicts.map((c) => [`${c.kind}:${c.id}`, lastTouched(c.incoming) > lastTouched(c.local) ? "incoming" : "local"])),
+  };
+}
+
+// choices: { "transaction:<id>" | "goal:<id>": "local" | "incoming" }
+function applyMerge(local, plan, choices) {
+  const pick = (kind, items) =>
+    items.map((x) => {
+      const c = plan.conflicts.find((k) => k.kind === kind && k.id === x.id);
+      return c && choices[`${kind}:${x.id}`] === "incoming" ? c.incoming : x;
+    });
+  return {
+    ...local,
+    categories: [...local.categories, ...plan.categories],
+    incomeCategories: [...local.incomeCategories, ...plan.incomeCategories],
+    accounts: [...local.accounts, ...plan.accounts],
+    recurrences: [...local.recurrences, ...plan.recurrences],
+    rates: [...local.rates, ...plan.rates],
+    budgets: { ...plan.budgets, ...local.budgets },
+    transactions: [...pick("transaction", local.transactions), ...plan.transactions.added],
+    goals: [...pick("goal", local.goals), ...plan.goals.added],
+  };
+}
+
+function describeConflictSide(kind, x) {
+  if (kind === "goal") return t("conflict.goalSide", { name: x.name, target: currency.format(x.target), saved: currency.format(goalSaved(x)) });
+  return `${formatDate(x.date)} · ${x.description || categoryLabel(x.category)} · ${currency.format(x.amount)} · ${categoryLabel(x.category)}`;
+}
+
+function ValidationReport({ report }) {
+  if (report.fixed.length + report.dropped.length + report.rejected.length === 0) {
+    return <div className="text-xs text-emerald-300">{t("report.clean")}</div>;
+  }
+  return (
+    <div className="flex flex-col gap-3">
+      {REPORT_SECTIONS.map(([key, title, cls]) =>
+        report[key].length ? (
+          <div key={key}>
+            <div className={`text-sm font-medium ${cls}`}>
+              {t(title)} ({report[key].length})
+            </div>
+            <ul className="mt-1 flex flex-col gap-1 text-xs text-zinc-300">
+              {report[key].map((item, i) => (
+                <li key={i}>
+                  <span className="text-white">{item.label}</span>: {item.reason}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : null
+      )}
+    </div>
+  );
+}
+
+// Confirmação da importação: resumo, conflitos (escolhe a versão de cada um) e o relatório de validação.
+// "Substituir tudo" continua disponível, mas só se escolhido explicitamente.
+function ImportDialog({ pending, local, onConfirm, onClose, gold, selectContentCls, selectItemCls }) {
+  const [mode, setMode] = useState("merge"); // merge | replace
+  const [choices, setChoices] = useState({});
+  const incoming = pending?.state;
+  const plan = useMemo(() => (incoming ? planMerge(local, incoming) : null), [incoming, local]);
+
+  useEffect(() => {
+    setMode("merge");
+    setChoices(plan ? plan.defaultChoices : {});
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [incoming]);
+
+  function confirm() {
+    // O idioma é preferência deste aparelho: nem a substituição troca.
+    onConfirm(mode === "replace" ? { ...incoming, locale: local.locale } : applyMerge(local, plan, choices));
+  }
+
+  return (
+    <Dialog open={!!pending} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-lg bg-zinc-950 border-zinc-800 text-white" style={{ borderColor: `rgba(212,175,55,0.22)` }}>
+        <DialogHeader>
+          <DialogTitle>{pending?.error ? t("restore.refused") : t("restore.title")}</DialogTitle>
+        </DialogHeader>
+        {pending?.error ? (
+          <div className="text-sm text-rose-300">{pending.error}</div>
+        ) : plan ? (
+          <div className="max-h-[65vh] overflow-y-auto grid grid-cols-1 gap-3 pr-1">
+            <div>
+              <Label className="text-white">{t("restore.how")}</Label>
+              <Select value={mode} onValueChange={setMode}>
+                <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className={selectContentCls}>
+                  <SelectItem value="merge" className={selectItemCls}>{t("restore.modeMerge")}</SelectItem>
+                  <SelectItem value="replace" className={selectItemCls}>{t("restore.modeReplace")}</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            {mode === "replace" ? (
+              <div className="text-sm text-zinc-300">
+                {t("restore.replaceSummary", { transactions: incoming.transactions.length, goals: incoming.goals.length, recurrences: incoming.recurrences.length, accounts: incoming.accounts.length })}
+              </div>
+            ) : (
+              <>
+                <ul className="text-sm text-zinc-300 flex flex-col gap-1">
+                  <li>
+                    <span className="text-white">{plan.transactions.added.length}</span> {t("restore.newTransactions")}, <span className="text-white">{plan.transactions.same}</span> {t("restore.existing")}
+                  </li>
+                  <li>
+                    <span className="text-white">{plan.goals.added.length}</span> {t("restore.newGoals")}, <span className="text-white">{plan.goals.same}</span> {t("restore.existing")}
+                  </li>
+                  {plan.accounts.length || plan.recurrences.length ? (
+                    <li>
+                      <span className="text-white">{plan.accounts.length}</span> {t("restore.newAccountsAnd")} <span className="text-white">{plan.recurrences.length}</span> {t("restore.newRecurrences")}
+                    </li>
+                  ) : null}
+                  {plan.categories.length + plan.incomeCategories.length ? <li>{t("restore.newCategories", { names: [...plan.categories, ...plan.incomeCategories].join(", ") })}</li> : null}
+                  <li>
+                    <span className={plan.conflicts.length ? "text-amber-400" : "text-white"}>{plan.conflicts.length}</span> {t("restore.conflicts")}
+                  </li>
+                </ul>
+
+                {plan.conflicts.length ? (
+                  <div className="flex flex-col gap-2">
+                    {plan.conflicts.map((c) => {
+                      const key = `${c.kind}:${c.id}`;
+                      return (
+                        <div key={key} className="rounded-2xl p-3 bg-zinc-950" style={{ border: `1px solid rgba(212,175,55,0.18)` }}>
+                          <div className="text-xs text-zinc-400">{c.kind === "goal" ? t("restore.kindGoal") : t("restore.kindTransaction")}</div>
+                          {[
+                            ["local", t("restore.sideLocal"), c.local],
+                            ["incoming", t("restore.sideIncoming"), c.incoming],
+                          ].map(([side, label, x]) => (
+                            <label key={side} className="mt-1 flex items-start gap-2 text-sm text-white">
+                              <input type="radio" className="mt-1" name={key} checked={choices[key] === side} onChange={() => setChoices((ch) => ({ ...ch, [key]: side }))} style={{ accentColor: gold }} />
+                              <span>
+                                {label}
+                                <span className="block text-xs text-zinc-300">{describeConflictSide(c.kind, x)}</span>
+                              </span>
+                            </label>
+                          ))}
+                        </div>
+                      );
+                    })}
+                  </div>
+                ) : null}
+              </>
+            )}
+
+            <Separator className="bg-zinc-800" />
+            <ValidationReport report={pending.report} />
+          </div>
+        ) : null}
+        <DialogFooter>
+          {pending?.error ? (
+            <Button onClick={onClose} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90">
+              OK
+            </Button>
+          ) : (
+            <>
+              <Button variant="ghost" onClick={onClose} className="text-zinc-200 hover:text-white">
+                {t("common.cancel")}
+              </Button>
+              <Button onClick={confirm} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90">
+                {mode === "replace" ? t("restore.replace") : t("restore.merge")}
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+// Moeda base + tabela de cotações por data ("1 USD = 5,10 BRL a partir de 01/03/2026").
+function CurrencyManager({ base, rates, usedCurrencies, onBaseChange, onAddRate, onDeleteRate, gold, selectContentCls, selectItemCls }) {
+  const foreignCodes = Object.keys(CURRENCIES).filter((c) => c !== base);
+  const [from, setFrom] = useState(foreignCodes[0]);
+  const [date, setDate] = useState(isoToday());
+  const [rateText, setRateText] = useState("");
+  const rate = useMemo(() => parseAmount(rateText), [rateText]);
+  const can = rate > 0 && date && from !== base;
+
+  useEffect(() => {
+    if (from === base) setFrom(foreignCodes[0]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [base]);
+
+  const missing = usedCurrencies.filter((c) => c !== base && findRate(rates, c, base, isoToday()) == null);
+  const sorted = useMemo(() => [...rates].sort((a, b) => b.date.localeCompare(a.date) || a.from.localeCompare(b.from)), [rates]);
+
+  function add() {
+    if (!can) return;
+    onAddRate({ id: uid(), from, to: base, rate, date, createdAt: new Date().toISOString() });
+    setRateText("");
+  }
+
+  return (
+    <div className="grid grid-cols-1 gap-3">
+      <div>
+        <Label className="text-white">{t("currency.base")}</Label>
+        <Select value={base} onValueChange={onBaseChange}>
+          <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent className={selectContentCls}>
+            {Object.entries(CURRENCIES).map(([code, name]) => (
+              <SelectItem key={code} value={code} className={selectItemCls}>
+                {code} — {t(name)}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <div className="text-xs text-zinc-400 mt-1">{t("currency.baseHint")}</div>
+      </div>
+
+      {missing.length ? <div className="text-xs text-amber-400">{t("currency.missingRates", { codes: missing.join(", ") })}</div> : null}
+
+      <div className="grid grid-cols-3 gap-2 items-end">
+        <div>
+          <Label className="text-xs text-zinc-300">{t("currency.oneUnitOf")}</Label>
+          <Select value={from} onValueChange={setFrom}>
+            <SelectTrigger className="mt-1 bg-zinc-950 border-zinc-800 text-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className={selectContentCls}>
+              {foreignCodes.map((code) => (
+                <SelectItem key={code} value={code} className={selectItemCls}>
+                  {code}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label className="text-xs text-zinc-300">{t("currency.worth", { base })}</Label>
+          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" placeholder={t("currency.ratePlaceholder")} value={rateText} onChange={(e) => setRateText(e.target.value)} inputMode="decimal" />
+        </div>
+        <div>
+          <Label className="text-xs text-zinc-300">{t("currency.from")}</Label>
+          <Input className="mt-1 bg-zinc-950 border-zinc-800 text-white" type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+        </div>
+      </div>
+      <Button disabled={!can} onClick={add} style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90">
+        <Plus className="h-4 w-4 mr-2" />
+        {t("currency.addRate")}
       </Button>
+
+      {sorted.length ? (
+        <div className="flex flex-col gap-1">
+          {sorted.map((r) => (
+            <div key={r.id} className="flex items-center justify-between gap-2 text-sm">
+              <div className="text-zinc-200">
+                1 {r.from} = {formatNumber(r.rate, { maximumFractionDigits: 6 })} {r.to}
+                <span className="ml-2 text-xs text-zinc-400">{t("currency.since", { date: formatDate(r.date) })}</span>
+              </div>
+              <Button variant="ghost" size="icon" onClick={() => onDeleteRate(r.id)} aria-label={t("currency.deleteRate")} className="text-zinc-200 hover:text-white">
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-xs text-zinc-400">{t("currency.noRates")}</div>
+      )}
     </div>
   );
 }
 
-function BackupControls({ state, setState, onReset, gold, compact = false }) {
+function BackupControls({ state, setState, onReset, gold, selectContentCls, selectItemCls, compact = false }) {
   const fileRef = useRef(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [encryptedImport, setEncryptedImport] = useState(null); // envelope .finp aguardando a senha
 
-  function exportJson() {
-    const blob = new Blob([JSON.stringify(state, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `finp-backup-${new Date().toISOString().slice(0, 10)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+  function prepareImport(parsed) {
+    try {
+      setPendingImport(prepareState(parsed));
+    } catch (err) {
+      setPendingImport({ error: err.message });
+    }
   }
 
   function importJson(file) {
     const reader = new FileReader();
     reader.onload = () => {
+      let parsed;
       try {
-        const parsed = JSON.parse(String(reader.result || ""));
-        if (!parsed || typeof parsed !== "object") throw new Error("invalid");
-        if (!Array.isArray(parsed.transactions) || !Array.isArray(parsed.goals)) throw new Error("shape");
-
-        const migratedGoals = parsed.goals.map((g) => ({
-          ...g,
-          saved: typeof g.saved === "number" ? g.saved : 0,
-        }));
-
-        setState({
-          version: 1,
-          currency: "BRL",
-          categories: Array.isArray(parsed.categories) && parsed.categories.length ? parsed.categories : DEFAULT_CATEGORIES,
-          transactions: parsed.transactions,
-          goals: migratedGoals,
-        });
+        parsed = JSON.parse(String(reader.result || ""));
       } catch {
-        alert("Arquivo inválido. Escolha um backup do FinP (.json).\n\nDica: use o botão Backup do próprio FinP para gerar o arquivo.");
+        setPendingImport({ error: t("restore.invalidFile") });
+        return;
       }
+      if (isEncryptedBackup(parsed)) setEncryptedImport(parsed);
+      else prepareImport(parsed);
     };
     reader.readAsText(file);
   }
 
   return (
     <div className={compact ? "flex flex-col gap-2" : "flex gap-2"}>
-      <Button variant="secondary" onClick={exportJson} title="Exportar backup" style={compact ? { backgroundColor: gold, color: "#000" } : { border: `1px solid rgba(212,175,55,0.22)` }} className={compact ? "hover:opacity-90" : "bg-zinc-950 text-white hover:bg-zinc-900"}>
+      <Button variant="secondary" onClick={() => setExportOpen(true)} title={t("backup.export")} style={compact ? { backgroundColor: gold, color: "#000" } : { border: `1px solid rgba(212,175,55,0.22)` }} className={compact ? "hover:opacity-90" : "bg-zinc-950 text-white hover:bg-zinc-900"}>
         <Download className="h-4 w-4 mr-2" />
-        Backup
+        {t("backup.title")}
       </Button>
 
+      <BackupExportDialog state={state} open={exportOpen} onOpenChange={setExportOpen} gold={gold} />
+
       <input
         ref={fileRef}
         type="file"
-        accept="application/json"
+        accept="application/json,.json,.finp"
         className="hidden"
         onChange={(e) => {
           const f = e.target.files?.[0];
@@ -1056,31 +6338,58 @@ function BackupControls({ state, setState, onReset, gold, compact = false }) {
         }}
       />
 
-      <Button variant="secondary" onClick={() => fileRef.current?.click()} title="Importar backup" style={compact ? { backgroundColor: "#111", border: `1px solid ${gold}`, color: gold } : { border: `1px solid rgba(212,175,55,0.22)` }} className={compact ? "hover:opacity-90" : "bg-zinc-950 text-white hover:bg-zinc-900"}>
+      <Button variant="secondary" onClick={() => fileRef.current?.click()} title={t("restore.title")} style={compact ? { backgroundColor: "#111", border: `1px solid ${gold}`, color: gold } : { border: `1px solid rgba(212,175,55,0.22)` }} className={compact ? "hover:opacity-90" : "bg-zinc-950 text-white hover:bg-zinc-900"}>
         <Upload className="h-4 w-4 mr-2" />
-        Importar
+        {t("restore.button")}
       </Button>
 
+      <BackupPasswordDialog
+        envelope={encryptedImport}
+        onDecrypted={(parsed) => {
+          setEncryptedImport(null);
+          prepareImport(parsed);
+        }}
+        onFailed={(message) => {
+          setEncryptedImport(null);
+          setPendingImport({ error: message });
+        }}
+        onClose={() => setEncryptedImport(null)}
+        gold={gold}
+      />
+
+      <ImportDialog
+        pending={pendingImport}
+        local={state}
+        onConfirm={(next) => {
+          setState(next);
+          setPendingImport(null);
+        }}
+        onClose={() => setPendingImport(null)}
+        gold={gold}
+        selectContentCls={selectContentCls}
+        selectItemCls={selectItemCls}
+      />
+
       <Dialog>
         <DialogTrigger asChild>
           <Button
             variant="ghost"
-            title="Limpar tudo"
+            title={t("reset.clearAll")}
             className={`${compact ? "justify-start" : ""} text-[var(--gold)] hover:bg-black hover:text-[var(--gold)] border border-[rgba(212,175,55,0.22)]`}
             style={{ "--gold": gold, borderColor: "rgba(212,175,55,0.22)" }}
           >
             <RefreshCcw className="h-4 w-4 mr-2" />
-            Zerar
+            {t("reset.button")}
           </Button>
         </DialogTrigger>
         <DialogContent className="sm:max-w-md bg-zinc-950 border-zinc-800 text-white" style={{ borderColor: `rgba(212,175,55,0.22)` }}>
           <DialogHeader>
-            <DialogTitle>Zerar o FinP</DialogTitle>
+            <DialogTitle>{t("reset.title")}</DialogTitle>
           </DialogHeader>
-          <div className="text-sm text-zinc-300">Isso apaga todas as receitas, gastos e metas deste aparelho. Use <span className="font-medium">Backup</span> antes, se quiser guardar.</div>
+          <div className="text-sm text-zinc-300">{t("reset.warning", { backup: t("backup.title") })}</div>
           <DialogFooter>
             <Button style={{ backgroundColor: gold, color: "#000" }} className="hover:opacity-90" onClick={onReset}>
-              Zerar agora
+              {t("reset.confirm")}
             </Button>
           </DialogFooter>
         </DialogContent>
@@ -1088,3 +6397,1463 @@ function BackupControls({ state, setState, onReset, gold, compact = false }) {
     </div>
   );
 }
+
+// Catálogo de mensagens da interface. pt-BR é a referência: chave ausente nos outros idiomas cai nela.
+// Valores com { one, other } variam com {n}.
+const MESSAGES = {
+  "pt-BR": {
+    "account.kind.checking": "Conta corrente",
+    "account.kind.savings": "Poupança",
+    "account.kind.cash": "Dinheiro",
+    "account.kind.credit": "Cartão de crédito",
+    "validate.newerVersion": "Estes dados são de uma versão mais nova do FinP (v{version}). Atualize o app antes de importar.",
+    "validate.currencyFixed": "moeda \"{from}\" corrigida para {to}",
+    "validate.currencyUnknown": "moeda \"{from}\" desconhecida; ficou {to}",
+    "validate.notRate": "não é uma cotação",
+    "validate.badPair": "par de moedas inválido",
+    "validate.badRate": "cotação inválida",
+    "validate.rateText": "cotação em texto convertida para número",
+    "validate.notTransaction": "não é um movimento",
+    "validate.badAmount": "valor inválido",
+    "validate.amountText": "valor em texto convertido para número",
+    "validate.amountNegative": "valor negativo trocado pelo valor absoluto",
+    "validate.badDate": "data inválida",
+    "validate.dateFixed": "data \"{from}\" convertida para {to}",
+    "validate.newId": "sem id; um novo foi gerado",
+    "validate.descriptionText": "descrição convertida para texto",
+    "validate.txAccountMissing": "conta inexistente; movido para a conta principal",
+    "validate.transferTarget": "transferência sem conta de destino válida",
+    "validate.notGoal": "não é uma meta",
+    "validate.goalNoName": "meta sem nome",
+    "validate.badTarget": "valor-alvo inválido",
+    "validate.targetText": "valor-alvo em texto convertido para número",
+    "validate.badEntries": { one: "{n} lançamento inválido removido do extrato", other: "{n} lançamentos inválidos removidos do extrato" },
+    "validate.badDeadline": "prazo inválido removido",
+    "validate.notRecurrence": "não é uma recorrência",
+    "validate.badFrequency": "frequência desconhecida ({value})",
+    "validate.badStart": "data de início inválida",
+    "validate.startFixed": "início \"{from}\" convertido para {to}",
+    "validate.ruleAccountMissing": "conta inexistente; movida para a conta principal",
+    "validate.accountNoId": "conta sem id",
+    "validate.accountNoName": "conta sem nome",
+    "validate.accountKind": "tipo de conta desconhecido; virou conta corrente",
+    "validate.openingFixed": "saldo inicial corrigido",
+    "validate.duplicateId": "id repetido; a primeira ocorrência foi mantida",
+    "validate.categoriesFixed": "nomes vazios ou repetidos removidos",
+    "validate.budgetRow": "Orçamento “{category}”",
+    "validate.notFinp": "O arquivo não contém dados do FinP.",
+    "validate.noTransactions": "O arquivo não tem a lista de movimentos.",
+    "validate.categories": "Categorias",
+    "validate.badType": "tipo desconhecido ({value})",
+    "row.account": "Conta",
+    "row.transaction": "Movimento",
+    "row.goal": "Meta",
+    "row.recurrence": "Recorrência",
+    "row.rate": "Cotação",
+    "storage.aborted": "Gravação cancelada",
+    "storage.quota": "O espaço de armazenamento do navegador acabou.",
+    "storage.unknown": "Erro desconhecido ao gravar.",
+    "frequency.monthly": "Mensal",
+    "frequency.weekly": "Semanal",
+    "frequency.yearly": "Anual",
+    "frequency.monthlyDay": "Mensal (dia {day})",
+    "frequency.until": "até {date}",
+    "category.tooShort": "Use pelo menos 2 letras.",
+    "category.exists": "Já existe uma categoria com esse nome.",
+    "invoice.paymentDescription": "Pagamento fatura {card} {month}",
+    "goal.movedFrom": "Transferido de “{name}”",
+    "tab.dashboard": "Resumo",
+    "tab.transactions": "Movimentos",
+    "tab.search": "Busca",
+    "tab.goals": "Metas",
+    "tab.budgets": "Orçamentos",
+    "trend.month": "Só este mês",
+    "trend.6m": "Últimos 6 meses",
+    "trend.1y": "Último ano",
+    "trend.all": "Todo o tempo",
+    "app.loading": "Carregando seus dados…",
+    "app.badge": "pessoal",
+    "app.tagline": "Controle simples de receitas, gastos e metas — tudo salvo no seu aparelho (sem login).",
+    "header.year": "Ano",
+    "header.month": "Mês",
+    "header.language": "Idioma",
+    "storage.failed": "Não foi possível salvar suas últimas alterações neste aparelho. {error} Faça um Backup agora para não perder nada.",
+    "storage.retry": "Tentar de novo",
+    "stat.income": "Receitas",
+    "stat.expense": "Gastos",
+    "stat.monthBalance": "Saldo do mês",
+    "rates.missing": "Sem cotação para {from} → {to}: esses movimentos ficam fora dos totais. Cadastre a cotação em Moedas.",
+    "trend.title": "Receitas vs. Gastos",
+    "trend.pickRange": "Escolha o período",
+    "empty.noData": "Sem dados ainda",
+    "empty.noDataDesc": "Adicione receitas/gastos para ver o gráfico.",
+    "dashboard.byCategory": "Gastos por categoria (mês)",
+    "dashboard.byCategoryHint": "Onde o dinheiro está indo",
+    "empty.noExpenses": "Sem gastos neste mês",
+    "empty.noExpensesDesc": "Adicione um gasto para ver o gráfico por categoria.",
+    "dashboard.budget": "Orçamento do mês",
+    "dashboard.budgetHint": "Gasto x orçamento por categoria",
+    "empty.noBudgets": "Nenhum orçamento definido",
+    "empty.noBudgetsDesc": "Defina limites por categoria na aba Orçamentos.",
+    "dashboard.goals": "Metas (progresso)",
+    "dashboard.goalsHint": "As mais urgentes primeiro. Você registra aportes diretamente na meta.",
+    "empty.noGoals": "Você ainda não criou metas",
+    "empty.noGoalsDesc": "Crie uma meta para acompanhar quanto falta.",
+    "tx.new": "Novo movimento",
+    "tx.newHint": "Registre receitas e gastos do dia a dia",
+    "tx.month": "Movimentos do mês",
+    "tx.monthHint": "Mais recentes primeiro",
+    "empty.noTx": "Nada registrado neste mês",
+    "empty.noTxDesc": "Adicione sua primeira receita ou gasto.",
+    "recurrence.title": "Recorrências",
+    "recurrence.hint": "Salário, aluguel, assinaturas — o FinP lança sozinho quando vence",
+    "empty.noRecurrences": "Nenhuma recorrência",
+    "empty.noRecurrencesDesc": "Cadastre contas fixas para não precisar lançar todo mês.",
+    "installment.of": "Parcela {index}/{count} de {total}",
+    "installment.cancelFrom": "Cancelar desta parcela em diante ({n})",
+    "goal.target": "Alvo: {amount}",
+    "goal.envelopeTag": "envelope",
+    "search.title": "Buscar movimentos",
+    "search.hint": "Em todos os meses. O link da página guarda a busca atual.",
+    "tx.edit": "Editar movimento",
+    "installment.applyFollowing": "Aplicar também às parcelas seguintes",
+    "goal.create": "Criar meta",
+    "goal.createHint": "Ex: “Notebook”, “Viagem”, “Reserva”",
+    "goal.contributeTitle": "Aportar ou retirar de uma meta",
+    "goal.contributeHint": "Escolha a meta, a data e o valor.",
+    "goal.yours": "Suas metas",
+    "goal.yoursHint": "Quanto já foi guardado e quanto falta",
+    "empty.noGoalsYet": "Sem metas por enquanto",
+    "empty.noGoalsYetDesc": "Crie uma meta para o FinP calcular quanto falta.",
+    "goal.edit": "Editar meta",
+    "goal.delete": "Excluir meta",
+    "app.footer": "FinP • feito para uso pessoal • dados ficam no seu aparelho",
+    "category.title": "Categorias",
+    "category.hint": "Crie, renomeie, ordene ou junte categorias de gasto.",
+    "budget.title": "Orçamentos mensais",
+    "budget.hint": "Quanto você quer gastar no máximo em cada categoria por mês. Deixe vazio para não acompanhar.",
+    "backup.title": "Backup",
+    "backup.hint": "Exporte/importe para não perder seus dados",
+    "balance.total": "Total guardado",
+    "balance.totalHint": "(saldos iniciais + receitas acumuladas − gastos acumulados)",
+    "balance.available": "Disponível",
+    "balance.reserved": "Reservado em metas",
+    "account.title": "Contas",
+    "account.hint": "Saldo de cada conta/carteira",
+    "currency.title": "Moedas",
+    "currency.hint": "Totais convertidos para a moeda base pelas cotações abaixo",
+    "tx.budgetOver": "Este gasto estoura o orçamento de {category}: {after} de {budget}.",
+    "tx.budgetWarn": "{category} chega a {percent}% do orçamento do mês.",
+    "tx.fromAccount": "Da conta",
+    "tx.account": "Conta",
+    "tx.amountPlaceholder": "Ex: 39,90",
+    "tx.preview": "Mostra: {amount}",
+    "tx.noRateForDate": "sem cotação {from}→{to} para a data",
+    "installment.preview": "{n}x de {amount}",
+    "installment.previewLast": "(última {amount})",
+    "installment.previewTotal": "total {amount}, uma por mês a partir da data",
+    "installment.needCount": "Informe o valor e pelo menos 2 parcelas.",
+    "tx.descExpense": "Ex: lanche, Uber, cinema",
+    "tx.descTransfer": "Ex: guardar na poupança, saque",
+    "tx.descIncome": "Ex: mesada, bico, venda",
+    "common.saveChanges": "Salvar alterações",
+    "common.add": "Adicionar",
+    "tx.tip": "Dica: use vírgula para centavos (ex: 12,50). O FinP converte automaticamente.",
+    "invoice.ofMonth": "fatura {month}",
+    "rates.none": "sem cotação",
+    "type.income": "Receita",
+    "type.expense": "Gasto",
+    "type.transfer": "Transferência",
+    "common.type": "Tipo",
+    "common.date": "Data",
+    "common.amount": "Valor",
+    "common.currency": "Moeda",
+    "installment.toggle": "Parcelado",
+    "tx.toAccount": "Para a conta",
+    "tx.transferHint": "Não conta como receita nem gasto.",
+    "common.category": "Categoria",
+    "installment.count": "Parcelas",
+    "installment.modeLabel": "O valor digitado é",
+    "installment.modeTotal": "O total da compra",
+    "installment.modeEach": "O valor de cada parcela",
+    "common.description": "Descrição",
+    "recurrence.badge": "Recorrente",
+    "recurrence.series": "Série recorrente",
+    "tx.delete": "Excluir movimento",
+    "recurrence.amountPlaceholder": "Ex: 1200",
+    "recurrence.descPlaceholder": "Ex: aluguel, Netflix, salário",
+    "recurrence.next": "Próxima: {date}",
+    "recurrence.ended": "Série encerrada",
+    "recurrence.save": "Salvar série",
+    "recurrence.create": "Criar recorrência",
+    "recurrence.repeat": "Repetir",
+    "recurrence.start": "Início",
+    "recurrence.day": "Dia do mês",
+    "recurrence.ends": "Termina",
+    "recurrence.never": "Nunca",
+    "recurrence.onDate": "Em uma data",
+    "recurrence.afterCount": "Após N vezes",
+    "recurrence.until": "Até",
+    "recurrence.occurrences": "Ocorrências",
+    "recurrence.edit": "Editar recorrência",
+    "recurrence.delete": "Excluir recorrência",
+    "budget.spentOf": "{spent} de {budget}",
+    "budget.overBy": "estourou {amount}",
+    "budget.nearLimit": "perto do limite",
+    "category.usage": { one: "{n} movimento", other: "{n} movimentos" },
+    "category.mergeTitle": "Juntar “{name}”",
+    "category.deleteTitle": "Excluir “{name}”",
+    "recurrence.editHint": "Alterações valem para as próximas ocorrências; as já lançadas até hoje ficam como estão.",
+    "recurrence.skip": "Pular esta ocorrência",
+    "recurrence.stop": "Encerrar série",
+    "budget.none": "Sem orçamento",
+    "category.newPlaceholder": "Nova categoria (ex: Pets)",
+    "common.save": "Salvar",
+    "common.cancel": "Cancelar",
+    "common.moveUp": "Subir",
+    "common.moveDown": "Descer",
+    "category.rename": "Renomear categoria",
+    "category.merge": "Juntar categoria",
+    "category.delete": "Excluir categoria",
+    "category.mergeHint": { one: "O {n} movimento e o orçamento de “{name}” passam para a categoria escolhida, e “{name}” deixa de existir.", other: "Os {n} movimentos e o orçamento de “{name}” passam para a categoria escolhida, e “{name}” deixa de existir." },
+    "category.deleteHint": { one: "“{name}” tem {n} movimento. Escolha para onde ele vai antes de excluir.", other: "“{name}” tem {n} movimentos. Escolha para onde eles vão antes de excluir." },
+    "category.mergeConfirm": "Juntar",
+    "category.moveAndDelete": "Mover e excluir",
+    "category.moveTo": "Mover para",
+    "import.column": "Coluna {n}",
+    "import.badDate": "Data inválida",
+    "import.badAmount": "Valor inválido",
+    "import.noDescription": "(sem descrição)",
+    "import.alreadyImported": "Já importado",
+    "import.similarTo": "Parecido com “{description}”",
+    "import.readError": "Não foi possível ler o arquivo. Verifique se é um CSV ou OFX exportado pelo banco.",
+    "import.review": { one: "Revisar {n} linha", other: "Revisar {n} linhas" },
+    "import.countNew": { one: "{n} nova", other: "{n} novas" },
+    "import.countImported": { one: "{n} já importada", other: "{n} já importadas" },
+    "import.countDuplicate": { one: "{n} provável duplicado", other: "{n} prováveis duplicados" },
+    "import.countInvalid": { one: "{n} inválida", other: "{n} inválidas" },
+    "common.back": "Voltar",
+    "import.confirm": "Importar {n}",
+    "import.added": { one: "adicionado", other: "adicionados" },
+    "import.skipped": { one: "pulado como duplicado", other: "pulados como duplicados" },
+    "import.rejected": { one: "rejeitado", other: "rejeitados" },
+    "import.title": "Importar extrato",
+    "import.fileHint": "Escolha o arquivo CSV ou OFX exportado pelo seu banco (Nubank, Itaú, Inter…). Nada é importado antes da sua confirmação.",
+    "import.chooseFile": "Escolher arquivo",
+    "import.delimiter": "Separador",
+    "import.semicolon": "Ponto e vírgula (;)",
+    "import.comma": "Vírgula (,)",
+    "import.tab": "Tabulação",
+    "import.hasHeader": "Primeira linha é cabeçalho",
+    "import.invertSign": "Inverter sinal (gastos vêm positivos)",
+    "import.signHint": "Valores negativos viram gastos e positivos viram receitas.",
+    "import.otherFile": "Outro arquivo",
+    "import.expenseCategory": "Categoria dos gastos",
+    "import.duplicatesHint": "Duplicados ficam desmarcados; marque se quiser importar mesmo assim.",
+    "common.close": "Fechar",
+    "export.column.date": "Data",
+    "export.column.type": "Tipo",
+    "export.column.account": "Conta",
+    "export.column.category": "Categoria",
+    "export.column.description": "Descrição",
+    "export.column.amount": "Valor",
+    "export.column.currency": "Moeda",
+    "export.sheetTransactions": "Movimentos",
+    "export.sheetSummary": "Resumo",
+    "export.byCategory": "Gastos por categoria ({currency})",
+    "export.byMonth": "Totais por mês ({currency})",
+    "export.total": "Total",
+    "export.month": "Mês",
+    "export.balance": "Saldo",
+    "search.sort.dateDesc": "Data (mais recentes)",
+    "search.sort.dateAsc": "Data (mais antigos)",
+    "search.sort.amountDesc": "Valor (maior primeiro)",
+    "search.sort.amountAsc": "Valor (menor primeiro)",
+    "search.placeholder": "Ex: uber, mercado",
+    "search.allTypes": "Todos",
+    "search.transfers": "Transferências",
+    "search.allCategories": "Todas",
+    "search.min": "Valor mín. ({currency})",
+    "search.max": "Valor máx. ({currency})",
+    "search.showMore": "Mostrar mais ({n} restantes)",
+    "search.sortBy": "Ordenar por",
+    "search.from": "De",
+    "search.clear": "Limpar filtros",
+    "search.none": "Nenhum movimento encontrado",
+    "search.noneDesc": "Tente outro termo ou afrouxe os filtros.",
+    "export.open": "Exportar planilha",
+    "export.title": "Exportar movimentos",
+    "export.period": "Período",
+    "export.selectedMonth": "Mês selecionado",
+    "export.wholeYear": "Ano inteiro",
+    "export.custom": "Personalizado",
+    "export.unselectAll": "Desmarcar todas",
+    "export.selectAll": "Marcar todas",
+    "export.count": { one: "{n} movimento no filtro.", other: "{n} movimentos no filtro." },
+    "export.allTypes": "Receitas e gastos",
+    "export.onlyIncome": "Só receitas",
+    "export.onlyExpenses": "Só gastos",
+    "export.onlyTransfers": "Só transferências",
+    "account.cardDays": "fecha dia {closing}, vence dia {due}",
+    "account.inUse": "Conta com movimentos não pode ser excluída",
+    "account.openInvoicePlaceholder": "Fatura em aberto hoje (ex: -350,00)",
+    "account.openingPlaceholder": "Saldo inicial (ex: 1.500,00)",
+    "invoice.status.open": "Aberta",
+    "invoice.status.closed": "Fechada",
+    "invoice.status.paid": "Paga",
+    "invoice.title": "Faturas — {card}",
+    "invoice.label": "Fatura {month}",
+    "invoice.details": "Compras {start}–{closing} • vence {due}",
+    "invoice.count": { one: "{n} lançamento", other: "{n} lançamentos" },
+    "invoice.paid": "Pago: {amount}",
+    "invoice.pay": "Pagar {amount}",
+    "goal.targetLabel": "Valor-alvo ({currency})",
+    "goal.targetPlaceholder": "Ex: 3500",
+    "goal.namePlaceholder": "Ex: iPhone, notebook, viagem",
+    "goal.save": "Salvar meta",
+    "goal.status.overdue": "Prazo vencido",
+    "goal.status.behind": "Fora do ritmo",
+    "goal.status.ontrack": "No ritmo",
+    "goal.status.done": "Concluída",
+    "account.opening": "Saldo inicial",
+    "account.closingDay": "Dia de fechamento",
+    "account.dueDay": "Dia de vencimento",
+    "account.edit": "Editar conta",
+    "invoice.list": "Faturas",
+    "account.delete": "Excluir conta",
+    "account.newPlaceholder": "Nova conta (ex: Poupança)",
+    "account.add": "Adicionar conta",
+    "invoice.payWith": "Pagar com",
+    "invoice.hint": "O pagamento vira uma transferência para o cartão: as compras já contaram como gasto no mês da fatura.",
+    "common.name": "Nome",
+    "goal.deadlineOptional": "Prazo (opcional)",
+    "goal.deadlineHint": "Com prazo, o FinP calcula quanto guardar por mês.",
+    "goal.envelope": "Separar o dinheiro (envelope)",
+    "goal.envelopeHint": "Aportes saem do saldo disponível e retiradas voltam para ele.",
+    "goal.progress": "Progresso",
+    "goal.savedLabel": "Guardado:",
+    "goal.remainingLabel": "Falta:",
+    "goal.deadlineLabel": "Prazo:",
+    "goal.requiredLabel": "Precisa:",
+    "goal.paceLabel": "Ritmo:",
+    "goal.forecastLabel": "Previsão:",
+    "goal.perMonth": "{amount}/mês",
+    "goal.noContributions": "sem aportes",
+    "goal.contributePlaceholder": "Ex: 50",
+    "goal.availableBalance": "Saldo disponível: {amount}.",
+    "goal.savedSeries": "Guardado",
+    "goal.noEntries": "Nenhum aporte ainda.",
+    "goal.amountPlaceholder": "Ex: 100",
+    "goal.onlyHas": "A meta só tem {amount} guardado.",
+    "goal.recordWithdraw": "Registrar retirada",
+    "goal.recordDeposit": "Registrar aporte",
+    "goal.deleteEnvelopeHint": "“{name}” tem {amount} separado. Para onde vai esse dinheiro?",
+    "goal.moveTo": "Mover para “{name}”",
+    "goal.contribute": "Aportar",
+    "goal.deleteEntry": "Excluir lançamento da meta",
+    "goal.createFirst": "Crie uma meta primeiro",
+    "goal.createFirstDesc": "Depois você vai conseguir escolher a meta e registrar aportes nela.",
+    "goal.label": "Meta",
+    "goal.operation": "Operação",
+    "goal.deposit": "Aporte",
+    "goal.withdraw": "Retirada",
+    "goal.envelopeNote": "Meta envelope: o valor sai do saldo disponível.",
+    "goal.backToAvailable": "Voltar para o saldo disponível",
+    "backup.unsupported": "Backup criptografado numa versão que este FinP não conhece (v{version}).",
+    "backup.corruptedParts": "O arquivo está corrompido: partes do backup não puderam ser lidas.",
+    "backup.corruptedIntegrity": "O arquivo está corrompido ou incompleto (a verificação de integridade falhou).",
+    "backup.wrongPassword": "Senha incorreta.",
+    "backup.corruptedContent": "O backup foi aberto, mas o conteúdo está corrompido.",
+    "backup.encryptFailed": "Não foi possível criptografar: {error}",
+    "backup.passwordTooShort": "Use pelo menos {n} caracteres.",
+    "backup.encrypting": "Criptografando…",
+    "backup.download": "Baixar backup",
+    "backup.wrongPasswordRetry": "Senha incorreta. Confira e tente de novo.",
+    "backup.opening": "Abrindo…",
+    "backup.open": "Abrir backup",
+    "report.fixed": "Corrigidos",
+    "report.dropped": "Descartados (repetidos)",
+    "report.rejected": "Recusados",
+    "conflict.goalSide": "{name} · alvo {target} · guardado {saved}",
+    "backup.encrypt": "Proteger com senha (.finp)",
+    "backup.encryptHint": "Recomendado se o arquivo for enviado por WhatsApp ou e-mail.",
+    "backup.password": "Senha",
+    "backup.repeatPassword": "Repita a senha",
+    "backup.passwordMismatch": "As senhas não conferem.",
+    "backup.passwordWarning": "Sem a senha não há como recuperar o backup. Guarde-a em lugar seguro.",
+    "backup.plainWarning": "O arquivo .json fica legível para qualquer pessoa que o receber.",
+    "backup.protected": "Backup protegido",
+    "backup.enterPassword": "Digite a senha usada ao gerar este backup.",
+    "report.clean": "Arquivo sem problemas: nenhuma linha precisou de correção.",
+    "currency.BRL": "Real",
+    "currency.USD": "Dólar americano",
+    "currency.EUR": "Euro",
+    "currency.GBP": "Libra esterlina",
+    "currency.ARS": "Peso argentino",
+    "currency.CAD": "Dólar canadense",
+    "currency.since": "desde {date}",
+    "currency.missingRates": "Sem cotação para: {codes}.",
+    "currency.worth": "vale ({base})",
+    "currency.ratePlaceholder": "Ex: 5,10",
+    "currency.base": "Moeda base",
+    "currency.baseHint": "Metas e orçamentos não são convertidos ao trocar a base.",
+    "currency.oneUnitOf": "1 unidade de",
+    "currency.from": "a partir de",
+    "currency.addRate": "Adicionar cotação",
+    "currency.deleteRate": "Excluir cotação",
+    "currency.noRates": "Nenhuma cotação cadastrada.",
+    "restore.refused": "Importação recusada",
+    "restore.title": "Importar backup",
+    "restore.how": "Como importar",
+    "restore.modeMerge": "Mesclar com os dados deste aparelho",
+    "restore.modeReplace": "Substituir tudo pelo backup",
+    "restore.replaceSummary": "Os dados deste aparelho serão apagados e trocados pelos do arquivo: {transactions} movimentos, {goals} metas, {recurrences} recorrências e {accounts} contas.",
+    "restore.newTransactions": "movimentos novos",
+    "restore.existing": "já existentes",
+    "restore.newGoals": "metas novas",
+    "restore.newAccountsAnd": "contas e",
+    "restore.newRecurrences": "recorrências novas",
+    "restore.newCategories": "Categorias novas: {names}",
+    "restore.conflicts": "conflitos (alterados nos dois lados)",
+    "restore.kindGoal": "Meta",
+    "restore.kindTransaction": "Movimento",
+    "restore.sideLocal": "Deste aparelho",
+    "restore.sideIncoming": "Do backup",
+    "restore.replace": "Substituir tudo",
+    "restore.merge": "Mesclar",
+    "restore.invalidFile": "Arquivo inválido. Escolha um backup do FinP (.json ou .finp). Dica: use o botão Backup do próprio FinP para gerar o arquivo.",
+    "backup.export": "Exportar backup",
+    "restore.button": "Importar",
+    "reset.clearAll": "Limpar tudo",
+    "reset.button": "Zerar",
+    "reset.title": "Zerar o FinP",
+    "reset.warning": "Isso apaga todas as receitas, gastos e metas deste aparelho. Use {backup} antes, se quiser guardar.",
+    "reset.confirm": "Zerar agora",
+    "validate.tagsFixed": "tags ajustadas (espaços, repetidas ou formato)",
+    "tags.empty": "Nenhum movimento com tag no período",
+    "tags.emptyDesc": "Marque movimentos com tags (ex.: Viagem Floripa 2026) para ver os totais aqui.",
+    "tags.remove": "Remover tag {tag}",
+    "tags.placeholder": "Ex: Viagem Floripa 2026, reembolsável",
+    "tags.label": "Tags (opcional)",
+    "tags.title": "Por tag",
+    "tags.hint": "Totais de cada tag no período, com a divisão por categoria. Um movimento com várias tags conta em todas.",
+    "validate.splitsDropped": "divisão entre categorias descartada (partes não fecham o total)",
+    "split.toggle": "Dividir entre categorias",
+    "split.summary": { one: "Dividido em {n} categoria", other: "Dividido em {n} categorias" },
+    "split.removeLine": "Remover parte",
+    "split.addLine": "Adicionar parte",
+    "split.remaining": "Falta distribuir {amount}",
+    "split.exceeds": "As partes passam do total em {amount}",
+    "split.balanced": "As partes fecham o total",
+    "split.needTwo": "Use pelo menos duas categorias diferentes, com valores acima de zero",
+    "split.badge": { one: "{n} categoria", other: "{n} categorias" },
+    "validate.incomeCategories": "Categorias de receita",
+    "import.incomeCategory": "Categoria das receitas",
+    "export.incomeByCategory": "Receitas por categoria ({currency})",
+    "category.newIncomePlaceholder": "Nova categoria (ex: Aluguel recebido)",
+    "category.mergeIncomeHint": { one: "O {n} movimento de “{name}” passa para a categoria escolhida, e “{name}” deixa de existir.", other: "Os {n} movimentos de “{name}” passam para a categoria escolhida, e “{name}” deixa de existir." },
+    "category.incomeTitle": "Categorias de receita",
+    "category.incomeHint": "Crie, renomeie, ordene ou junte categorias de receita (salário, freelance, vendas…).",
+    "dashboard.incomeByCategory": "Receitas por categoria (mês)",
+    "dashboard.incomeByCategoryHint": "De onde o dinheiro está vindo",
+    "empty.noIncome": "Sem receitas neste mês",
+    "empty.noIncomeDesc": "Adicione uma receita para ver o gráfico por categoria.",
+    "forecast.horizon": "Previsão de caixa",
+    "forecast.off": "Desligada",
+    "forecast.baseline": "Média de gastos",
+    "forecast.predicted": "previsto",
+    "forecast.balance": "Saldo previsto",
+    "forecast.currentMonthOnly": "A previsão parte do mês atual — volte para ele para vê-la.",
+    "forecast.hintNoHistory": "Barras tracejadas são previstas: parcelas e recorrências já agendadas. Ainda não há meses fechados para estimar os demais gastos.",
+    "forecast.negative": "Saldo negativo previsto em: {months}",
+    "forecast.months": { one: "{n} mês", other: "{n} meses" },
+    "forecast.lastMonths": { one: "Último mês", other: "Últimos {n} meses" },
+    "forecast.hint": { one: "Barras tracejadas são previstas: parcelas e recorrências agendadas + {value}/mês de gastos habituais (média do último mês fechado).", other: "Barras tracejadas são previstas: parcelas e recorrências agendadas + {value}/mês de gastos habituais (média dos últimos {n} meses fechados)." },
+    "category.ruleUsage": { one: "{n} recorrência", other: "{n} recorrências" },
+    "category.ruleHint": { one: "{n} recorrência usa “{name}”; ela passa a lançar na categoria escolhida.", other: "{n} recorrências usam “{name}”; elas passam a lançar na categoria escolhida." },
+    "load.fixed": "Alguns dados salvos estavam inconsistentes e foram corrigidos ao abrir o app.",
+    "load.unreadable": "Não foi possível ler os dados salvos, e o app começou vazio. Uma cópia do que havia ficou guardada no navegador em “{key}”.",
+    "load.showDetails": "Ver detalhes",
+    "load.hideDetails": "Ocultar detalhes",
+    "load.readFailed": "Não foi possível ler os dados salvos neste aparelho, e o app começou vazio. {error}",
+    "forecast.yearlyTrend": "Com o histórico agrupado por ano a previsão fica oculta — escolha um período menor para vê-la.",
+    "import.numberFormat": "Formato dos valores",
+    "import.dateFormat": "Formato das datas",
+    "import.detected": "Automático ({value})",
+    "import.dayFirst": "Dia/mês/ano (31/01/2026)",
+    "import.monthFirst": "Mês/dia/ano (01/31/2026)",
+    "forecast.afterHorizon": "Depois de {month} já há lançados {expense} em gastos e {income} em receitas (ex.: parcelas); ficam fora do gráfico.",
+    "validate.noCategory": "sem categoria; ficou em {name}",
+    "export.expenseCategories": "Categorias de gasto",
+  },
+  "en-US": {
+    "account.kind.checking": "Checking account",
+    "account.kind.savings": "Savings",
+    "account.kind.cash": "Cash",
+    "account.kind.credit": "Credit card",
+    "validate.newerVersion": "This data is from a newer version of FinP (v{version}). Update the app before importing.",
+    "validate.currencyFixed": "currency \"{from}\" corrected to {to}",
+    "validate.currencyUnknown": "unknown currency \"{from}\"; set to {to}",
+    "validate.notRate": "not an exchange rate",
+    "validate.badPair": "invalid currency pair",
+    "validate.badRate": "invalid rate",
+    "validate.rateText": "rate given as text converted to a number",
+    "validate.notTransaction": "not a transaction",
+    "validate.badAmount": "invalid amount",
+    "validate.amountText": "amount given as text converted to a number",
+    "validate.amountNegative": "negative amount replaced by its absolute value",
+    "validate.badDate": "invalid date",
+    "validate.dateFixed": "date \"{from}\" converted to {to}",
+    "validate.newId": "missing id; a new one was generated",
+    "validate.descriptionText": "description converted to text",
+    "validate.txAccountMissing": "account does not exist; moved to the main account",
+    "validate.transferTarget": "transfer without a valid destination account",
+    "validate.notGoal": "not a goal",
+    "validate.goalNoName": "goal without a name",
+    "validate.badTarget": "invalid target amount",
+    "validate.targetText": "target amount given as text converted to a number",
+    "validate.badEntries": { one: "{n} invalid entry removed from the ledger", other: "{n} invalid entries removed from the ledger" },
+    "validate.badDeadline": "invalid deadline removed",
+    "validate.notRecurrence": "not a recurring rule",
+    "validate.badFrequency": "unknown frequency ({value})",
+    "validate.badStart": "invalid start date",
+    "validate.startFixed": "start \"{from}\" converted to {to}",
+    "validate.ruleAccountMissing": "account does not exist; moved to the main account",
+    "validate.accountNoId": "account without an id",
+    "validate.accountNoName": "account without a name",
+    "validate.accountKind": "unknown account type; set to checking account",
+    "validate.openingFixed": "opening balance corrected",
+    "validate.duplicateId": "duplicate id; the first occurrence was kept",
+    "validate.categoriesFixed": "empty or duplicate names removed",
+    "validate.budgetRow": "Budget “{category}”",
+    "validate.notFinp": "The file does not contain FinP data.",
+    "validate.noTransactions": "The file has no list of transactions.",
+    "validate.categories": "Categories",
+    "validate.badType": "unknown type ({value})",
+    "row.account": "Account",
+    "row.transaction": "Transaction",
+    "row.goal": "Goal",
+    "row.recurrence": "Recurring rule",
+    "row.rate": "Rate",
+    "storage.aborted": "Save cancelled",
+    "storage.quota": "The browser ran out of storage space.",
+    "storage.unknown": "Unknown error while saving.",
+    "frequency.monthly": "Monthly",
+    "frequency.weekly": "Weekly",
+    "frequency.yearly": "Yearly",
+    "frequency.monthlyDay": "Monthly (day {day})",
+    "frequency.until": "until {date}",
+    "category.tooShort": "Use at least 2 letters.",
+    "category.exists": "A category with this name already exists.",
+    "invoice.paymentDescription": "{card} statement payment {month}",
+    "goal.movedFrom": "Moved from “{name}”",
+    "tab.dashboard": "Overview",
+    "tab.transactions": "Transactions",
+    "tab.search": "Search",
+    "tab.goals": "Goals",
+    "tab.budgets": "Budgets",
+    "trend.month": "This month only",
+    "trend.6m": "Last 6 months",
+    "trend.1y": "Last year",
+    "trend.all": "All time",
+    "app.loading": "Loading your data…",
+    "app.badge": "personal",
+    "app.tagline": "Simple tracking of income, expenses and goals — everything saved on your device (no login).",
+    "header.year": "Year",
+    "header.month": "Month",
+    "header.language": "Language",
+    "storage.failed": "Your latest changes could not be saved on this device. {error} Make a Backup now so you don't lose anything.",
+    "storage.retry": "Try again",
+    "stat.income": "Income",
+    "stat.expense": "Expenses",
+    "stat.monthBalance": "Month balance",
+    "rates.missing": "No rate for {from} → {to}: those transactions are left out of the totals. Add the rate under Currencies.",
+    "trend.title": "Income vs. Expenses",
+    "trend.pickRange": "Pick the period",
+    "empty.noData": "No data yet",
+    "empty.noDataDesc": "Add income/expenses to see the chart.",
+    "dashboard.byCategory": "Expenses by category (month)",
+    "dashboard.byCategoryHint": "Where the money is going",
+    "empty.noExpenses": "No expenses this month",
+    "empty.noExpensesDesc": "Add an expense to see the chart by category.",
+    "dashboard.budget": "Month budget",
+    "dashboard.budgetHint": "Spent vs. budget by category",
+    "empty.noBudgets": "No budgets set",
+    "empty.noBudgetsDesc": "Set limits per category in the Budgets tab.",
+    "dashboard.goals": "Goals (progress)",
+    "dashboard.goalsHint": "Most urgent first. You record contributions directly on the goal.",
+    "empty.noGoals": "You haven't created any goals yet",
+    "empty.noGoalsDesc": "Create a goal to track how much is left.",
+    "tx.new": "New transaction",
+    "tx.newHint": "Record day-to-day income and expenses",
+    "tx.month": "Transactions this month",
+    "tx.monthHint": "Most recent first",
+    "empty.noTx": "Nothing recorded this month",
+    "empty.noTxDesc": "Add your first income or expense.",
+    "recurrence.title": "Recurring",
+    "recurrence.hint": "Salary, rent, subscriptions — FinP records them on their due date",
+    "empty.noRecurrences": "No recurring rules",
+    "empty.noRecurrencesDesc": "Add fixed bills so you don't have to enter them every month.",
+    "installment.of": "Installment {index}/{count} of {total}",
+    "installment.cancelFrom": "Cancel from this installment on ({n})",
+    "goal.target": "Target: {amount}",
+    "goal.envelopeTag": "envelope",
+    "search.title": "Search transactions",
+    "search.hint": "Across all months. The page link keeps the current search.",
+    "tx.edit": "Edit transaction",
+    "installment.applyFollowing": "Also apply to the following installments",
+    "goal.create": "Create goal",
+    "goal.createHint": "E.g. “Laptop”, “Trip”, “Emergency fund”",
+    "goal.contributeTitle": "Add to or withdraw from a goal",
+    "goal.contributeHint": "Pick the goal, the date and the amount.",
+    "goal.yours": "Your goals",
+    "goal.yoursHint": "How much is saved and how much is left",
+    "empty.noGoalsYet": "No goals for now",
+    "empty.noGoalsYetDesc": "Create a goal so FinP can work out how much is left.",
+    "goal.edit": "Edit goal",
+    "goal.delete": "Delete goal",
+    "app.footer": "FinP • made for personal use • data stays on your device",
+    "category.title": "Categories",
+    "category.hint": "Create, rename, reorder or merge expense categories.",
+    "budget.title": "Monthly budgets",
+    "budget.hint": "The most you want to spend in each category per month. Leave empty to not track it.",
+    "backup.title": "Backup",
+    "backup.hint": "Export/import so you don't lose your data",
+    "balance.total": "Total saved",
+    "balance.totalHint": "(opening balances + accumulated income − accumulated expenses)",
+    "balance.available": "Available",
+    "balance.reserved": "Set aside in goals",
+    "account.title": "Accounts",
+    "account.hint": "Balance of each account/wallet",
+    "currency.title": "Currencies",
+    "currency.hint": "Totals converted to the base currency using the rates below",
+    "tx.budgetOver": "This expense goes over the {category} budget: {after} of {budget}.",
+    "tx.budgetWarn": "{category} reaches {percent}% of the month's budget.",
+    "tx.fromAccount": "From account",
+    "tx.account": "Account",
+    "tx.amountPlaceholder": "E.g. 39.90",
+    "tx.preview": "Shows: {amount}",
+    "tx.noRateForDate": "no {from}→{to} rate for this date",
+    "installment.preview": "{n}x {amount}",
+    "installment.previewLast": "(last one {amount})",
+    "installment.previewTotal": "total {amount}, one per month from the date",
+    "installment.needCount": "Enter the amount and at least 2 installments.",
+    "tx.descExpense": "E.g. snack, Uber, movies",
+    "tx.descTransfer": "E.g. move to savings, cash withdrawal",
+    "tx.descIncome": "E.g. allowance, side gig, sale",
+    "common.saveChanges": "Save changes",
+    "common.add": "Add",
+    "tx.tip": "Tip: use a period for cents (e.g. 12.50). FinP converts it automatically.",
+    "invoice.ofMonth": "statement {month}",
+    "rates.none": "no rate",
+    "type.income": "Income",
+    "type.expense": "Expense",
+    "type.transfer": "Transfer",
+    "common.type": "Type",
+    "common.date": "Date",
+    "common.amount": "Amount",
+    "common.currency": "Currency",
+    "installment.toggle": "In installments",
+    "tx.toAccount": "To account",
+    "tx.transferHint": "Doesn't count as income or expense.",
+    "common.category": "Category",
+    "installment.count": "Installments",
+    "installment.modeLabel": "The amount entered is",
+    "installment.modeTotal": "The purchase total",
+    "installment.modeEach": "Each installment's amount",
+    "common.description": "Description",
+    "recurrence.badge": "Recurring",
+    "recurrence.series": "Recurring series",
+    "tx.delete": "Delete transaction",
+    "recurrence.amountPlaceholder": "E.g. 1200",
+    "recurrence.descPlaceholder": "E.g. rent, Netflix, salary",
+    "recurrence.next": "Next: {date}",
+    "recurrence.ended": "Series ended",
+    "recurrence.save": "Save series",
+    "recurrence.create": "Create recurring rule",
+    "recurrence.repeat": "Repeat",
+    "recurrence.start": "Start",
+    "recurrence.day": "Day of month",
+    "recurrence.ends": "Ends",
+    "recurrence.never": "Never",
+    "recurrence.onDate": "On a date",
+    "recurrence.afterCount": "After N times",
+    "recurrence.until": "Until",
+    "recurrence.occurrences": "Occurrences",
+    "recurrence.edit": "Edit recurring rule",
+    "recurrence.delete": "Delete recurring rule",
+    "budget.spentOf": "{spent} of {budget}",
+    "budget.overBy": "over by {amount}",
+    "budget.nearLimit": "close to the limit",
+    "category.usage": { one: "{n} transaction", other: "{n} transactions" },
+    "category.mergeTitle": "Merge “{name}”",
+    "category.deleteTitle": "Delete “{name}”",
+    "recurrence.editHint": "Changes apply to upcoming occurrences; those already recorded up to today stay as they are.",
+    "recurrence.skip": "Skip this occurrence",
+    "recurrence.stop": "End series",
+    "budget.none": "No budget",
+    "category.newPlaceholder": "New category (e.g. Pets)",
+    "common.save": "Save",
+    "common.cancel": "Cancel",
+    "common.moveUp": "Move up",
+    "common.moveDown": "Move down",
+    "category.rename": "Rename category",
+    "category.merge": "Merge category",
+    "category.delete": "Delete category",
+    "category.mergeHint": { one: "The {n} transaction and the budget of “{name}” move to the chosen category, and “{name}” is removed.", other: "The {n} transactions and the budget of “{name}” move to the chosen category, and “{name}” is removed." },
+    "category.deleteHint": { one: "“{name}” has {n} transaction. Choose where it goes before deleting.", other: "“{name}” has {n} transactions. Choose where they go before deleting." },
+    "category.mergeConfirm": "Merge",
+    "category.moveAndDelete": "Move and delete",
+    "category.moveTo": "Move to",
+    "import.column": "Column {n}",
+    "import.badDate": "Invalid date",
+    "import.badAmount": "Invalid amount",
+    "import.noDescription": "(no description)",
+    "import.alreadyImported": "Already imported",
+    "import.similarTo": "Similar to “{description}”",
+    "import.readError": "Couldn't read the file. Check that it's a CSV or OFX exported by your bank.",
+    "import.review": { one: "Review {n} row", other: "Review {n} rows" },
+    "import.countNew": { one: "{n} new", other: "{n} new" },
+    "import.countImported": { one: "{n} already imported", other: "{n} already imported" },
+    "import.countDuplicate": { one: "{n} likely duplicate", other: "{n} likely duplicates" },
+    "import.countInvalid": { one: "{n} invalid", other: "{n} invalid" },
+    "common.back": "Back",
+    "import.confirm": "Import {n}",
+    "import.added": { one: "added", other: "added" },
+    "import.skipped": { one: "skipped as duplicate", other: "skipped as duplicates" },
+    "import.rejected": { one: "rejected", other: "rejected" },
+    "import.title": "Import statement",
+    "import.fileHint": "Choose the CSV or OFX file exported by your bank. Nothing is imported until you confirm.",
+    "import.chooseFile": "Choose file",
+    "import.delimiter": "Delimiter",
+    "import.semicolon": "Semicolon (;)",
+    "import.comma": "Comma (,)",
+    "import.tab": "Tab",
+    "import.hasHeader": "First row is a header",
+    "import.invertSign": "Invert sign (expenses come as positive)",
+    "import.signHint": "Negative amounts become expenses and positive ones become income.",
+    "import.otherFile": "Another file",
+    "import.expenseCategory": "Category for expenses",
+    "import.duplicatesHint": "Duplicates are left unchecked; check them to import anyway.",
+    "common.close": "Close",
+    "export.column.date": "Date",
+    "export.column.type": "Type",
+    "export.column.account": "Account",
+    "export.column.category": "Category",
+    "export.column.description": "Description",
+    "export.column.amount": "Amount",
+    "export.column.currency": "Currency",
+    "export.sheetTransactions": "Transactions",
+    "export.sheetSummary": "Summary",
+    "export.byCategory": "Expenses by category ({currency})",
+    "export.byMonth": "Totals by month ({currency})",
+    "export.total": "Total",
+    "export.month": "Month",
+    "export.balance": "Balance",
+    "search.sort.dateDesc": "Date (newest)",
+    "search.sort.dateAsc": "Date (oldest)",
+    "search.sort.amountDesc": "Amount (largest first)",
+    "search.sort.amountAsc": "Amount (smallest first)",
+    "search.placeholder": "E.g. uber, groceries",
+    "search.allTypes": "All",
+    "search.transfers": "Transfers",
+    "search.allCategories": "All",
+    "search.min": "Min. amount ({currency})",
+    "search.max": "Max. amount ({currency})",
+    "search.showMore": "Show more ({n} left)",
+    "search.sortBy": "Sort by",
+    "search.from": "From",
+    "search.clear": "Clear filters",
+    "search.none": "No transactions found",
+    "search.noneDesc": "Try another term or loosen the filters.",
+    "export.open": "Export spreadsheet",
+    "export.title": "Export transactions",
+    "export.period": "Period",
+    "export.selectedMonth": "Selected month",
+    "export.wholeYear": "Whole year",
+    "export.custom": "Custom",
+    "export.unselectAll": "Unselect all",
+    "export.selectAll": "Select all",
+    "export.count": { one: "{n} transaction in the filter.", other: "{n} transactions in the filter." },
+    "export.allTypes": "Income and expenses",
+    "export.onlyIncome": "Income only",
+    "export.onlyExpenses": "Expenses only",
+    "export.onlyTransfers": "Transfers only",
+    "account.cardDays": "closes on day {closing}, due on day {due}",
+    "account.inUse": "An account with transactions can't be deleted",
+    "account.openInvoicePlaceholder": "Open statement today (e.g. -350.00)",
+    "account.openingPlaceholder": "Opening balance (e.g. 1,500.00)",
+    "invoice.status.open": "Open",
+    "invoice.status.closed": "Closed",
+    "invoice.status.paid": "Paid",
+    "invoice.title": "Statements — {card}",
+    "invoice.label": "Statement {month}",
+    "invoice.details": "Purchases {start}–{closing} • due {due}",
+    "invoice.count": { one: "{n} charge", other: "{n} charges" },
+    "invoice.paid": "Paid: {amount}",
+    "invoice.pay": "Pay {amount}",
+    "goal.targetLabel": "Target amount ({currency})",
+    "goal.targetPlaceholder": "E.g. 3500",
+    "goal.namePlaceholder": "E.g. iPhone, laptop, trip",
+    "goal.save": "Save goal",
+    "goal.status.overdue": "Past deadline",
+    "goal.status.behind": "Behind pace",
+    "goal.status.ontrack": "On track",
+    "goal.status.done": "Done",
+    "account.opening": "Opening balance",
+    "account.closingDay": "Closing day",
+    "account.dueDay": "Due day",
+    "account.edit": "Edit account",
+    "invoice.list": "Statements",
+    "account.delete": "Delete account",
+    "account.newPlaceholder": "New account (e.g. Savings)",
+    "account.add": "Add account",
+    "invoice.payWith": "Pay with",
+    "invoice.hint": "The payment becomes a transfer to the card: the purchases already counted as expenses in the statement month.",
+    "common.name": "Name",
+    "goal.deadlineOptional": "Deadline (optional)",
+    "goal.deadlineHint": "With a deadline, FinP works out how much to save per month.",
+    "goal.envelope": "Set the money aside (envelope)",
+    "goal.envelopeHint": "Contributions come out of the available balance and withdrawals go back to it.",
+    "goal.progress": "Progress",
+    "goal.savedLabel": "Saved:",
+    "goal.remainingLabel": "Left:",
+    "goal.deadlineLabel": "Deadline:",
+    "goal.requiredLabel": "Needs:",
+    "goal.paceLabel": "Pace:",
+    "goal.forecastLabel": "Forecast:",
+    "goal.perMonth": "{amount}/month",
+    "goal.noContributions": "no contributions",
+    "goal.contributePlaceholder": "E.g. 50",
+    "goal.availableBalance": "Available balance: {amount}.",
+    "goal.savedSeries": "Saved",
+    "goal.noEntries": "No contributions yet.",
+    "goal.amountPlaceholder": "E.g. 100",
+    "goal.onlyHas": "The goal only has {amount} saved.",
+    "goal.recordWithdraw": "Record withdrawal",
+    "goal.recordDeposit": "Record contribution",
+    "goal.deleteEnvelopeHint": "“{name}” has {amount} set aside. Where should that money go?",
+    "goal.moveTo": "Move to “{name}”",
+    "goal.contribute": "Contribute",
+    "goal.deleteEntry": "Delete goal entry",
+    "goal.createFirst": "Create a goal first",
+    "goal.createFirstDesc": "Then you'll be able to pick the goal and record contributions to it.",
+    "goal.label": "Goal",
+    "goal.operation": "Operation",
+    "goal.deposit": "Contribution",
+    "goal.withdraw": "Withdrawal",
+    "goal.envelopeNote": "Envelope goal: the amount comes out of the available balance.",
+    "goal.backToAvailable": "Return to the available balance",
+    "backup.unsupported": "Encrypted backup in a version this FinP doesn't know (v{version}).",
+    "backup.corruptedParts": "The file is corrupted: parts of the backup couldn't be read.",
+    "backup.corruptedIntegrity": "The file is corrupted or incomplete (the integrity check failed).",
+    "backup.wrongPassword": "Wrong password.",
+    "backup.corruptedContent": "The backup was opened, but its content is corrupted.",
+    "backup.encryptFailed": "Couldn't encrypt: {error}",
+    "backup.passwordTooShort": "Use at least {n} characters.",
+    "backup.encrypting": "Encrypting…",
+    "backup.download": "Download backup",
+    "backup.wrongPasswordRetry": "Wrong password. Check it and try again.",
+    "backup.opening": "Opening…",
+    "backup.open": "Open backup",
+    "report.fixed": "Fixed",
+    "report.dropped": "Discarded (duplicates)",
+    "report.rejected": "Rejected",
+    "conflict.goalSide": "{name} · target {target} · saved {saved}",
+    "backup.encrypt": "Protect with a password (.finp)",
+    "backup.encryptHint": "Recommended if the file is sent over WhatsApp or e-mail.",
+    "backup.password": "Password",
+    "backup.repeatPassword": "Repeat the password",
+    "backup.passwordMismatch": "The passwords don't match.",
+    "backup.passwordWarning": "Without the password there is no way to recover the backup. Keep it somewhere safe.",
+    "backup.plainWarning": "The .json file is readable by anyone who receives it.",
+    "backup.protected": "Protected backup",
+    "backup.enterPassword": "Enter the password used when this backup was created.",
+    "report.clean": "File has no problems: no row needed fixing.",
+    "currency.BRL": "Brazilian real",
+    "currency.USD": "US dollar",
+    "currency.EUR": "Euro",
+    "currency.GBP": "Pound sterling",
+    "currency.ARS": "Argentine peso",
+    "currency.CAD": "Canadian dollar",
+    "currency.since": "since {date}",
+    "currency.missingRates": "No exchange rate for: {codes}.",
+    "currency.worth": "is worth ({base})",
+    "currency.ratePlaceholder": "E.g. 5.10",
+    "currency.base": "Base currency",
+    "currency.baseHint": "Goals and budgets are not converted when the base changes.",
+    "currency.oneUnitOf": "1 unit of",
+    "currency.from": "starting on",
+    "currency.addRate": "Add exchange rate",
+    "currency.deleteRate": "Delete exchange rate",
+    "currency.noRates": "No exchange rates yet.",
+    "restore.refused": "Import refused",
+    "restore.title": "Import backup",
+    "restore.how": "How to import",
+    "restore.modeMerge": "Merge with this device's data",
+    "restore.modeReplace": "Replace everything with the backup",
+    "restore.replaceSummary": "This device's data will be erased and replaced with the file's: {transactions} transactions, {goals} goals, {recurrences} recurrences and {accounts} accounts.",
+    "restore.newTransactions": "new transactions",
+    "restore.existing": "already present",
+    "restore.newGoals": "new goals",
+    "restore.newAccountsAnd": "accounts and",
+    "restore.newRecurrences": "new recurrences",
+    "restore.newCategories": "New categories: {names}",
+    "restore.conflicts": "conflicts (changed on both sides)",
+    "restore.kindGoal": "Goal",
+    "restore.kindTransaction": "Transaction",
+    "restore.sideLocal": "From this device",
+    "restore.sideIncoming": "From the backup",
+    "restore.replace": "Replace everything",
+    "restore.merge": "Merge",
+    "restore.invalidFile": "Invalid file. Choose a FinP backup (.json or .finp). Tip: use FinP's own Backup button to create the file.",
+    "backup.export": "Export backup",
+    "restore.button": "Import",
+    "reset.clearAll": "Clear everything",
+    "reset.button": "Reset",
+    "reset.title": "Reset FinP",
+    "reset.warning": "This erases all income, expenses and goals on this device. Use {backup} first if you want to keep them.",
+    "reset.confirm": "Reset now",
+    "validate.tagsFixed": "tags adjusted (spaces, duplicates or format)",
+    "tags.empty": "No tagged transactions in this period",
+    "tags.emptyDesc": "Tag transactions (e.g. Beach trip 2026) to see their totals here.",
+    "tags.remove": "Remove tag {tag}",
+    "tags.placeholder": "E.g. Beach trip 2026, reimbursable",
+    "tags.label": "Tags (optional)",
+    "tags.title": "By tag",
+    "tags.hint": "Totals for each tag in the period, split by category. A transaction with several tags counts in all of them.",
+    "validate.splitsDropped": "category split discarded (parts don't add up to the total)",
+    "split.toggle": "Split across categories",
+    "split.summary": { one: "Split into {n} category", other: "Split into {n} categories" },
+    "split.removeLine": "Remove part",
+    "split.addLine": "Add part",
+    "split.remaining": "{amount} left to assign",
+    "split.exceeds": "The parts exceed the total by {amount}",
+    "split.balanced": "The parts add up to the total",
+    "split.needTwo": "Use at least two different categories, with amounts above zero",
+    "split.badge": { one: "{n} category", other: "{n} categories" },
+    "validate.incomeCategories": "Income categories",
+    "import.incomeCategory": "Category for income",
+    "export.incomeByCategory": "Income by category ({currency})",
+    "category.newIncomePlaceholder": "New category (e.g. Rent received)",
+    "category.mergeIncomeHint": { one: "The {n} transaction in “{name}” moves to the chosen category, and “{name}” is removed.", other: "The {n} transactions in “{name}” move to the chosen category, and “{name}” is removed." },
+    "category.incomeTitle": "Income categories",
+    "category.incomeHint": "Create, rename, reorder or merge income categories (salary, freelance, sales…).",
+    "dashboard.incomeByCategory": "Income by category (month)",
+    "dashboard.incomeByCategoryHint": "Where the money is coming from",
+    "empty.noIncome": "No income this month",
+    "empty.noIncomeDesc": "Add income to see the chart by category.",
+    "forecast.horizon": "Cash-flow forecast",
+    "forecast.off": "Off",
+    "forecast.baseline": "Spending average",
+    "forecast.predicted": "forecast",
+    "forecast.balance": "Forecast balance",
+    "forecast.currentMonthOnly": "The forecast starts from the current month — go back to it to see it.",
+    "forecast.hintNoHistory": "Dashed bars are forecast: installments and recurrences already scheduled. There are no closed months yet to estimate other spending.",
+    "forecast.negative": "Negative balance forecast in: {months}",
+    "forecast.months": { one: "{n} month", other: "{n} months" },
+    "forecast.lastMonths": { one: "Last month", other: "Last {n} months" },
+    "forecast.hint": { one: "Dashed bars are forecast: scheduled installments and recurrences + {value}/month of usual spending (average of the last closed month).", other: "Dashed bars are forecast: scheduled installments and recurrences + {value}/month of usual spending (average of the last {n} closed months)." },
+    "category.ruleUsage": { one: "{n} recurrence", other: "{n} recurrences" },
+    "category.ruleHint": { one: "{n} recurrence uses “{name}”; it will post to the chosen category instead.", other: "{n} recurrences use “{name}”; they will post to the chosen category instead." },
+    "load.fixed": "Some saved data was inconsistent and was fixed when the app opened.",
+    "load.unreadable": "The saved data could not be read, so the app started empty. A copy of what was there was kept in the browser under “{key}”.",
+    "load.showDetails": "Show details",
+    "load.hideDetails": "Hide details",
+    "load.readFailed": "The data saved on this device could not be read, so the app started empty. {error}",
+    "forecast.yearlyTrend": "With the history grouped by year the forecast is hidden — pick a shorter range to see it.",
+    "import.numberFormat": "Amount format",
+    "import.dateFormat": "Date format",
+    "import.detected": "Automatic ({value})",
+    "import.dayFirst": "Day/month/year (31/01/2026)",
+    "import.monthFirst": "Month/day/year (01/31/2026)",
+    "forecast.afterHorizon": "After {month} there are already {expense} in expenses and {income} in income scheduled (e.g. installments); they are left out of the chart.",
+    "validate.noCategory": "no category; set to {name}",
+    "export.expenseCategories": "Expense categories",
+  },
+  es: {
+    "account.kind.checking": "Cuenta corriente",
+    "account.kind.savings": "Ahorros",
+    "account.kind.cash": "Efectivo",
+    "account.kind.credit": "Tarjeta de crédito",
+    "validate.newerVersion": "Estos datos son de una versión más nueva de FinP (v{version}). Actualiza la app antes de importar.",
+    "validate.currencyFixed": "moneda \"{from}\" corregida a {to}",
+    "validate.currencyUnknown": "moneda \"{from}\" desconocida; quedó {to}",
+    "validate.notRate": "no es una cotización",
+    "validate.badPair": "par de monedas inválido",
+    "validate.badRate": "cotización inválida",
+    "validate.rateText": "cotización en texto convertida a número",
+    "validate.notTransaction": "no es un movimiento",
+    "validate.badAmount": "importe inválido",
+    "validate.amountText": "importe en texto convertido a número",
+    "validate.amountNegative": "importe negativo reemplazado por su valor absoluto",
+    "validate.badDate": "fecha inválida",
+    "validate.dateFixed": "fecha \"{from}\" convertida a {to}",
+    "validate.newId": "sin id; se generó uno nuevo",
+    "validate.descriptionText": "descripción convertida a texto",
+    "validate.txAccountMissing": "la cuenta no existe; se movió a la cuenta principal",
+    "validate.transferTarget": "transferencia sin cuenta de destino válida",
+    "validate.notGoal": "no es una meta",
+    "validate.goalNoName": "meta sin nombre",
+    "validate.badTarget": "monto objetivo inválido",
+    "validate.targetText": "monto objetivo en texto convertido a número",
+    "validate.badEntries": { one: "{n} movimiento inválido eliminado del historial", other: "{n} movimientos inválidos eliminados del historial" },
+    "validate.badDeadline": "plazo inválido eliminado",
+    "validate.notRecurrence": "no es una recurrencia",
+    "validate.badFrequency": "frecuencia desconocida ({value})",
+    "validate.badStart": "fecha de inicio inválida",
+    "validate.startFixed": "inicio \"{from}\" convertido a {to}",
+    "validate.ruleAccountMissing": "la cuenta no existe; se movió a la cuenta principal",
+    "validate.accountNoId": "cuenta sin id",
+    "validate.accountNoName": "cuenta sin nombre",
+    "validate.accountKind": "tipo de cuenta desconocido; quedó como cuenta corriente",
+    "validate.openingFixed": "saldo inicial corregido",
+    "validate.duplicateId": "id repetido; se mantuvo la primera aparición",
+    "validate.categoriesFixed": "nombres vacíos o repetidos eliminados",
+    "validate.budgetRow": "Presupuesto “{category}”",
+    "validate.notFinp": "El archivo no contiene datos de FinP.",
+    "validate.noTransactions": "El archivo no tiene la lista de movimientos.",
+    "validate.categories": "Categorías",
+    "validate.badType": "tipo desconocido ({value})",
+    "row.account": "Cuenta",
+    "row.transaction": "Movimiento",
+    "row.goal": "Meta",
+    "row.recurrence": "Recurrencia",
+    "row.rate": "Cotización",
+    "storage.aborted": "Guardado cancelado",
+    "storage.quota": "El navegador se quedó sin espacio de almacenamiento.",
+    "storage.unknown": "Error desconocido al guardar.",
+    "frequency.monthly": "Mensual",
+    "frequency.weekly": "Semanal",
+    "frequency.yearly": "Anual",
+    "frequency.monthlyDay": "Mensual (día {day})",
+    "frequency.until": "hasta {date}",
+    "category.tooShort": "Usa al menos 2 letras.",
+    "category.exists": "Ya existe una categoría con ese nombre.",
+    "invoice.paymentDescription": "Pago resumen {card} {month}",
+    "goal.movedFrom": "Transferido de “{name}”",
+    "tab.dashboard": "Resumen",
+    "tab.transactions": "Movimientos",
+    "tab.search": "Búsqueda",
+    "tab.goals": "Metas",
+    "tab.budgets": "Presupuestos",
+    "trend.month": "Solo este mes",
+    "trend.6m": "Últimos 6 meses",
+    "trend.1y": "Último año",
+    "trend.all": "Todo el tiempo",
+    "app.loading": "Cargando tus datos…",
+    "app.badge": "personal",
+    "app.tagline": "Control simple de ingresos, gastos y metas — todo guardado en tu dispositivo (sin login).",
+    "header.year": "Año",
+    "header.month": "Mes",
+    "header.language": "Idioma",
+    "storage.failed": "No se pudieron guardar tus últimos cambios en este dispositivo. {error} Haz una Copia ahora para no perder nada.",
+    "storage.retry": "Reintentar",
+    "stat.income": "Ingresos",
+    "stat.expense": "Gastos",
+    "stat.monthBalance": "Saldo del mes",
+    "rates.missing": "Sin cotización para {from} → {to}: esos movimientos quedan fuera de los totales. Registra la cotización en Monedas.",
+    "trend.title": "Ingresos vs. Gastos",
+    "trend.pickRange": "Elige el período",
+    "empty.noData": "Sin datos aún",
+    "empty.noDataDesc": "Agrega ingresos/gastos para ver el gráfico.",
+    "dashboard.byCategory": "Gastos por categoría (mes)",
+    "dashboard.byCategoryHint": "A dónde va el dinero",
+    "empty.noExpenses": "Sin gastos este mes",
+    "empty.noExpensesDesc": "Agrega un gasto para ver el gráfico por categoría.",
+    "dashboard.budget": "Presupuesto del mes",
+    "dashboard.budgetHint": "Gastado vs. presupuesto por categoría",
+    "empty.noBudgets": "Ningún presupuesto definido",
+    "empty.noBudgetsDesc": "Define límites por categoría en la pestaña Presupuestos.",
+    "dashboard.goals": "Metas (progreso)",
+    "dashboard.goalsHint": "Las más urgentes primero. Registras los aportes directamente en la meta.",
+    "empty.noGoals": "Aún no creaste metas",
+    "empty.noGoalsDesc": "Crea una meta para seguir cuánto falta.",
+    "tx.new": "Nuevo movimiento",
+    "tx.newHint": "Registra ingresos y gastos del día a día",
+    "tx.month": "Movimientos del mes",
+    "tx.monthHint": "Más recientes primero",
+    "empty.noTx": "Nada registrado este mes",
+    "empty.noTxDesc": "Agrega tu primer ingreso o gasto.",
+    "recurrence.title": "Recurrencias",
+    "recurrence.hint": "Sueldo, alquiler, suscripciones — FinP los registra solo al vencer",
+    "empty.noRecurrences": "Ninguna recurrencia",
+    "empty.noRecurrencesDesc": "Registra gastos fijos para no cargarlos todos los meses.",
+    "installment.of": "Cuota {index}/{count} de {total}",
+    "installment.cancelFrom": "Cancelar desde esta cuota ({n})",
+    "goal.target": "Objetivo: {amount}",
+    "goal.envelopeTag": "sobre",
+    "search.title": "Buscar movimientos",
+    "search.hint": "En todos los meses. El enlace de la página guarda la búsqueda actual.",
+    "tx.edit": "Editar movimiento",
+    "installment.applyFollowing": "Aplicar también a las cuotas siguientes",
+    "goal.create": "Crear meta",
+    "goal.createHint": "Ej.: “Notebook”, “Viaje”, “Reserva”",
+    "goal.contributeTitle": "Aportar o retirar de una meta",
+    "goal.contributeHint": "Elige la meta, la fecha y el importe.",
+    "goal.yours": "Tus metas",
+    "goal.yoursHint": "Cuánto ya se guardó y cuánto falta",
+    "empty.noGoalsYet": "Sin metas por ahora",
+    "empty.noGoalsYetDesc": "Crea una meta para que FinP calcule cuánto falta.",
+    "goal.edit": "Editar meta",
+    "goal.delete": "Eliminar meta",
+    "app.footer": "FinP • hecho para uso personal • los datos quedan en tu dispositivo",
+    "category.title": "Categorías",
+    "category.hint": "Crea, renombra, ordena o une categorías de gasto.",
+    "budget.title": "Presupuestos mensuales",
+    "budget.hint": "Cuánto quieres gastar como máximo en cada categoría por mes. Déjalo vacío para no seguirla.",
+    "backup.title": "Copia de seguridad",
+    "backup.hint": "Exporta/importa para no perder tus datos",
+    "balance.total": "Total ahorrado",
+    "balance.totalHint": "(saldos iniciales + ingresos acumulados − gastos acumulados)",
+    "balance.available": "Disponible",
+    "balance.reserved": "Reservado en metas",
+    "account.title": "Cuentas",
+    "account.hint": "Saldo de cada cuenta/billetera",
+    "currency.title": "Monedas",
+    "currency.hint": "Totales convertidos a la moneda base con las cotizaciones de abajo",
+    "tx.budgetOver": "Este gasto supera el presupuesto de {category}: {after} de {budget}.",
+    "tx.budgetWarn": "{category} llega al {percent}% del presupuesto del mes.",
+    "tx.fromAccount": "Desde la cuenta",
+    "tx.account": "Cuenta",
+    "tx.amountPlaceholder": "Ej.: 39,90",
+    "tx.preview": "Muestra: {amount}",
+    "tx.noRateForDate": "sin cotización {from}→{to} para la fecha",
+    "installment.preview": "{n}x de {amount}",
+    "installment.previewLast": "(última {amount})",
+    "installment.previewTotal": "total {amount}, una por mes desde la fecha",
+    "installment.needCount": "Indica el importe y al menos 2 cuotas.",
+    "tx.descExpense": "Ej.: merienda, Uber, cine",
+    "tx.descTransfer": "Ej.: pasar a ahorros, retiro",
+    "tx.descIncome": "Ej.: mesada, changa, venta",
+    "common.saveChanges": "Guardar cambios",
+    "common.add": "Agregar",
+    "tx.tip": "Consejo: usa coma para los centavos (ej.: 12,50). FinP lo convierte automáticamente.",
+    "invoice.ofMonth": "resumen {month}",
+    "rates.none": "sin cotización",
+    "type.income": "Ingreso",
+    "type.expense": "Gasto",
+    "type.transfer": "Transferencia",
+    "common.type": "Tipo",
+    "common.date": "Fecha",
+    "common.amount": "Importe",
+    "common.currency": "Moneda",
+    "installment.toggle": "En cuotas",
+    "tx.toAccount": "A la cuenta",
+    "tx.transferHint": "No cuenta como ingreso ni gasto.",
+    "common.category": "Categoría",
+    "installment.count": "Cuotas",
+    "installment.modeLabel": "El importe ingresado es",
+    "installment.modeTotal": "El total de la compra",
+    "installment.modeEach": "El importe de cada cuota",
+    "common.description": "Descripción",
+    "recurrence.badge": "Recurrente",
+    "recurrence.series": "Serie recurrente",
+    "tx.delete": "Eliminar movimiento",
+    "recurrence.amountPlaceholder": "Ej.: 1200",
+    "recurrence.descPlaceholder": "Ej.: alquiler, Netflix, sueldo",
+    "recurrence.next": "Próxima: {date}",
+    "recurrence.ended": "Serie finalizada",
+    "recurrence.save": "Guardar serie",
+    "recurrence.create": "Crear recurrencia",
+    "recurrence.repeat": "Repetir",
+    "recurrence.start": "Inicio",
+    "recurrence.day": "Día del mes",
+    "recurrence.ends": "Termina",
+    "recurrence.never": "Nunca",
+    "recurrence.onDate": "En una fecha",
+    "recurrence.afterCount": "Después de N veces",
+    "recurrence.until": "Hasta",
+    "recurrence.occurrences": "Ocurrencias",
+    "recurrence.edit": "Editar recurrencia",
+    "recurrence.delete": "Eliminar recurrencia",
+    "budget.spentOf": "{spent} de {budget}",
+    "budget.overBy": "excedido en {amount}",
+    "budget.nearLimit": "cerca del límite",
+    "category.usage": { one: "{n} movimiento", other: "{n} movimientos" },
+    "category.mergeTitle": "Unir “{name}”",
+    "category.deleteTitle": "Eliminar “{name}”",
+    "recurrence.editHint": "Los cambios valen para las próximas ocurrencias; las ya registradas hasta hoy quedan como están.",
+    "recurrence.skip": "Saltar esta ocurrencia",
+    "recurrence.stop": "Finalizar serie",
+    "budget.none": "Sin presupuesto",
+    "category.newPlaceholder": "Nueva categoría (ej.: Mascotas)",
+    "common.save": "Guardar",
+    "common.cancel": "Cancelar",
+    "common.moveUp": "Subir",
+    "common.moveDown": "Bajar",
+    "category.rename": "Renombrar categoría",
+    "category.merge": "Unir categoría",
+    "category.delete": "Eliminar categoría",
+    "category.mergeHint": { one: "El {n} movimiento y el presupuesto de “{name}” pasan a la categoría elegida, y “{name}” deja de existir.", other: "Los {n} movimientos y el presupuesto de “{name}” pasan a la categoría elegida, y “{name}” deja de existir." },
+    "category.deleteHint": { one: "“{name}” tiene {n} movimiento. Elige a dónde va antes de eliminar.", other: "“{name}” tiene {n} movimientos. Elige a dónde van antes de eliminar." },
+    "category.mergeConfirm": "Unir",
+    "category.moveAndDelete": "Mover y eliminar",
+    "category.moveTo": "Mover a",
+    "import.column": "Columna {n}",
+    "import.badDate": "Fecha inválida",
+    "import.badAmount": "Importe inválido",
+    "import.noDescription": "(sin descripción)",
+    "import.alreadyImported": "Ya importado",
+    "import.similarTo": "Parecido a “{description}”",
+    "import.readError": "No se pudo leer el archivo. Verifica que sea un CSV u OFX exportado por el banco.",
+    "import.review": { one: "Revisar {n} fila", other: "Revisar {n} filas" },
+    "import.countNew": { one: "{n} nueva", other: "{n} nuevas" },
+    "import.countImported": { one: "{n} ya importada", other: "{n} ya importadas" },
+    "import.countDuplicate": { one: "{n} probable duplicado", other: "{n} probables duplicados" },
+    "import.countInvalid": { one: "{n} inválida", other: "{n} inválidas" },
+    "common.back": "Volver",
+    "import.confirm": "Importar {n}",
+    "import.added": { one: "agregado", other: "agregados" },
+    "import.skipped": { one: "omitido por duplicado", other: "omitidos por duplicados" },
+    "import.rejected": { one: "rechazado", other: "rechazados" },
+    "import.title": "Importar extracto",
+    "import.fileHint": "Elige el archivo CSV u OFX exportado por tu banco. No se importa nada antes de tu confirmación.",
+    "import.chooseFile": "Elegir archivo",
+    "import.delimiter": "Separador",
+    "import.semicolon": "Punto y coma (;)",
+    "import.comma": "Coma (,)",
+    "import.tab": "Tabulación",
+    "import.hasHeader": "La primera fila es encabezado",
+    "import.invertSign": "Invertir signo (los gastos vienen positivos)",
+    "import.signHint": "Los importes negativos pasan a gastos y los positivos a ingresos.",
+    "import.otherFile": "Otro archivo",
+    "import.expenseCategory": "Categoría de los gastos",
+    "import.duplicatesHint": "Los duplicados quedan desmarcados; márcalos si quieres importarlos igual.",
+    "common.close": "Cerrar",
+    "export.column.date": "Fecha",
+    "export.column.type": "Tipo",
+    "export.column.account": "Cuenta",
+    "export.column.category": "Categoría",
+    "export.column.description": "Descripción",
+    "export.column.amount": "Importe",
+    "export.column.currency": "Moneda",
+    "export.sheetTransactions": "Movimientos",
+    "export.sheetSummary": "Resumen",
+    "export.byCategory": "Gastos por categoría ({currency})",
+    "export.byMonth": "Totales por mes ({currency})",
+    "export.total": "Total",
+    "export.month": "Mes",
+    "export.balance": "Saldo",
+    "search.sort.dateDesc": "Fecha (más recientes)",
+    "search.sort.dateAsc": "Fecha (más antiguos)",
+    "search.sort.amountDesc": "Importe (mayor primero)",
+    "search.sort.amountAsc": "Importe (menor primero)",
+    "search.placeholder": "Ej.: uber, supermercado",
+    "search.allTypes": "Todos",
+    "search.transfers": "Transferencias",
+    "search.allCategories": "Todas",
+    "search.min": "Importe mín. ({currency})",
+    "search.max": "Importe máx. ({currency})",
+    "search.showMore": "Mostrar más ({n} restantes)",
+    "search.sortBy": "Ordenar por",
+    "search.from": "Desde",
+    "search.clear": "Limpiar filtros",
+    "search.none": "Ningún movimiento encontrado",
+    "search.noneDesc": "Prueba otro término o afloja los filtros.",
+    "export.open": "Exportar planilla",
+    "export.title": "Exportar movimientos",
+    "export.period": "Período",
+    "export.selectedMonth": "Mes seleccionado",
+    "export.wholeYear": "Año completo",
+    "export.custom": "Personalizado",
+    "export.unselectAll": "Desmarcar todas",
+    "export.selectAll": "Marcar todas",
+    "export.count": { one: "{n} movimiento en el filtro.", other: "{n} movimientos en el filtro." },
+    "export.allTypes": "Ingresos y gastos",
+    "export.onlyIncome": "Solo ingresos",
+    "export.onlyExpenses": "Solo gastos",
+    "export.onlyTransfers": "Solo transferencias",
+    "account.cardDays": "cierra el día {closing}, vence el día {due}",
+    "account.inUse": "Una cuenta con movimientos no se puede eliminar",
+    "account.openInvoicePlaceholder": "Resumen abierto hoy (ej.: -350,00)",
+    "account.openingPlaceholder": "Saldo inicial (ej.: 1.500,00)",
+    "invoice.status.open": "Abierto",
+    "invoice.status.closed": "Cerrado",
+    "invoice.status.paid": "Pagado",
+    "invoice.title": "Resúmenes — {card}",
+    "invoice.label": "Resumen {month}",
+    "invoice.details": "Compras {start}–{closing} • vence {due}",
+    "invoice.count": { one: "{n} movimiento", other: "{n} movimientos" },
+    "invoice.paid": "Pagado: {amount}",
+    "invoice.pay": "Pagar {amount}",
+    "goal.targetLabel": "Monto objetivo ({currency})",
+    "goal.targetPlaceholder": "Ej.: 3500",
+    "goal.namePlaceholder": "Ej.: iPhone, notebook, viaje",
+    "goal.save": "Guardar meta",
+    "goal.status.overdue": "Plazo vencido",
+    "goal.status.behind": "Atrasada",
+    "goal.status.ontrack": "En ritmo",
+    "goal.status.done": "Completada",
+    "account.opening": "Saldo inicial",
+    "account.closingDay": "Día de cierre",
+    "account.dueDay": "Día de vencimiento",
+    "account.edit": "Editar cuenta",
+    "invoice.list": "Resúmenes",
+    "account.delete": "Eliminar cuenta",
+    "account.newPlaceholder": "Nueva cuenta (ej.: Ahorros)",
+    "account.add": "Agregar cuenta",
+    "invoice.payWith": "Pagar con",
+    "invoice.hint": "El pago se convierte en una transferencia a la tarjeta: las compras ya contaron como gasto en el mes del resumen.",
+    "common.name": "Nombre",
+    "goal.deadlineOptional": "Plazo (opcional)",
+    "goal.deadlineHint": "Con plazo, FinP calcula cuánto guardar por mes.",
+    "goal.envelope": "Separar el dinero (sobre)",
+    "goal.envelopeHint": "Los aportes salen del saldo disponible y los retiros vuelven a él.",
+    "goal.progress": "Progreso",
+    "goal.savedLabel": "Guardado:",
+    "goal.remainingLabel": "Falta:",
+    "goal.deadlineLabel": "Plazo:",
+    "goal.requiredLabel": "Necesita:",
+    "goal.paceLabel": "Ritmo:",
+    "goal.forecastLabel": "Previsión:",
+    "goal.perMonth": "{amount}/mes",
+    "goal.noContributions": "sin aportes",
+    "goal.contributePlaceholder": "Ej.: 50",
+    "goal.availableBalance": "Saldo disponible: {amount}.",
+    "goal.savedSeries": "Guardado",
+    "goal.noEntries": "Ningún aporte aún.",
+    "goal.amountPlaceholder": "Ej.: 100",
+    "goal.onlyHas": "La meta solo tiene {amount} guardado.",
+    "goal.recordWithdraw": "Registrar retiro",
+    "goal.recordDeposit": "Registrar aporte",
+    "goal.deleteEnvelopeHint": "“{name}” tiene {amount} separado. ¿A dónde va ese dinero?",
+    "goal.moveTo": "Mover a “{name}”",
+    "goal.contribute": "Aportar",
+    "goal.deleteEntry": "Eliminar movimiento de la meta",
+    "goal.createFirst": "Crea una meta primero",
+    "goal.createFirstDesc": "Después podrás elegir la meta y registrar aportes en ella.",
+    "goal.label": "Meta",
+    "goal.operation": "Operación",
+    "goal.deposit": "Aporte",
+    "goal.withdraw": "Retiro",
+    "goal.envelopeNote": "Meta sobre: el importe sale del saldo disponible.",
+    "goal.backToAvailable": "Volver al saldo disponible",
+    "backup.unsupported": "Copia cifrada en una versión que este FinP no conoce (v{version}).",
+    "backup.corruptedParts": "El archivo está dañado: no se pudieron leer partes de la copia.",
+    "backup.corruptedIntegrity": "El archivo está dañado o incompleto (falló la verificación de integridad).",
+    "backup.wrongPassword": "Contraseña incorrecta.",
+    "backup.corruptedContent": "La copia se abrió, pero el contenido está dañado.",
+    "backup.encryptFailed": "No se pudo cifrar: {error}",
+    "backup.passwordTooShort": "Usa al menos {n} caracteres.",
+    "backup.encrypting": "Cifrando…",
+    "backup.download": "Descargar copia",
+    "backup.wrongPasswordRetry": "Contraseña incorrecta. Revísala e inténtalo de nuevo.",
+    "backup.opening": "Abriendo…",
+    "backup.open": "Abrir copia",
+    "report.fixed": "Corregidos",
+    "report.dropped": "Descartados (repetidos)",
+    "report.rejected": "Rechazados",
+    "conflict.goalSide": "{name} · objetivo {target} · guardado {saved}",
+    "backup.encrypt": "Proteger con contraseña (.finp)",
+    "backup.encryptHint": "Recomendado si el archivo se envía por WhatsApp o correo.",
+    "backup.password": "Contraseña",
+    "backup.repeatPassword": "Repite la contraseña",
+    "backup.passwordMismatch": "Las contraseñas no coinciden.",
+    "backup.passwordWarning": "Sin la contraseña no hay forma de recuperar la copia. Guárdala en un lugar seguro.",
+    "backup.plainWarning": "El archivo .json queda legible para cualquiera que lo reciba.",
+    "backup.protected": "Copia protegida",
+    "backup.enterPassword": "Escribe la contraseña usada al generar esta copia.",
+    "report.clean": "Archivo sin problemas: ninguna fila necesitó corrección.",
+    "currency.BRL": "Real brasileño",
+    "currency.USD": "Dólar estadounidense",
+    "currency.EUR": "Euro",
+    "currency.GBP": "Libra esterlina",
+    "currency.ARS": "Peso argentino",
+    "currency.CAD": "Dólar canadiense",
+    "currency.since": "desde {date}",
+    "currency.missingRates": "Sin cotización para: {codes}.",
+    "currency.worth": "vale ({base})",
+    "currency.ratePlaceholder": "Ej: 5,10",
+    "currency.base": "Moneda base",
+    "currency.baseHint": "Las metas y presupuestos no se convierten al cambiar la base.",
+    "currency.oneUnitOf": "1 unidad de",
+    "currency.from": "a partir de",
+    "currency.addRate": "Añadir cotización",
+    "currency.deleteRate": "Eliminar cotización",
+    "currency.noRates": "No hay cotizaciones registradas.",
+    "restore.refused": "Importación rechazada",
+    "restore.title": "Importar copia",
+    "restore.how": "Cómo importar",
+    "restore.modeMerge": "Combinar con los datos de este dispositivo",
+    "restore.modeReplace": "Reemplazar todo por la copia",
+    "restore.replaceSummary": "Los datos de este dispositivo se borrarán y se sustituirán por los del archivo: {transactions} movimientos, {goals} metas, {recurrences} recurrencias y {accounts} cuentas.",
+    "restore.newTransactions": "movimientos nuevos",
+    "restore.existing": "ya existentes",
+    "restore.newGoals": "metas nuevas",
+    "restore.newAccountsAnd": "cuentas y",
+    "restore.newRecurrences": "recurrencias nuevas",
+    "restore.newCategories": "Categorías nuevas: {names}",
+    "restore.conflicts": "conflictos (cambiados en ambos lados)",
+    "restore.kindGoal": "Meta",
+    "restore.kindTransaction": "Movimiento",
+    "restore.sideLocal": "De este dispositivo",
+    "restore.sideIncoming": "De la copia",
+    "restore.replace": "Reemplazar todo",
+    "restore.merge": "Combinar",
+    "restore.invalidFile": "Archivo no válido. Elige una copia de FinP (.json o .finp). Consejo: usa el botón Copia del propio FinP para generar el archivo.",
+    "backup.export": "Exportar copia",
+    "restore.button": "Importar",
+    "reset.clearAll": "Borrar todo",
+    "reset.button": "Restablecer",
+    "reset.title": "Restablecer FinP",
+    "reset.warning": "Esto borra todos los ingresos, gastos y metas de este dispositivo. Usa {backup} antes si quieres guardarlos.",
+    "reset.confirm": "Restablecer ahora",
+    "validate.tagsFixed": "etiquetas ajustadas (espacios, repetidas o formato)",
+    "tags.empty": "Ningún movimiento con etiqueta en el período",
+    "tags.emptyDesc": "Marca movimientos con etiquetas (ej.: Viaje Floripa 2026) para ver los totales aquí.",
+    "tags.remove": "Quitar etiqueta {tag}",
+    "tags.placeholder": "Ej: Viaje Floripa 2026, reembolsable",
+    "tags.label": "Etiquetas (opcional)",
+    "tags.title": "Por etiqueta",
+    "tags.hint": "Totales de cada etiqueta en el período, divididos por categoría. Un movimiento con varias etiquetas cuenta en todas.",
+    "validate.splitsDropped": "división entre categorías descartada (las partes no suman el total)",
+    "split.toggle": "Dividir entre categorías",
+    "split.summary": { one: "Dividido en {n} categoría", other: "Dividido en {n} categorías" },
+    "split.removeLine": "Quitar parte",
+    "split.addLine": "Añadir parte",
+    "split.remaining": "Falta repartir {amount}",
+    "split.exceeds": "Las partes superan el total en {amount}",
+    "split.balanced": "Las partes suman el total",
+    "split.needTwo": "Usa al menos dos categorías distintas, con valores mayores que cero",
+    "split.badge": { one: "{n} categoría", other: "{n} categorías" },
+    "validate.incomeCategories": "Categorías de ingreso",
+    "import.incomeCategory": "Categoría de los ingresos",
+    "export.incomeByCategory": "Ingresos por categoría ({currency})",
+    "category.newIncomePlaceholder": "Nueva categoría (ej.: Alquiler cobrado)",
+    "category.mergeIncomeHint": { one: "El {n} movimiento de “{name}” pasa a la categoría elegida, y “{name}” deja de existir.", other: "Los {n} movimientos de “{name}” pasan a la categoría elegida, y “{name}” deja de existir." },
+    "category.incomeTitle": "Categorías de ingreso",
+    "category.incomeHint": "Crea, renombra, ordena o une categorías de ingreso (salario, freelance, ventas…).",
+    "dashboard.incomeByCategory": "Ingresos por categoría (mes)",
+    "dashboard.incomeByCategoryHint": "De dónde viene el dinero",
+    "empty.noIncome": "Sin ingresos este mes",
+    "empty.noIncomeDesc": "Agrega un ingreso para ver el gráfico por categoría.",
+    "forecast.horizon": "Previsión de caja",
+    "forecast.off": "Desactivada",
+    "forecast.baseline": "Promedio de gastos",
+    "forecast.predicted": "previsto",
+    "forecast.balance": "Saldo previsto",
+    "forecast.currentMonthOnly": "La previsión parte del mes actual — vuelve a él para verla.",
+    "forecast.hintNoHistory": "Las barras punteadas son previstas: cuotas y recurrencias ya programadas. Aún no hay meses cerrados para estimar los demás gastos.",
+    "forecast.negative": "Saldo negativo previsto en: {months}",
+    "forecast.months": { one: "{n} mes", other: "{n} meses" },
+    "forecast.lastMonths": { one: "Último mes", other: "Últimos {n} meses" },
+    "forecast.hint": { one: "Las barras punteadas son previstas: cuotas y recurrencias programadas + {value}/mes de gastos habituales (promedio del último mes cerrado).", other: "Las barras punteadas son previstas: cuotas y recurrencias programadas + {value}/mes de gastos habituales (promedio de los últimos {n} meses cerrados)." },
+    "category.ruleUsage": { one: "{n} recurrencia", other: "{n} recurrencias" },
+    "category.ruleHint": { one: "{n} recurrencia usa “{name}”; pasará a registrarse en la categoría elegida.", other: "{n} recurrencias usan “{name}”; pasarán a registrarse en la categoría elegida." },
+    "load.fixed": "Algunos datos guardados eran inconsistentes y se corrigieron al abrir la app.",
+    "load.unreadable": "No se pudieron leer los datos guardados y la app empezó vacía. Una copia de lo que había quedó guardada en el navegador en “{key}”.",
+    "load.showDetails": "Ver detalles",
+    "load.hideDetails": "Ocultar detalles",
+    "load.readFailed": "No se pudieron leer los datos guardados en este dispositivo y la app empezó vacía. {error}",
+    "forecast.yearlyTrend": "Con el historial agrupado por año la previsión queda oculta — elige un período más corto para verla.",
+    "import.numberFormat": "Formato de los importes",
+    "import.dateFormat": "Formato de las fechas",
+    "import.detected": "Automático ({value})",
+    "import.dayFirst": "Día/mes/año (31/01/2026)",
+    "import.monthFirst": "Mes/día/año (01/31/2026)",
+    "forecast.afterHorizon": "Después de {month} ya hay registrados {expense} en gastos y {income} en ingresos (ej.: cuotas); quedan fuera del gráfico.",
+    "validate.noCategory": "sin categoría; quedó en {name}",
+    "export.expenseCategories": "Categorías de gasto",
+  },
+};